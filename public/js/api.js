@@ -3,12 +3,159 @@
  * Handles all communication with the backend API
  */
 
+// Ordered chain of interceptor handlers
+class InterceptorManager {
+    constructor() {
+        this.handlers = [];
+        this.nextId = 0;
+    }
+
+    /**
+     * Register a handler, returns an id for eject()
+     */
+    use(handler) {
+        const id = ++this.nextId;
+        this.handlers.push({ id, handler });
+        return id;
+    }
+
+    /**
+     * Remove a previously registered handler
+     */
+    eject(id) {
+        this.handlers = this.handlers.filter(entry => entry.id !== id);
+    }
+
+    /**
+     * Remove all handlers
+     */
+    clear() {
+        this.handlers = [];
+    }
+
+    /**
+     * Pass a value through every handler in registration order.
+     * Handlers may be async; returning undefined keeps the current value.
+     */
+    async run(value, context = {}) {
+        let current = value;
+
+        for (const { handler } of this.handlers) {
+            const result = await handler(current, context);
+            if (result !== undefined) {
+                current = result;
+            }
+        }
+
+        return current;
+    }
+}
+
 class APIClient {
     constructor() {
         this.baseURL = window.location.origin;
         this.token = null;
+        this.refreshToken = null;
         this.refreshPromise = null;
 
+        // Id of the signed in user; queued mutations only replay for the user who made them
+        this.userId = null;
+
+        // Default retry policy, override globally with setRetryPolicy()
+        // or per call with options.retry
+        this.retryPolicy = {
+            retries: 2,
+            baseDelay: 300,
+            maxDelay: 10000,
+            retryOn: [408, 429, 500, 502, 503, 504],
+            idempotentMethods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']
+        };
+
+        // CSRF protection for cookie-session deployments, see CsrfMiddleware.
+        // The token comes from <meta name="csrf-token"> or the endpoint below.
+        this.csrf = {
+            token: null,
+            headerName: 'X-CSRF-Token',
+            endpoint: '/csrf-token',
+            safeMethods: ['GET', 'HEAD', 'OPTIONS'],
+            promise: null
+        };
+
+        // Default per-attempt timeout in milliseconds (0 disables)
+        this.timeout = 30000;
+
+        // Abort controllers grouped by scope name, see cancelScope()
+        this.scopes = new Map();
+
+        // Chunked and resumable document uploads
+        this.uploads = new UploadManager(this);
+
+        // Streaming and resumable document downloads
+        this.downloads = new DownloadManager(this);
+
+        // GET responses, revalidated with ETag/Last-Modified and shared while in flight
+        this.cache = new ResponseCache();
+        this.cache.setPolicy('/services', { ttl: 5 * 60 * 1000 });
+        this.cache.setPolicy('/user/profile', { ttl: 60 * 1000 });
+        this.cache.setPolicy('/dashboard', { ttl: 30 * 1000 });
+
+        // Mutations made while offline, replayed in order on reconnect
+        this.outbox = new OfflineOutbox(this);
+
+        // Filter and sort schemas for list endpoints, see query()
+        this.listSchemas = {
+            applications: {
+                filters: {
+                    status: { type: 'enum', values: ['draft', 'submitted', 'under_review', 'approved', 'rejected', 'withdrawn'] },
+                    service_id: { type: 'number' },
+                    created_at: { type: 'date', operators: ['gte', 'lte', 'gt', 'lt'] },
+                    updated_at: { type: 'date', operators: ['gte', 'lte', 'gt', 'lt'] }
+                },
+                sortable: ['created_at', 'updated_at', 'status']
+            },
+            documents: {
+                filters: {
+                    category: { type: 'string' },
+                    mime_type: { type: 'string' },
+                    application_id: { type: 'number' },
+                    created_at: { type: 'date', operators: ['gte', 'lte', 'gt', 'lt'] }
+                },
+                sortable: ['created_at', 'name', 'size']
+            },
+            systemLogs: {
+                filters: {
+                    level: { type: 'enum', values: ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'] },
+                    channel: { type: 'string' },
+                    user_id: { type: 'number' },
+                    created_at: { type: 'date', operators: ['gte', 'lte', 'gt', 'lt'] }
+                },
+                sortable: ['created_at', 'level']
+            }
+        };
+
+        // Headers sent with every request unless overridden
+        this.defaultHeaders = {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+        };
+
+        // Request, response and error middleware, see InterceptorManager
+        this.interceptors = {
+            request: new InterceptorManager(),
+            response: new InterceptorManager(),
+            error: new InterceptorManager()
+        };
+
+        // Log out on unrecoverable 401s; eject to handle auth failures yourself
+        this.authFailureInterceptor = this.interceptors.error.use((error, context) => {
+            if (error.status === 401 && !context.options.skipAuthRefresh) {
+                this.handleAuthFailure();
+            }
+        });
+
+        // Listeners told when this tab signs in, refreshes or signs out, see onTokenChange()
+        this.tokenListeners = new Set();
+
         // Load token from storage
         this.loadToken();
     }
@@ -18,47 +165,582 @@ class APIClient {
      */
     loadToken() {
         this.token = StorageUtils.get('auth_token');
+        this.refreshToken = StorageUtils.get('refresh_token');
+        this.userId = StorageUtils.get('auth_user_id');
     }
 
     /**
-     * Save authentication token to storage
+     * Save authentication token (and optional refresh token) to storage
      */
-    saveToken(token) {
+    saveToken(token, refreshToken = null) {
         this.token = token;
         StorageUtils.set('auth_token', token);
+
+        if (refreshToken) {
+            this.refreshToken = refreshToken;
+            StorageUtils.set('refresh_token', refreshToken);
+        }
+
+        this.notifyTokenChange();
+    }
+
+    /**
+     * Remember who is signed in, or forget it with null
+     */
+    setUserId(userId) {
+        this.userId = userId;
+
+        if (userId === null || userId === undefined) {
+            StorageUtils.remove('auth_user_id');
+        } else {
+            StorageUtils.set('auth_user_id', userId);
+        }
     }
 
     /**
-     * Clear authentication token
+     * Clear authentication tokens. Queued mutations stay put until their user signs in again.
      */
     clearToken() {
         this.token = null;
+        this.refreshToken = null;
+        this.userId = null;
         StorageUtils.remove('auth_token');
+        StorageUtils.remove('refresh_token');
+        StorageUtils.remove('auth_user_id');
+
+        // The next session gets a new CSRF token
+        this.csrf.token = null;
+
+        // Cached responses belong to the signed out user
+        this.cache.clear();
+
+        this.notifyTokenChange();
     }
 
     /**
-     * Make HTTP request to API
+     * Pick up tokens another tab saved or cleared. Listeners are not told,
+     * the change did not start here.
+     */
+    syncToken() {
+        const hadToken = Boolean(this.token);
+        this.loadToken();
+
+        if (hadToken && !this.token) {
+            this.csrf.token = null;
+            this.cache.clear();
+        }
+    }
+
+    /**
+     * Listen for token changes made by this tab. The listener receives the
+     * new access token, or null after sign-out. Returns an unsubscribe function.
+     */
+    onTokenChange(listener) {
+        this.tokenListeners.add(listener);
+        return () => this.tokenListeners.delete(listener);
+    }
+
+    notifyTokenChange() {
+        this.tokenListeners.forEach(listener => listener(this.token));
+    }
+
+    /**
+     * Refresh the access token using the stored refresh token.
+     * Concurrent callers share a single in-flight refresh request. Tabs take
+     * turns where the browser supports Web Locks.
+     */
+    async refreshAccessToken() {
+        if (!this.refreshToken && !StorageUtils.get('refresh_token')) {
+            throw new Error('No refresh token available');
+        }
+
+        if (!this.refreshPromise) {
+            const rotate = () => this.rotateTokens();
+
+            this.refreshPromise = (navigator.locks ? navigator.locks.request('tpt_token_refresh', rotate) : rotate())
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+
+        return this.refreshPromise;
+    }
+
+    /**
+     * Swap the refresh token for new tokens, unless another tab already did.
+     * Refresh tokens are single use, so a tab that loses the race takes the
+     * winner's tokens from storage instead of signing everyone out.
+     */
+    async rotateTokens() {
+        const token = this.token;
+        this.syncToken();
+
+        if (this.token && this.token !== token) {
+            return this.token;
+        }
+
+        const refreshToken = this.refreshToken;
+        if (!refreshToken) {
+            throw new Error('No refresh token available');
+        }
+
+        try {
+            const response = await this.post('/auth/refresh', { refresh_token: refreshToken }, { skipAuthRefresh: true });
+            const tokens = response.data || response;
+            if (!tokens.token) {
+                throw new Error('Token refresh failed');
+            }
+
+            this.saveToken(tokens.token, tokens.refresh_token);
+            return tokens.token;
+        } catch (error) {
+            const stored = StorageUtils.get('refresh_token');
+            if (stored && stored !== refreshToken) {
+                this.loadToken();
+                return this.token;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Handle unrecoverable authentication failure
+     */
+    handleAuthFailure() {
+        this.clearToken();
+
+        // Redirect to login if not already there
+        if (!window.location.pathname.includes('/login')) {
+            window.location.href = '/login';
+        }
+    }
+
+    /**
+     * Update the global retry policy
+     */
+    setRetryPolicy(policy = {}) {
+        this.retryPolicy = { ...this.retryPolicy, ...policy };
+    }
+
+    /**
+     * Make HTTP request to API, retrying transient failures per the retry policy.
+     * The attempt count reaches callers through options.onRetry({ attempt, delay, error })
+     * before each retry, options.onComplete({ attempts }) once a sent request
+     * succeeds, and error.attempts when it fails.
      */
     async request(method, endpoint, data = null, options = {}) {
+        if (this.isCacheable(method, options)) {
+            return this.cachedRequest(endpoint, data, options);
+        }
+
+        const queueable = this.outbox.isQueueable(method, endpoint, data, options);
+
+        // Keep mutations made while offline and send them once we reconnect
+        if (queueable && navigator.onLine === false) {
+            return this.queueRequest(method, endpoint, data, options);
+        }
+
+        const policy = this.resolveRetryPolicy(method, options);
+
+        // One controller spans all attempts so callers and scopes can cancel retries too
+        const controller = new AbortController();
+        const release = this.linkAbortSignal(controller, options.signal);
+        const untrack = this.trackScope(options.scope, controller);
+        const callOptions = { ...options, signal: controller.signal };
+        const context = { method: method.toUpperCase(), endpoint, data, options };
+
+        try {
+            for (let attempt = 1; ; attempt++) {
+                try {
+                    const result = await this.sendRequest(method, endpoint, data, callOptions);
+
+                    if (context.method !== 'GET') {
+                        this.invalidateCache(endpoint, options.invalidates);
+                    }
+
+                    if (options.onComplete) {
+                        options.onComplete({ attempts: attempt });
+                    }
+
+                    return result;
+                } catch (error) {
+                    error.attempts = attempt;
+
+                    if (error.isAbort) {
+                        throw error;
+                    }
+
+                    const delay = attempt <= policy.retries && this.shouldRetry(error, policy)
+                        ? this.getRetryDelay(attempt, error, policy)
+                        : null;
+
+                    if (delay === null && queueable && error.isNetworkError && error.offline) {
+                        return this.queueRequest(method, endpoint, data, options);
+                    }
+
+                    if (delay === null) {
+                        console.error('API request failed:', error);
+                        throw await this.interceptors.error.run(error, context);
+                    }
+
+                    if (options.onRetry) {
+                        options.onRetry({ attempt, delay, error });
+                    }
+
+                    await this.sleep(delay, controller.signal);
+                }
+            }
+        } finally {
+            release();
+            untrack();
+        }
+    }
+
+    /**
+     * Store a mutation in the offline outbox and report it as queued
+     */
+    async queueRequest(method, endpoint, data, options) {
+        const entry = await this.outbox.enqueue(method, endpoint, data, options);
+
+        return {
+            success: true,
+            queued: true,
+            outbox_id: entry.id,
+            message: 'You are offline. Your changes will be sent when you reconnect.'
+        };
+    }
+
+    /**
+     * Check if a call should go through the response cache.
+     * Pass cache: false to always hit the network.
+     */
+    isCacheable(method, options) {
+        return method.toUpperCase() === 'GET' &&
+            options.cache !== false &&
+            !options.cacheKey &&
+            !options.rawResponse;
+    }
+
+    /**
+     * Serve a GET from the cache while fresh, otherwise revalidate it.
+     * Concurrent calls for the same resource share one request.
+     *
+     * Options:
+     *  - cacheTTL overrides the freshness lifetime in milliseconds
+     *  - revalidate: true skips the freshness check but still sends validators
+     */
+    async cachedRequest(endpoint, params, options) {
+        const key = this.cache.getKey(endpoint, params);
+        const entry = this.cache.get(key);
+
+        if (!options.revalidate && this.cache.isFresh(entry)) {
+            return entry.data;
+        }
+
+        // Each caller keeps its own signal and scope; the shared request outlives any one of them
+        const controller = new AbortController();
+        const release = this.linkAbortSignal(controller, options.signal);
+        const untrack = this.trackScope(options.scope, controller);
+
+        try {
+            return await this.cache.dedupe(key, controller.signal, signal => this.request('GET', endpoint, params, {
+                ...options,
+                signal,
+                scope: null,
+                cacheKey: key
+            }));
+        } finally {
+            release();
+            untrack();
+        }
+    }
+
+    /**
+     * Store a successful GET response with its validators
+     */
+    storeResponse(key, data, response, ttl) {
+        const cacheControl = response.headers.get('Cache-Control');
+
+        if (cacheControl && /no-store/i.test(cacheControl)) {
+            this.cache.invalidate(key);
+            return;
+        }
+
+        this.cache.set(key, data, {
+            ttl: this.cache.resolveTTL(key, ttl, cacheControl),
+            etag: response.headers.get('ETag'),
+            lastModified: response.headers.get('Last-Modified')
+        });
+    }
+
+    /**
+     * Evict cached responses affected by a mutation: the endpoint itself plus
+     * any extra prefixes listed in options.invalidates
+     */
+    invalidateCache(endpoint, invalidates = []) {
+        const path = endpoint.split('?')[0];
+        return this.cache.invalidate(path, ...[].concat(invalidates || []));
+    }
+
+    /**
+     * Resolve the retry policy for a single call
+     */
+    resolveRetryPolicy(method, options) {
+        if (options.retry === false) {
+            return { ...this.retryPolicy, retries: 0 };
+        }
+
+        const override = typeof options.retry === 'number'
+            ? { retries: options.retry }
+            : (options.retry || {});
+        const policy = { ...this.retryPolicy, ...override };
+
+        // Non-idempotent methods are only safe to replay with an idempotency key
+        const upperMethod = method.toUpperCase();
+        if (!policy.idempotentMethods.includes(upperMethod) && !options.idempotencyKey) {
+            policy.retries = 0;
+        }
+
+        return policy;
+    }
+
+    /**
+     * Check whether a failed request may be retried
+     */
+    shouldRetry(error, policy) {
+        if (error.isNetworkError || error.isTimeout) {
+            return true;
+        }
+
+        return policy.retryOn.includes(error.status);
+    }
+
+    /**
+     * Get the delay before the next attempt in milliseconds.
+     * Returns null when the server asks us to wait longer than maxDelay.
+     */
+    getRetryDelay(attempt, error, policy) {
+        if ((error.status === 429 || error.status === 503) && error.retryAfter) {
+            const retryAfter = this.parseRetryAfter(error.retryAfter);
+            if (retryAfter !== null) {
+                return retryAfter <= policy.maxDelay ? retryAfter : null;
+            }
+        }
+
+        // Exponential backoff with jitter
+        const exponential = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1));
+        return Math.round(exponential / 2 + Math.random() * exponential / 2);
+    }
+
+    /**
+     * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+     */
+    parseRetryAfter(value) {
+        const seconds = Number(value);
+        if (!isNaN(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+
+        const date = Date.parse(value);
+        if (!isNaN(date)) {
+            return Math.max(0, date - Date.now());
+        }
+
+        return null;
+    }
+
+    /**
+     * Generate a key for options.idempotencyKey
+     */
+    createIdempotencyKey() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+
+        return `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 12)}`;
+    }
+
+    /**
+     * Wait for the given number of milliseconds, rejecting early if the signal aborts
+     */
+    sleep(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(this.createAbortError());
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timeoutId);
+                reject(this.createAbortError());
+            };
+
+            const timeoutId = setTimeout(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                resolve();
+            }, ms);
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Abort the controller when the given signal aborts.
+     * Returns a function that removes the link.
+     */
+    linkAbortSignal(controller, signal) {
+        if (!signal) {
+            return () => {};
+        }
+
+        if (signal.aborted) {
+            controller.abort();
+            return () => {};
+        }
+
+        const onAbort = () => controller.abort();
+        signal.addEventListener('abort', onAbort, { once: true });
+        return () => signal.removeEventListener('abort', onAbort);
+    }
+
+    /**
+     * Abort the controller after the given number of milliseconds
+     */
+    startTimeout(controller, ms) {
+        if (!ms) {
+            return null;
+        }
+
+        return setTimeout(() => {
+            controller.timedOut = true;
+            controller.abort();
+        }, ms);
+    }
+
+    /**
+     * Register a controller under a cancellation scope.
+     * Returns a function that removes it again.
+     */
+    trackScope(scope, controller) {
+        if (!scope) {
+            return () => {};
+        }
+
+        if (!this.scopes.has(scope)) {
+            this.scopes.set(scope, new Set());
+        }
+        this.scopes.get(scope).add(controller);
+
+        return () => {
+            const controllers = this.scopes.get(scope);
+            if (controllers) {
+                controllers.delete(controller);
+                if (controllers.size === 0) {
+                    this.scopes.delete(scope);
+                }
+            }
+        };
+    }
+
+    /**
+     * Cancel every in-flight request registered with options.scope
+     */
+    cancelScope(scope) {
+        const controllers = this.scopes.get(scope);
+        if (!controllers) {
+            return;
+        }
+
+        this.scopes.delete(scope);
+        controllers.forEach(controller => controller.abort());
+    }
+
+    /**
+     * Cancel every scoped in-flight request
+     */
+    cancelAll() {
+        Array.from(this.scopes.keys()).forEach(scope => this.cancelScope(scope));
+    }
+
+    /**
+     * Check if an error was caused by cancellation rather than a failure
+     */
+    isAbortError(error) {
+        return !!(error && error.isAbort);
+    }
+
+    /**
+     * Create the error thrown for cancelled requests
+     */
+    createAbortError() {
+        return new RequestCancelledError();
+    }
+
+    /**
+     * Send a single HTTP request to the API
+     */
+    async sendRequest(method, endpoint, data = null, options = {}) {
+        // Wait for any token refresh in progress before sending
+        if (this.refreshPromise && !options.skipAuthRefresh) {
+            await this.refreshPromise.catch(() => {});
+        }
+
         const url = endpoint.startsWith('http') ? endpoint : `${this.baseURL}/api${endpoint}`;
 
         const config = {
+            url,
             method: method.toUpperCase(),
             headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json',
+                ...this.defaultHeaders,
                 ...options.headers
             }
         };
 
+        // Abort on caller cancellation or per-attempt timeout
+        const controller = new AbortController();
+        const release = this.linkAbortSignal(controller, options.signal);
+        const timeout = options.timeout !== undefined ? options.timeout : this.timeout;
+        const timeoutId = this.startTimeout(controller, timeout);
+        config.signal = controller.signal;
+
+        // Revalidate a cached response instead of downloading it again
+        const cached = options.cacheKey ? this.cache.get(options.cacheKey) : null;
+        Object.assign(config.headers, this.cache.getValidators(cached));
+
+        // Let the server de-duplicate replayed mutations
+        if (options.idempotencyKey) {
+            config.headers['Idempotency-Key'] = options.idempotencyKey;
+        }
+
+        // Prove state-changing requests come from our own pages
+        if (!this.csrf.safeMethods.includes(config.method) && !options.skipCsrf) {
+            const csrfToken = await this.getCsrfToken();
+            if (csrfToken) {
+                config.headers[this.csrf.headerName] = csrfToken;
+            }
+        }
+
         // Add authentication header if token exists
-        if (this.token) {
-            config.headers['Authorization'] = `Bearer ${this.token}`;
+        const requestToken = this.token;
+        if (requestToken) {
+            config.headers['Authorization'] = `Bearer ${requestToken}`;
         }
 
         // Add request body for non-GET requests
         if (data && method.toUpperCase() !== 'GET') {
-            config.body = JSON.stringify(data);
+            if (this.isRawBody(data)) {
+                // Let the browser set Content-Type (and the multipart boundary)
+                if (!options.headers || !options.headers['Content-Type']) {
+                    delete config.headers['Content-Type'];
+                }
+                config.body = data;
+            } else {
+                config.body = JSON.stringify(data);
+            }
         }
 
         // Add query parameters for GET requests
@@ -73,39 +755,245 @@ class APIClient {
             config.url = url + separator + params.toString();
         }
 
+        const context = { method: config.method, endpoint, data, options };
+
         try {
-            const response = await fetch(config.url || url, config);
+            // Let registered interceptors adjust headers, body or URL
+            const { url: requestUrl, ...init } = await this.interceptors.request.run(config, context);
+
+            const response = options.onUploadProgress
+                ? await this.sendWithProgress(requestUrl, init, options.onUploadProgress)
+                : await fetch(requestUrl, init);
+
+            // The server rotates the CSRF token by sending a new one
+            this.rotateCsrfToken(response);
+
+            // Streaming callers (downloads) read the body themselves
+            if (options.rawResponse && response.ok) {
+                return response;
+            }
+
+            // Our cached copy is still current
+            if (response.status === 304 && cached) {
+                this.cache.touch(options.cacheKey, options.cacheTTL !== undefined ? options.cacheTTL : null);
+                return cached.data;
+            }
+
             const responseData = await this.parseResponse(response);
 
             // Handle authentication errors
             if (response.status === 401) {
-                this.clearToken();
-                // Redirect to login if not already there
-                if (!window.location.pathname.includes('/login')) {
-                    window.location.href = '/login';
+                if (!options.skipAuthRefresh && !options.isRetry) {
+                    const refreshed = await this.recoverFromUnauthorized(requestToken);
+                    if (refreshed) {
+                        return this.sendRequest(method, endpoint, data, { ...options, isRetry: true });
+                    }
+                }
+
+                throw APIError.fromResponse(response, responseData);
+            }
+
+            // Stale or missing CSRF token: fetch a fresh one and try once more
+            if (response.status === 403 && this.isCsrfFailure(responseData) && !options.isCsrfRetry && !options.skipCsrf) {
+                const csrfToken = await this.refreshCsrfToken();
+                if (csrfToken) {
+                    return this.sendRequest(method, endpoint, data, { ...options, isCsrfRetry: true });
                 }
-                throw new Error('Authentication required');
             }
 
             // Handle other HTTP errors
             if (!response.ok) {
-                throw new Error(responseData.message || `HTTP ${response.status}`);
+                throw APIError.fromResponse(response, responseData);
             }
 
-            return responseData;
+            const result = await this.interceptors.response.run(responseData, { ...context, response });
+
+            if (options.cacheKey) {
+                this.storeResponse(options.cacheKey, result, response, options.cacheTTL);
+            }
+
+            return result;
 
         } catch (error) {
-            console.error('API request failed:', error);
+            // Handle cancellation and timeouts
+            if (error.name === 'AbortError') {
+                throw controller.timedOut ? new TimeoutError(timeout) : this.createAbortError();
+            }
 
             // Handle network errors
             if (error.name === 'TypeError' && error.message.includes('fetch')) {
-                throw new Error('Network error - please check your connection');
+                throw new NetworkError();
             }
 
             throw error;
+        } finally {
+            clearTimeout(timeoutId);
+            release();
+        }
+    }
+
+    /**
+     * Check if request data should be sent as-is instead of JSON encoded
+     */
+    isRawBody(data) {
+        return (typeof FormData !== 'undefined' && data instanceof FormData) ||
+            (typeof Blob !== 'undefined' && data instanceof Blob) ||
+            (typeof ArrayBuffer !== 'undefined' && data instanceof ArrayBuffer) ||
+            (typeof URLSearchParams !== 'undefined' && data instanceof URLSearchParams);
+    }
+
+    /**
+     * Send a request over XMLHttpRequest so upload progress can be reported.
+     * Resolves with a fetch-like response object.
+     */
+    sendWithProgress(url, init, onUploadProgress) {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            xhr.open(init.method, url);
+
+            Object.keys(init.headers).forEach(name => {
+                xhr.setRequestHeader(name, init.headers[name]);
+            });
+
+            xhr.upload.addEventListener('progress', (e) => {
+                if (e.lengthComputable) {
+                    onUploadProgress({ loaded: e.loaded, total: e.total });
+                }
+            });
+
+            xhr.addEventListener('load', () => {
+                resolve({
+                    ok: xhr.status >= 200 && xhr.status < 300,
+                    status: xhr.status,
+                    headers: {
+                        get: (name) => xhr.getResponseHeader(name)
+                    },
+                    json: async () => JSON.parse(xhr.responseText),
+                    text: async () => xhr.responseText
+                });
+            });
+
+            // Mirror fetch() failures so sendRequest maps them the same way
+            xhr.addEventListener('error', () => reject(new TypeError('Failed to fetch')));
+            xhr.addEventListener('abort', () => {
+                const error = new Error('The upload was aborted');
+                error.name = 'AbortError';
+                reject(error);
+            });
+
+            if (init.signal) {
+                if (init.signal.aborted) {
+                    xhr.abort();
+                    return;
+                }
+                init.signal.addEventListener('abort', () => xhr.abort(), { once: true });
+            }
+
+            xhr.send(init.body || null);
+        });
+    }
+
+    /**
+     * Try to obtain a fresh access token after a 401.
+     * Returns true when the original request should be replayed.
+     */
+    async recoverFromUnauthorized(requestToken) {
+        // Another request already refreshed the token since this one was sent
+        if (this.token && this.token !== requestToken) {
+            return true;
+        }
+
+        if (!this.refreshToken) {
+            return false;
+        }
+
+        try {
+            await this.refreshAccessToken();
+            return true;
+        } catch (error) {
+            console.error('Token refresh failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the CSRF token: the current one or the page's meta tag.
+     * The token endpoint is only asked once the server rejects a request, so
+     * bearer-token deployments without CSRF protection never pay for it.
+     */
+    async getCsrfToken() {
+        if (this.csrf.promise) {
+            await this.csrf.promise;
+        }
+
+        if (this.csrf.token) {
+            return this.csrf.token;
+        }
+
+        const meta = document.querySelector('meta[name="csrf-token"]');
+        if (meta && meta.getAttribute('content')) {
+            this.csrf.token = meta.getAttribute('content');
+        }
+
+        return this.csrf.token;
+    }
+
+    /**
+     * Fetch a new CSRF token from the server. Concurrent callers share one request.
+     */
+    refreshCsrfToken() {
+        if (!this.csrf.promise) {
+            this.csrf.token = null;
+            this.csrf.promise = this.request('GET', this.csrf.endpoint, null, {
+                cache: false,
+                retry: false,
+                skipAuthRefresh: true
+            })
+                .then(response => {
+                    const body = response && typeof response === 'object' ? response : {};
+                    const data = body.data || body;
+                    this.setCsrfToken(data.csrf_token || data.token || null);
+                    return this.csrf.token;
+                })
+                .catch(() => null)
+                .finally(() => {
+                    this.csrf.promise = null;
+                });
+        }
+
+        return this.csrf.promise;
+    }
+
+    /**
+     * Pick up a rotated CSRF token from a response header
+     */
+    rotateCsrfToken(response) {
+        const token = response.headers.get(this.csrf.headerName);
+
+        if (token && token !== this.csrf.token) {
+            this.setCsrfToken(token);
+        }
+    }
+
+    /**
+     * Store the CSRF token and keep the page's meta tag in step for other scripts
+     */
+    setCsrfToken(token) {
+        this.csrf.token = token;
+
+        const meta = document.querySelector('meta[name="csrf-token"]');
+        if (meta && token) {
+            meta.setAttribute('content', token);
         }
     }
 
+    /**
+     * Check if a 403 response is CsrfMiddleware rejecting the token
+     */
+    isCsrfFailure(data) {
+        return Boolean(data) && typeof data === 'object' && data.error === 'CSRF token validation failed';
+    }
+
     /**
      * Parse API response
      */
@@ -157,45 +1045,91 @@ class APIClient {
     // Authentication methods
 
     /**
-     * Login user
+     * Login user. When the account has MFA enabled the response is a challenge
+     * ({ mfa_required: true, mfa_token, methods }) to complete with verifyMfa().
      */
-    async login(credentials) {
+    async login(credentials, options = {}) {
         try {
-            const response = await this.post('/auth/login', credentials);
+            const deviceToken = this.getDeviceToken();
+            const payload = deviceToken ? { ...credentials, device_token: deviceToken } : credentials;
+            const response = await this.post('/auth/login', payload, options);
 
             if (response.success && response.token) {
-                this.saveToken(response.token);
+                this.cache.clear();
+                this.saveToken(response.token, response.refresh_token);
             }
 
             return response;
         } catch (error) {
-            throw new Error('Login failed: ' + error.message);
+            error.message = 'Login failed: ' + error.message;
+            throw error;
         }
     }
 
+    /**
+     * Complete an MFA challenge with a second factor:
+     * { type: 'totp', code }, { type: 'recovery_code', code } or { type: 'webauthn', credential }.
+     * With rememberDevice the server issues a device token that skips MFA next time.
+     */
+    async verifyMfa(mfaToken, factor, { rememberDevice = false } = {}, options = {}) {
+        const response = await this.post('/auth/mfa/verify', {
+            mfa_token: mfaToken,
+            factor,
+            remember_device: rememberDevice
+        }, options);
+
+        if (response.success && response.token) {
+            this.cache.clear();
+            this.saveToken(response.token, response.refresh_token);
+        }
+
+        if (response.device_token) {
+            StorageUtils.set('mfa_device_token', response.device_token);
+        }
+
+        return response;
+    }
+
+    /**
+     * Get WebAuthn assertion options for an MFA challenge
+     */
+    async getWebAuthnChallenge(mfaToken, options = {}) {
+        return this.post('/auth/mfa/webauthn/challenge', { mfa_token: mfaToken }, options);
+    }
+
+    /**
+     * Get the token identifying this browser as a remembered device
+     */
+    getDeviceToken() {
+        return StorageUtils.get('mfa_device_token');
+    }
+
     /**
      * Logout user
      */
-    async logout() {
+    async logout(options = {}) {
         try {
-            await this.post('/auth/logout');
+            await this.post('/auth/logout', {}, options);
         } catch (error) {
             // Ignore logout errors
         } finally {
             this.clearToken();
+
+            // Queued changes belong to the signed out user
+            await this.outbox.clear().catch(() => {});
         }
     }
 
     /**
      * Check if user is authenticated
      */
-    async checkAuth() {
+    async checkAuth(options = {}) {
         if (!this.token) {
             return false;
         }
 
         try {
-            const response = await this.get('/auth/session');
+            const response = await this.get('/auth/session', {}, options);
             return response.authenticated || false;
         } catch (error) {
             this.clearToken();
@@ -206,22 +1140,86 @@ class APIClient {
     /**
      * Get current user profile
      */
-    async getProfile() {
-        return this.get('/user/profile');
+    async getProfile(options = {}) {
+        return this.get('/user/profile', {}, options);
     }
 
     /**
      * Update user profile
      */
-    async updateProfile(data) {
-        return this.put('/user/profile', data);
+    async updateProfile(data, options = {}) {
+        return this.put('/user/profile', data, {
+            invalidates: ['/auth/session', '/dashboard'],
+            outboxLabel: 'Profile update',
+            ...options
+        });
     }
 
     /**
      * Change user password
      */
-    async changePassword(data) {
-        return this.post('/user/change-password', data);
+    async changePassword(data, options = {}) {
+        return this.post('/user/change-password', data, options);
+    }
+
+    // MFA management methods
+
+    /**
+     * Get the user's enabled MFA methods and remembered devices
+     */
+    async getMfaMethods(options = {}) {
+        return this.get('/user/mfa', {}, { cache: false, ...options });
+    }
+
+    /**
+     * Start TOTP enrolment; returns the secret and otpauth:// URI to show as a QR code
+     */
+    async setupTotp(options = {}) {
+        return this.post('/user/mfa/totp', {}, { queue: false, ...options });
+    }
+
+    /**
+     * Confirm TOTP enrolment with a code from the authenticator app
+     */
+    async confirmTotp(code, options = {}) {
+        return this.post('/user/mfa/totp/verify', { code }, { queue: false, invalidates: ['/user/mfa'], ...options });
+    }
+
+    /**
+     * Start WebAuthn enrolment; returns credential creation options
+     */
+    async setupWebAuthn(options = {}) {
+        return this.post('/user/mfa/webauthn', {}, { queue: false, ...options });
+    }
+
+    /**
+     * Confirm WebAuthn enrolment with the new credential
+     */
+    async confirmWebAuthn(credential, options = {}) {
+        return this.post('/user/mfa/webauthn/verify', { credential }, { queue: false, invalidates: ['/user/mfa'], ...options });
+    }
+
+    /**
+     * Generate a new set of recovery codes, replacing any unused ones
+     */
+    async generateRecoveryCodes(options = {}) {
+        return this.post('/user/mfa/recovery-codes', {}, { queue: false, invalidates: ['/user/mfa'], ...options });
+    }
+
+    /**
+     * Disable an MFA method ('totp' or 'webauthn')
+     */
+    async disableMfaMethod(method, options = {}) {
+        return this.delete(`/user/mfa/${method}`, { queue: false, invalidates: ['/user/mfa'], ...options });
+    }
+
+    /**
+     * Forget every remembered device so the next sign-in asks for a second factor again
+     */
+    async forgetRememberedDevices(options = {}) {
+        const response = await this.delete('/user/mfa/devices', { queue: false, invalidates: ['/user/mfa'], ...options });
+        StorageUtils.remove('mfa_device_token');
+        return response;
     }
 
     // Service methods
@@ -229,43 +1227,58 @@ class APIClient {
     /**
      * Get available services
      */
-    async getServices() {
-        return this.get('/services');
+    async getServices(options = {}) {
+        return this.get('/services', {}, options);
     }
 
     /**
      * Get service details
      */
-    async getService(serviceId) {
-        return this.get(`/services/${serviceId}`);
+    async getService(serviceId, options = {}) {
+        return this.get(`/services/${serviceId}`, {}, options);
     }
 
     /**
      * Submit service application
      */
-    async submitApplication(serviceId, data) {
-        return this.post(`/services/${serviceId}/apply`, data);
+    async submitApplication(serviceId, data, options = {}) {
+        return this.post(`/services/${serviceId}/apply`, data, {
+            invalidates: ['/applications', '/dashboard'],
+            outboxLabel: 'Service application',
+            ...options
+        });
     }
 
     /**
      * Get user's applications
      */
-    async getApplications(params = {}) {
-        return this.get('/applications', params);
+    async getApplications(params = {}, options = {}) {
+        return this.get('/applications', params, options);
     }
 
     /**
      * Get application details
      */
-    async getApplication(applicationId) {
-        return this.get(`/applications/${applicationId}`);
+    async getApplication(applicationId, options = {}) {
+        return this.get(`/applications/${applicationId}`, {}, options);
     }
 
     /**
      * Update application
      */
-    async updateApplication(applicationId, data) {
-        return this.put(`/applications/${applicationId}`, data);
+    async updateApplication(applicationId, data, options = {}) {
+        return this.put(`/applications/${applicationId}`, data, {
+            invalidates: ['/applications', '/dashboard'],
+            outboxLabel: `Application #${applicationId} update`,
+            ...options
+        });
+    }
+
+    /**
+     * List user's applications as a paginated resource
+     */
+    listApplications(query = {}, options = {}) {
+        return this.paginate('/applications', { itemsKey: 'applications', query, ...options });
     }
 
     // Document methods
@@ -273,52 +1286,50 @@ class APIClient {
     /**
      * Get user's documents
      */
-    async getDocuments(params = {}) {
-        return this.get('/documents', params);
+    async getDocuments(params = {}, options = {}) {
+        return this.get('/documents', params, options);
     }
 
     /**
-     * Upload document
+     * List user's documents as a paginated resource
      */
-    async uploadDocument(file, metadata = {}) {
-        const formData = new FormData();
-        formData.append('file', file);
-
-        Object.keys(metadata).forEach(key => {
-            formData.append(key, metadata[key]);
-        });
-
-        return this.request('POST', '/documents/upload', formData, {
-            headers: {
-                // Don't set Content-Type, let browser set it with boundary
-                'Accept': 'application/json'
-            }
-        });
+    listDocuments(query = {}, options = {}) {
+        return this.paginate('/documents', { itemsKey: 'documents', query, ...options });
     }
 
     /**
-     * Download document
+     * Upload document, chunked and resumable for large files (see UploadManager)
      */
-    async downloadDocument(documentId) {
-        const response = await fetch(`${this.baseURL}/api/documents/${documentId}/download`, {
-            method: 'GET',
-            headers: {
-                'Authorization': this.token ? `Bearer ${this.token}` : ''
-            }
-        });
+    async uploadDocument(file, metadata = {}, options = {}) {
+        const response = await this.uploads.upload(file, metadata, options);
+        this.cache.invalidate('/documents', '/dashboard');
+        return response;
+    }
 
-        if (!response.ok) {
-            throw new Error('Download failed');
-        }
+    /**
+     * Download document as a Blob
+     */
+    async downloadDocument(documentId, options = {}) {
+        const result = await this.downloads.download(`/documents/${documentId}/download`, options);
+        return result.blob;
+    }
 
-        return response.blob();
+    /**
+     * Download document and save it to disk (see DownloadManager)
+     */
+    async saveDocument(documentId, options = {}) {
+        return this.downloads.save(`/documents/${documentId}/download`, { ...options, documentId });
     }
 
     /**
      * Delete document
      */
-    async deleteDocument(documentId) {
-        return this.delete(`/documents/${documentId}`);
+    async deleteDocument(documentId, options = {}) {
+        return this.delete(`/documents/${documentId}`, {
+            invalidates: ['/documents', '/dashboard'],
+            outboxLabel: 'Document deletion',
+            ...options
+        });
     }
 
     // Dashboard methods
@@ -326,22 +1337,25 @@ class APIClient {
     /**
      * Get dashboard data
      */
-    async getDashboard() {
-        return this.get('/dashboard');
+    async getDashboard(options = {}) {
+        return this.get('/dashboard', {}, options);
     }
 
     /**
      * Get dashboard statistics
      */
-    async getDashboardStats() {
-        return this.get('/dashboard/stats');
+    async getDashboardStats(options = {}) {
+        return this.get('/dashboard/stats', {}, options);
     }
 
     /**
      * Mark notification as read
      */
-    async markNotificationRead(notificationId) {
-        return this.post('/dashboard/notifications/read', { notification_id: notificationId });
+    async markNotificationRead(notificationId, options = {}) {
+        return this.post('/dashboard/notifications/read', { notification_id: notificationId }, {
+            invalidates: ['/dashboard'],
+            ...options
+        });
     }
 
     // Admin methods
@@ -349,29 +1363,38 @@ class APIClient {
     /**
      * Get admin statistics
      */
-    async getAdminStats() {
-        return this.get('/admin/stats');
+    async getAdminStats(options = {}) {
+        return this.get('/admin/stats', {}, options);
     }
 
     /**
      * Get system logs
      */
-    async getSystemLogs(params = {}) {
-        return this.get('/admin/logs', params);
+    async getSystemLogs(params = {}, options = {}) {
+        return this.get('/admin/logs', params, options);
+    }
+
+    /**
+     * List system logs as a paginated resource
+     */
+    listSystemLogs(query = {}, options = {}) {
+        return this.paginate('/admin/logs', { itemsKey: 'logs', query, ...options });
     }
 
     /**
      * Clear system cache
      */
-    async clearCache() {
-        return this.post('/admin/cache/clear');
+    async clearCache(options = {}) {
+        const response = await this.post('/admin/cache/clear', {}, options);
+        this.cache.clear();
+        return response;
     }
 
     /**
      * Get system configuration
      */
-    async getSystemConfig() {
-        return this.get('/admin/config');
+    async getSystemConfig(options = {}) {
+        return this.get('/admin/config', {}, options);
     }
 
     // AI methods
@@ -379,29 +1402,29 @@ class APIClient {
     /**
      * Generate text using AI
      */
-    async generateText(prompt, options = {}) {
-        return this.post('/ai/generate-text', { prompt, options });
+    async generateText(prompt, options = {}, requestOptions = {}) {
+        return this.post('/ai/generate-text', { prompt, options }, requestOptions);
     }
 
     /**
      * Analyze document with AI
      */
-    async analyzeDocument(content, options = {}) {
-        return this.post('/ai/analyze-document', { content, options });
+    async analyzeDocument(content, options = {}, requestOptions = {}) {
+        return this.post('/ai/analyze-document', { content, options }, requestOptions);
     }
 
     /**
      * Classify content with AI
      */
-    async classifyContent(content, categories, options = {}) {
-        return this.post('/ai/classify', { content, categories, options });
+    async classifyContent(content, categories, options = {}, requestOptions = {}) {
+        return this.post('/ai/classify', { content, categories, options }, requestOptions);
     }
 
     /**
      * Extract information with AI
      */
-    async extractInformation(text, fields, options = {}) {
-        return this.post('/ai/extract', { text, fields, options });
+    async extractInformation(text, fields, options = {}, requestOptions = {}) {
+        return this.post('/ai/extract', { text, fields, options }, requestOptions);
     }
 
     // Webhook methods
@@ -409,101 +1432,78 @@ class APIClient {
     /**
      * Get webhooks
      */
-    async getWebhooks() {
-        return this.get('/webhooks');
+    async getWebhooks(options = {}) {
+        return this.get('/webhooks', {}, options);
     }
 
     /**
      * Create webhook
      */
-    async createWebhook(data) {
-        return this.post('/webhooks', data);
+    async createWebhook(data, options = {}) {
+        return this.post('/webhooks', data, options);
     }
 
     /**
      * Update webhook
      */
-    async updateWebhook(webhookId, data) {
-        return this.put(`/webhooks/${webhookId}`, data);
+    async updateWebhook(webhookId, data, options = {}) {
+        return this.put(`/webhooks/${webhookId}`, data, { invalidates: ['/webhooks'], ...options });
     }
 
     /**
      * Delete webhook
      */
-    async deleteWebhook(webhookId) {
-        return this.delete(`/webhooks/${webhookId}`);
+    async deleteWebhook(webhookId, options = {}) {
+        return this.delete(`/webhooks/${webhookId}`, { invalidates: ['/webhooks'], ...options });
     }
 
     /**
      * Test webhook
      */
-    async testWebhook(webhookId) {
-        return this.post(`/webhooks/${webhookId}/test`);
+    async testWebhook(webhookId, options = {}) {
+        return this.post(`/webhooks/${webhookId}/test`, {}, options);
     }
 
-    // Utility methods
+    // Pagination methods
 
     /**
-     * Test API connectivity
+     * Create a paginated resource for a list endpoint
      */
-    async testConnection() {
-        try {
-            const response = await this.get('/health');
-            return response.status === 'healthy';
-        } catch (error) {
-            return false;
-        }
+    paginate(endpoint, options = {}) {
+        return new PaginatedResource(this, endpoint, options);
     }
 
     /**
-     * Get API information
+     * Create a query builder for a list endpoint schema, e.g. query('applications')
      */
-    async getApiInfo() {
-        return this.get('/info');
+    query(resource) {
+        const schema = this.listSchemas[resource];
+        if (!schema) {
+            throw new Error(`No list schema for '${resource}'`);
+        }
+
+        return new QueryBuilder(schema);
     }
 
+    // Utility methods
+
     /**
-     * Handle offline requests
+     * Test API connectivity
      */
-    queueOfflineRequest(method, endpoint, data) {
-        const offlineRequests = StorageUtils.get('offline_requests', []);
-        offlineRequests.push({
-            method,
-            endpoint,
-            data,
-            timestamp: Date.now(),
-            id: Math.random().toString(36).substr(2, 9)
-        });
-        StorageUtils.set('offline_requests', offlineRequests);
+    async testConnection(options = {}) {
+        try {
+            const response = await this.get('/health', {}, options);
+            return response.status === 'healthy';
+        } catch (error) {
+            return false;
+        }
     }
 
     /**
-     * Process queued offline requests
+     * Get API information
      */
-    async processOfflineRequests() {
-        const offlineRequests = StorageUtils.get('offline_requests', []);
-
-        if (offlineRequests.length === 0) {
-            return;
-        }
-
-        const successfulRequests = [];
-
-        for (const request of offlineRequests) {
-            try {
-                await this.request(request.method, request.endpoint, request.data);
-                successfulRequests.push(request.id);
-            } catch (error) {
-                console.error('Failed to process offline request:', error);
-            }
-        }
-
-        // Remove successful requests from queue
-        const remainingRequests = offlineRequests.filter(
-            req => !successfulRequests.includes(req.id)
-        );
-
-        StorageUtils.set('offline_requests', remainingRequests);
+    async getApiInfo(options = {}) {
+        return this.get('/info', {}, options);
     }
 }
 
@@ -6,14 +6,31 @@
 class App {
     constructor() {
         this.currentRoute = null;
-        this.currentUser = null;
-        this.isAuthenticated = false;
+        this.currentPage = null;
         this.components = new Map();
+        this.realtimeSubscription = null;
+
+        // Route table and access guards, see getRoutes()
+        this.router = new Router({
+            routes: this.getRoutes(),
+            guards: this.getRouteGuards()
+        });
 
         // Initialize app
         this.init();
     }
 
+    /**
+     * Signed in user, from the store
+     */
+    get currentUser() {
+        return Store.getState().user;
+    }
+
+    get isAuthenticated() {
+        return Store.getState().isAuthenticated;
+    }
+
     /**
      * Initialize the application
      */
@@ -24,6 +41,13 @@ class App {
             // Show loading screen
             this.showLoadingScreen();
 
+            // Hide or disable elements the user lacks permission for
+            Permissions.start();
+
+            // Restore stored state, then keep the header in step with it
+            await Store.hydrate();
+            this.bindStore();
+
             // Check authentication status
             await this.checkAuthentication();
 
@@ -52,13 +76,12 @@ class App {
      */
     async checkAuthentication() {
         try {
-            this.isAuthenticated = await API.checkAuth();
-
-            if (this.isAuthenticated) {
+            if (await API.checkAuth()) {
                 // Load user profile
                 const profile = await API.getProfile();
-                this.currentUser = profile.user;
-                this.updateUserInterface();
+                Store.dispatch('auth/signedIn', profile.user);
+                this.initRealtime();
+                Session.start(this.currentUser);
             } else {
                 this.showLoginForm();
             }
@@ -68,13 +91,38 @@ class App {
         }
     }
 
+    /**
+     * Update the API and header when the user changes, and the header when their unread notifications change
+     */
+    bindStore() {
+        Store.select(StoreSelectors.user, (user) => {
+            // Queued offline changes only replay for the user who made them
+            API.setUserId(user ? user.id : null);
+            this.updateUserInterface();
+        });
+        Store.select(StoreSelectors.unreadCount, count => this.updateNotificationCount(count));
+        this.updateNotificationCount(StoreSelectors.unreadCount(Store.getState()));
+    }
+
     /**
      * Initialize router
      */
     initRouter() {
+        Navigation.start();
+
+        // Pages can hold the user back, e.g. with unsaved changes
+        Navigation.beforeLeave((to) => {
+            const current = this.currentPage;
+            if (current && current.page.beforeLeave) {
+                return current.page.beforeLeave(current.container, current.context, to);
+            }
+        });
+
         // Handle browser navigation
-        window.addEventListener('popstate', (e) => {
-            this.handleRoute(URLUtils.getPath());
+        window.addEventListener('popstate', async (e) => {
+            if (await Navigation.handlePopState(e)) {
+                this.handleRoute(URLUtils.getPath());
+            }
         });
 
         // Handle custom route changes
@@ -87,6 +135,9 @@ class App {
      * Initialize components
      */
     initComponents() {
+        // Initialize cross-tab sync first so the leader is known
+        this.initTabSync();
+
         // Initialize sidebar toggle
         this.initSidebar();
 
@@ -95,6 +146,12 @@ class App {
 
         // Initialize logout functionality
         this.initLogout();
+
+        // Initialize offline outbox status
+        this.initOutbox();
+
+        // Initialize session timeout warning
+        this.initSessionTimeout();
     }
 
     /**
@@ -146,6 +203,106 @@ class App {
         }
     }
 
+    /**
+     * Initialize offline outbox status. The leader tab replays anything left from a previous visit.
+     */
+    initOutbox() {
+        const outboxStatus = DOMUtils.$('#outbox-status');
+
+        if (outboxStatus) {
+            ComponentRenderer.render('outbox-status', outboxStatus);
+        }
+
+        window.addEventListener('outboxconflict', (e) => {
+            NotificationUtils.warning(`"${e.detail.entry.label}" could not be saved: ${e.detail.error.message}`);
+        });
+    }
+
+    /**
+     * Keep open tabs in step: sign-in state, notification read state, outbox
+     * status and activity. Only the leader tab connects to realtime and replays the outbox.
+     */
+    initTabSync() {
+        API.onTokenChange(token => Tabs.publish('auth', { signedIn: Boolean(token) }));
+        Tabs.subscribe('auth', ({ signedIn }) => this.handleRemoteAuth(signedIn));
+
+        Tabs.subscribe('notification', (notification) => this.handleRealtimeNotification(notification));
+        Tabs.subscribe('notification-read', ({ id }) => this.applyNotificationRead(id));
+        Tabs.subscribe('application-update', (update) => this.handleApplicationUpdate(update));
+
+        API.outbox.subscribe((entries, source) => {
+            if (source === 'local') Tabs.publish('outbox');
+        });
+        Tabs.subscribe('outbox', () => API.outbox.notify('remote'));
+
+        Session.onActivity(time => Tabs.publish('activity', { time }));
+        Tabs.subscribe('activity', ({ time }) => Session.touch(time));
+
+        Tabs.onLeaderChange(isLeader => this.handleLeaderChange(isLeader));
+        Tabs.start();
+    }
+
+    /**
+     * Move the realtime connection and outbox replay to the leader tab
+     */
+    handleLeaderChange(isLeader) {
+        API.outbox.autoReplay = isLeader;
+
+        if (!this.isAuthenticated) return;
+
+        if (!isLeader) {
+            Realtime.disconnect();
+            return;
+        }
+
+        Realtime.connect();
+
+        if (navigator.onLine !== false) {
+            API.outbox.replay().catch(error => {
+                console.error('Failed to replay offline changes:', error);
+            });
+        }
+    }
+
+    /**
+     * Another tab signed in, refreshed its token or signed out
+     */
+    async handleRemoteAuth(signedIn) {
+        API.syncToken();
+
+        if (!signedIn && this.isAuthenticated) {
+            this.handleLogout('You were signed out in another tab.');
+        } else if (signedIn && !this.isAuthenticated) {
+            await this.checkAuthentication();
+
+            if (this.isAuthenticated) {
+                this.loadNotifications();
+                this.navigate(URLUtils.getPath() === '/login' ? '/dashboard' : URLUtils.getPath());
+            }
+        }
+    }
+
+    /**
+     * Initialize the idle and session expiry warning
+     */
+    initSessionTimeout() {
+        const sessionTimeout = DOMUtils.$('#session-timeout');
+
+        if (sessionTimeout) {
+            ComponentRenderer.render('session-timeout', sessionTimeout);
+        }
+
+        window.addEventListener('sessionend', (e) => {
+            const messages = {
+                idle: 'You were signed out because you were inactive.',
+                expired: 'Your session has expired. Please sign in again.',
+                user: 'You have been logged out successfully.'
+            };
+
+            this.handleLogout(messages[e.detail.reason], e.detail.redirectTo);
+        });
+    }
+
     /**
      * Initialize logout functionality
      */
@@ -154,6 +311,9 @@ class App {
 
         if (logoutBtn) {
             DOMUtils.on(logoutBtn, 'click', async () => {
+                // Signing out leaves the page, so ask about unsaved changes first
+                if (!(await Navigation.canLeave('/'))) return;
+
                 try {
                     await API.logout();
                     this.handleLogout();
@@ -173,61 +333,114 @@ class App {
         this.handleRoute(currentPath);
     }
 
+    /**
+     * Route table. Routes need a signed in user unless meta.public is set;
+     * meta.roles, meta.permissions and meta.features restrict them further,
+     * see getRouteGuards().
+     * Most routes name a page module (/js/pages/<page>.js, listed in routes.js)
+     * that is loaded on first visit; handlers receive the match and return the
+     * page HTML, or null when they take care of the route themselves.
+     */
+    getRoutes() {
+        return [
+            { path: '/login', name: 'login', meta: { public: true, guestOnly: true }, handler: () => '' },
+            {
+                path: OIDC.options.redirectPath,
+                name: 'oidc-callback',
+                meta: { public: true },
+                handler: () => {
+                    this.handleOidcCallback();
+                    return null;
+                }
+            },
+            ...window.PageRoutes,
+            { path: '*', name: 'not-found', page: 'not-found', meta: { public: true } }
+        ];
+    }
+
+    /**
+     * Access checks run before every route, in order
+     */
+    getRouteGuards() {
+        return [
+            (match) => {
+                if (!match.meta.public && !this.isAuthenticated) return '/login';
+            },
+            (match) => {
+                if (match.meta.guestOnly && this.isAuthenticated) return '/dashboard';
+            },
+            (match) => {
+                const { roles, permissions } = match.meta;
+                if ((roles && !roles.some(role => this.hasRole(role))) ||
+                    (permissions && !Permissions.hasAll(permissions))) {
+                    return { redirect: '/dashboard', message: 'Access denied. You do not have permission to view this page.' };
+                }
+            },
+            (match) => {
+                const features = match.meta.features;
+                if (features && !features.every(feature => this.hasFeature(feature))) {
+                    return { redirect: '/dashboard', message: 'This feature is not available yet.' };
+                }
+            }
+        ];
+    }
+
     /**
      * Handle route changes
      */
     handleRoute(path) {
         console.log('Handling route:', path);
 
-        // Check authentication requirements
-        if (this.requiresAuth(path) && !this.isAuthenticated) {
-            this.navigate('/login');
-            return;
-        }
+        // Paths from popstate and navigate() carry no query string; it is in the location
+        const url = path.includes('?') || path !== URLUtils.getPath() ? path : path + window.location.search;
+        const match = this.router.resolve(url);
 
-        // Check admin requirements
-        if (this.requiresAdmin(path) && (!this.isAuthenticated || !this.hasRole('admin'))) {
-            this.navigate('/dashboard');
-            NotificationUtils.warning('Access denied. Admin privileges required.');
+        const denied = this.router.check(match);
+        if (denied) {
+            if (denied.message) {
+                NotificationUtils.warning(denied.message);
+            }
+            this.navigate(denied.redirect, { replace: true, force: true });
             return;
         }
 
+        this.currentRoute = match;
+
         // Update active navigation
-        this.updateActiveNavigation(path);
+        this.updateActiveNavigation(match);
 
         // Load route content
-        this.loadRouteContent(path);
+        this.loadRouteContent(match);
     }
 
     /**
-     * Check if route requires authentication
+     * Check if user has role
      */
-    requiresAuth(path) {
-        const publicRoutes = ['/', '/about', '/contact', '/login'];
-        return !publicRoutes.includes(path) && !path.startsWith('/api/');
+    hasRole(role) {
+        return Permissions.hasRole(role);
     }
 
     /**
-     * Check if route requires admin privileges
+     * Check if user has a permission, see PermissionManager
      */
-    requiresAdmin(path) {
-        return path.startsWith('/admin/');
+    hasPermission(permission) {
+        return Permissions.has(permission);
     }
 
     /**
-     * Check if user has role
+     * Check if a feature flag is enabled for the user
      */
-    hasRole(role) {
-        return this.currentUser && this.currentUser.roles && this.currentUser.roles.includes(role);
+    hasFeature(feature) {
+        return Boolean(this.currentUser && this.currentUser.features && this.currentUser.features.includes(feature));
     }
 
     /**
-     * Navigate to route
+     * Navigate to route. Options: replace the history entry, force past leave guards.
      */
-    navigate(path) {
+    async navigate(path, options = {}) {
         if (URLUtils.getPath() !== path) {
-            URLUtils.navigate(path);
-        } else {
+            await Navigation.navigate(path, options);
+        } else if (options.force || await Navigation.canLeave(path)) {
             this.handleRoute(path);
         }
     }
@@ -235,7 +448,7 @@ class App {
     /**
      * Load route content
      */
-    async loadRouteContent(path) {
+    async loadRouteContent(match) {
         const contentContainer = DOMUtils.$('#page-content');
 
         if (!contentContainer) {
@@ -243,17 +456,44 @@ class App {
             return;
         }
 
-        // Show loading state
-        ComponentRenderer.render('loading', contentContainer, {
-            message: 'Loading page...'
-        });
+        // Drop responses still in flight for the previous page
+        API.cancelScope('route');
+
+        // Tear down the previous page before replacing its markup
+        this.unmountPage();
 
         try {
-            const content = await this.fetchRouteContent(path);
-            contentContainer.innerHTML = content;
+            if (match.route.handler) {
+                const content = await match.route.handler(match);
+                if (content !== null) {
+                    contentContainer.innerHTML = content;
+                    Navigation.complete(contentContainer);
+                }
+                return;
+            }
+
+            // Show loading state
+            ComponentRenderer.render('loading', contentContainer, {
+                message: 'Loading page...'
+            });
 
-            // Initialize page-specific components
-            this.initPageComponents(path);
+            const page = await LazyComponentLoader.loadPage(match.route.page);
+            const context = { ...match, app: this };
+
+            // The user may have moved on while the page was loading
+            if (this.currentRoute !== match) return;
+
+            contentContainer.innerHTML = await page.render(context);
+            this.currentPage = { page, container: contentContainer, context };
+
+            if (page.mount) {
+                await page.mount(contentContainer, context);
+            }
+
+            // Scroll and focus once the page has its content
+            if (this.currentRoute === match) {
+                Navigation.complete(contentContainer);
+            }
 
         } catch (error) {
             console.error('Failed to load route content:', error);
@@ -264,267 +504,26 @@ class App {
                     <button class="btn btn-primary" onclick="window.location.href='/'">Go Home</button>
                 </div>
             `;
+            Navigation.complete(contentContainer);
         }
     }
 
     /**
-     * Fetch route content from server
-     */
-    async fetchRouteContent(path) {
-        // For now, return static content based on route
-        // In a full implementation, this would fetch from the server
-        return this.getStaticContent(path);
-    }
-
-    /**
-     * Get static content for route (placeholder)
-     */
-    getStaticContent(path) {
-        const routes = {
-            '/': `
-                <div class="home-page">
-                    <section class="hero">
-                        <h1>Welcome to TPT Government Platform</h1>
-                        <p>Modern AI-powered government services at your fingertips</p>
-                        <div class="hero-actions">
-                            <a href="/services" class="btn btn-primary">Browse Services</a>
-                            <a href="/dashboard" class="btn btn-secondary">My Dashboard</a>
-                        </div>
-                    </section>
-
-                    <section class="features">
-                        <h2>Platform Features</h2>
-                        <div class="features-grid">
-                            <div class="feature-card">
-                                <div class="feature-icon">🤖</div>
-                                <h3>AI Integration</h3>
-                                <p>Powered by OpenAI, Anthropic, Gemini, and OpenRouter</p>
-                            </div>
-                            <div class="feature-card">
-                                <div class="feature-icon">📱</div>
-                                <h3>PWA Support</h3>
-                                <p>Works offline and installs like a native app</p>
-                            </div>
-                            <div class="feature-card">
-                                <div class="feature-icon">🔒</div>
-                                <h3>Secure & Compliant</h3>
-                                <p>GDPR compliant with comprehensive audit logging</p>
-                            </div>
-                            <div class="feature-card">
-                                <div class="feature-icon">🔧</div>
-                                <h3>Modular Design</h3>
-                                <p>Extensible plugin system for custom services</p>
-                            </div>
-                        </div>
-                    </section>
-                </div>
-            `,
-
-            '/dashboard': `
-                <div class="dashboard-page">
-                    <div class="page-header">
-                        <h1>Dashboard</h1>
-                        <p>Welcome back, ${this.currentUser?.name || 'User'}!</p>
-                    </div>
-
-                    <div id="dashboard-stats"></div>
-
-                    <div class="dashboard-grid">
-                        <div class="dashboard-section">
-                            <h2>Recent Activity</h2>
-                            <div class="activity-list">
-                                <div class="activity-item">
-                                    <div class="activity-icon">📝</div>
-                                    <div class="activity-content">
-                                        <div class="activity-title">Permit Application Submitted</div>
-                                        <div class="activity-time">2 hours ago</div>
-                                    </div>
-                                </div>
-                                <div class="activity-item">
-                                    <div class="activity-icon">📄</div>
-                                    <div class="activity-content">
-                                        <div class="activity-title">Document Uploaded</div>
-                                        <div class="activity-time">1 day ago</div>
-                                    </div>
-                                </div>
-                            </div>
-                        </div>
-
-                        <div class="dashboard-section">
-                            <h2>Quick Actions</h2>
-                            <div class="quick-actions">
-                                <a href="/services/permits" class="action-card">
-                                    <div class="action-icon">🏢</div>
-                                    <div class="action-title">Apply for Permit</div>
-                                </a>
-                                <a href="/services/taxes" class="action-card">
-                                    <div class="action-icon">💰</div>
-                                    <div class="action-title">File Taxes</div>
-                                </a>
-                                <a href="/documents" class="action-card">
-                                    <div class="action-icon">📄</div>
-                                    <div class="action-title">Upload Documents</div>
-                                </a>
-                            </div>
-                        </div>
-                    </div>
-                </div>
-            `,
-
-            '/services': `
-                <div class="services-page">
-                    <div class="page-header">
-                        <h1>Government Services</h1>
-                        <p>Access and apply for government services online</p>
-                    </div>
-
-                    <div class="services-grid" id="services-grid">
-                        <!-- Services will be loaded here -->
-                    </div>
-                </div>
-            `,
-
-            '/admin': `
-                <div class="admin-page">
-                    <div class="page-header">
-                        <h1>Administration</h1>
-                        <p>System administration and monitoring</p>
-                    </div>
-
-                    <div class="admin-grid">
-                        <div class="admin-section">
-                            <h2>System Statistics</h2>
-                            <div id="admin-stats">
-                                <div class="stat-item">
-                                    <span class="stat-label">Total Users:</span>
-                                    <span class="stat-value">1,250</span>
-                                </div>
-                                <div class="stat-item">
-                                    <span class="stat-label">Active Sessions:</span>
-                                    <span class="stat-value">89</span>
-                                </div>
-                                <div class="stat-item">
-                                    <span class="stat-label">API Requests Today:</span>
-                                    <span class="stat-value">12,450</span>
-                                </div>
-                            </div>
-                        </div>
-
-                        <div class="admin-section">
-                            <h2>System Health</h2>
-                            <div id="system-health">
-                                <div class="health-item">
-                                    <span class="health-label">Database:</span>
-                                    <span class="health-status status-healthy">Healthy</span>
-                                </div>
-                                <div class="health-item">
-                                    <span class="health-label">Cache:</span>
-                                    <span class="health-status status-healthy">Healthy</span>
-                                </div>
-                                <div class="health-item">
-                                    <span class="health-label">API:</span>
-                                    <span class="health-status status-healthy">Healthy</span>
-                                </div>
-                            </div>
-                        </div>
-                    </div>
-                </div>
-            `
-        };
-
-        return routes[path] || `
-            <div class="page-not-found">
-                <h1>Page Not Found</h1>
-                <p>The requested page could not be found.</p>
-                <a href="/" class="btn btn-primary">Go Home</a>
-            </div>
-        `;
-    }
-
-    /**
-     * Initialize page-specific components
-     */
-    initPageComponents(path) {
-        switch (path) {
-            case '/dashboard':
-                this.initDashboardComponents();
-                break;
-            case '/services':
-                this.initServicesComponents();
-                break;
-            case '/admin':
-                this.initAdminComponents();
-                break;
-        }
-    }
-
-    /**
-     * Initialize dashboard components
+     * Run the current page's unmount hook, if it has one
      */
-    initDashboardComponents() {
-        const statsContainer = DOMUtils.$('#dashboard-stats');
-        if (statsContainer) {
-            ComponentRenderer.render('dashboard-stats', statsContainer);
-        }
-    }
-
-    /**
-     * Initialize services components
-     */
-    async initServicesComponents() {
-        const servicesGrid = DOMUtils.$('#services-grid');
-        if (!servicesGrid) return;
-
-        try {
-            const response = await API.getServices();
-            const services = response.services || [];
-
-            servicesGrid.innerHTML = services.map(service => `
-                <div class="service-card" data-service-id="${service.id}">
-                    <div class="service-header">
-                        <div class="service-icon">${this.getServiceIcon(service.category)}</div>
-                        <h3 class="service-title">${service.name}</h3>
-                    </div>
-                    <div class="service-description">${service.description}</div>
-                    <div class="service-meta">
-                        <span class="service-category">${service.category}</span>
-                    </div>
-                    <div class="service-actions">
-                        <button class="btn btn-primary apply-btn" data-service-id="${service.id}">
-                            Apply Now
-                        </button>
-                        <button class="btn btn-secondary learn-more-btn" data-service-id="${service.id}">
-                            Learn More
-                        </button>
-                    </div>
-                </div>
-            `).join('');
-
-            // Add event listeners
-            DOMUtils.on(servicesGrid, 'click', '.apply-btn', (e) => {
-                const serviceId = e.target.getAttribute('data-service-id');
-                this.navigate(`/services/${serviceId}/apply`);
-            });
-
-            DOMUtils.on(servicesGrid, 'click', '.learn-more-btn', (e) => {
-                const serviceId = e.target.getAttribute('data-service-id');
-                this.navigate(`/services/${serviceId}`);
-            });
-
-        } catch (error) {
-            console.error('Failed to load services:', error);
-            servicesGrid.innerHTML = '<p>Failed to load services. Please try again.</p>';
+    unmountPage() {
+        const current = this.currentPage;
+        this.currentPage = null;
+
+        if (current && current.page.unmount) {
+            try {
+                current.page.unmount(current.container, current.context);
+            } catch (error) {
+                console.error('Failed to unmount page:', error);
+            }
         }
     }
 
-    /**
-     * Initialize admin components
-     */
-    initAdminComponents() {
-        // Admin components would be initialized here
-        console.log('Admin components initialized');
-    }
-
     /**
      * Get service icon
      */
@@ -542,7 +541,10 @@ class App {
     /**
      * Update active navigation
      */
-    updateActiveNavigation(path) {
+    updateActiveNavigation(match) {
+        // Nested routes highlight their top-level section
+        const path = match.matched[0].path;
+
         // Remove active class from all nav links
         DOMUtils.$$('.nav-link').forEach(link => {
             DOMUtils.removeClass(link, 'active');
@@ -562,7 +564,9 @@ class App {
         const appContainer = DOMUtils.$('#app');
         const loginContainer = DOMUtils.$('#login-form');
         const userNameElement = DOMUtils.$('#user-name');
-        const adminMenuItem = DOMUtils.$('.admin-only');
+
+        // Permission-gated elements follow the signed in user
+        Permissions.setUser(this.isAuthenticated ? this.currentUser : null);
 
         if (this.isAuthenticated && this.currentUser) {
             // Show app, hide login
@@ -574,11 +578,6 @@ class App {
                 userNameElement.textContent = this.currentUser.name;
             }
 
-            // Show admin menu if user is admin
-            if (adminMenuItem && this.hasRole('admin')) {
-                DOMUtils.toggle(adminMenuItem, true);
-            }
-
         } else {
             // Show login, hide app
             DOMUtils.toggle(appContainer, false);
@@ -602,26 +601,63 @@ class App {
                     NotificationUtils.error('Login failed: ' + error.message);
                 }
             });
+
+            this.loadIdentityProviders(loginFormContainer);
         }
 
         this.updateUserInterface();
     }
 
     /**
-     * Handle successful login
+     * Offer agency identity providers on the login form
      */
-    handleLoginSuccess(result) {
-        this.isAuthenticated = true;
-        this.currentUser = result.user;
+    async loadIdentityProviders(container) {
+        try {
+            const providers = await OIDC.getProviders();
+            ComponentRenderer.update(container, { providers });
+        } catch (error) {
+            // Password sign-in still works without them
+            console.error('Failed to load identity providers:', error);
+        }
+    }
 
-        // Update UI
-        this.updateUserInterface();
+    /**
+     * Finish signing in through an identity provider
+     */
+    async handleOidcCallback() {
+        const callbackURL = window.location.href;
+
+        // Keep the authorization code out of history
+        window.history.replaceState({}, '', '/');
+
+        try {
+            const result = await OIDC.handleCallback(callbackURL);
+            const profile = result.user ? result : await API.getProfile();
+            this.handleLoginSuccess({ ...result, user: profile.user }, result.returnTo);
+        } catch (error) {
+            console.error('Identity provider sign-in failed:', error);
+            NotificationUtils.error('Login failed: ' + error.message);
+            this.navigate('/login');
+        }
+    }
+
+    /**
+     * Handle successful login
+     */
+    handleLoginSuccess(result, returnTo = '/dashboard') {
+        Store.dispatch('auth/signedIn', result.user);
 
         // Load notifications
         this.loadNotifications();
 
-        // Navigate to dashboard
-        this.navigate('/dashboard');
+        // Start receiving live updates
+        this.initRealtime();
+
+        // Watch for inactivity and session expiry
+        Session.start(this.currentUser);
+
+        // Navigate to where sign-in started
+        this.navigate(returnTo || '/dashboard');
 
         NotificationUtils.success('Welcome back, ' + this.currentUser.name + '!');
     }
@@ -629,20 +665,21 @@ class App {
     /**
      * Handle logout
      */
-    handleLogout() {
-        this.isAuthenticated = false;
-        this.currentUser = null;
+    handleLogout(message = 'You have been logged out successfully.', redirectTo = '/') {
+        // Stop live updates and session tracking
+        this.stopRealtime();
+        Session.stop();
 
         // Clear components
-        ComponentRenderer.unmount(DOMUtils.$('#dashboard-stats'));
+        this.unmountPage();
 
-        // Update UI
-        this.updateUserInterface();
+        // Forget the user; the header follows the store
+        Store.dispatch('auth/signedOut');
 
-        // Navigate to home
-        this.navigate('/');
+        // Navigate away from the signed in pages
+        this.navigate(redirectTo, { force: true });
 
-        NotificationUtils.success('You have been logged out successfully.');
+        NotificationUtils.success(message);
     }
 
     /**
@@ -672,47 +709,120 @@ class App {
                 }
             ];
 
-            // Update notification count
-            const unreadCount = notifications.filter(n => !n.read).length;
-            const notificationCount = DOMUtils.$('#notification-count');
+            Store.dispatch('notifications/loaded', notifications);
 
-            if (notificationCount) {
-                if (unreadCount > 0) {
-                    notificationCount.textContent = unreadCount;
-                    DOMUtils.toggle(notificationCount, true);
-                } else {
-                    DOMUtils.toggle(notificationCount, false);
-                }
+        } catch (error) {
+            console.error('Failed to load notifications:', error);
+        }
+    }
+
+    /**
+     * Show the unread notification count in the header
+     */
+    updateNotificationCount(unreadCount) {
+        const notificationCount = DOMUtils.$('#notification-count');
+
+        if (notificationCount) {
+            if (unreadCount > 0) {
+                notificationCount.textContent = unreadCount;
+                DOMUtils.toggle(notificationCount, true);
+            } else {
+                DOMUtils.toggle(notificationCount, false);
             }
+        }
+    }
 
-            // Store notifications
-            StorageUtils.set('notifications', notifications);
+    /**
+     * Connect to the realtime channel and subscribe to the user's topics
+     */
+    initRealtime() {
+        if (!this.isAuthenticated || !this.currentUser) return;
+
+        this.stopRealtime();
+
+        // Events reach the leader tab, which passes them on; every tab stores them
+        this.realtimeSubscription = Realtime.subscribeUser(this.currentUser.id, {
+            notifications: (notification) => {
+                Tabs.publish('notification', notification);
+                this.handleRealtimeNotification(notification);
+            },
+            applications: (update) => {
+                Tabs.publish('application-update', update);
+                this.handleApplicationUpdate(update);
+            }
+        });
 
-        } catch (error) {
-            console.error('Failed to load notifications:', error);
+        if (Tabs.isLeader) {
+            Realtime.connect();
         }
     }
 
+    /**
+     * Disconnect from the realtime channel
+     */
+    stopRealtime() {
+        if (this.realtimeSubscription) {
+            this.realtimeSubscription();
+            this.realtimeSubscription = null;
+        }
+
+        Realtime.disconnect();
+    }
+
+    /**
+     * Store and show a notification pushed by the server. The header count
+     * and the open notifications panel follow the store.
+     */
+    handleRealtimeNotification(notification) {
+        Store.dispatch('notifications/received', notification);
+
+        NotificationUtils.show(notification.title, notification.type || 'info');
+    }
+
+    /**
+     * Handle an application status change pushed by the server
+     */
+    handleApplicationUpdate(update) {
+        API.cache.invalidate('/applications', '/dashboard');
+
+        // Refresh the dashboard if it is showing
+        const stats = ComponentRenderer.get(DOMUtils.$('#dashboard-stats'));
+        if (stats) {
+            stats.loadStats();
+        }
+
+        NotificationUtils.show(`Application #${update.application_id} is now ${update.status}`, 'info');
+    }
+
     /**
      * Toggle notifications panel
      */
     toggleNotifications() {
-        const notifications = StorageUtils.get('notifications', []);
         const notificationContainer = DOMUtils.$('#notification-container');
 
         if (notificationContainer) {
-            if (notificationContainer.children.length > 0) {
+            if (ComponentRenderer.get(notificationContainer)) {
                 // Hide notifications
-                notificationContainer.innerHTML = '';
+                ComponentRenderer.unmount(notificationContainer);
             } else {
                 // Show notifications
                 ComponentRenderer.render('notifications', notificationContainer, {
-                    notifications: notifications
+                    onRead: (id) => {
+                        this.applyNotificationRead(id);
+                        Tabs.publish('notification-read', { id });
+                    }
                 });
             }
         }
     }
 
+    /**
+     * Mark a notification read in the store
+     */
+    applyNotificationRead(id) {
+        Store.dispatch('notifications/read', id);
+    }
+
     /**
      * Show loading screen
      */
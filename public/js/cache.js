@@ -0,0 +1,228 @@
+/**
+ * TPT Government Platform - Response Cache
+ * In-memory GET response cache with TTLs, ETag/Last-Modified validators and in-flight request sharing
+ */
+
+class ResponseCache {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 100;
+
+        // Cached responses by key, oldest first so the first entry is evicted when full
+        this.entries = new Map();
+
+        // Requests currently on the wire by key, shared by everyone asking for the same resource
+        this.inFlight = new Map();
+
+        // TTLs by endpoint prefix, see setPolicy()
+        this.policies = [];
+    }
+
+    /**
+     * Build the cache key for an endpoint and its query parameters
+     */
+    getKey(endpoint, params = null) {
+        if (!params || typeof params !== 'object') {
+            return endpoint;
+        }
+
+        const query = Object.keys(params)
+            .filter(key => params[key] !== null && params[key] !== undefined)
+            .sort()
+            .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`)
+            .join('&');
+
+        return query ? `${endpoint}?${query}` : endpoint;
+    }
+
+    /**
+     * Check if a key belongs to an endpoint prefix or matches a RegExp.
+     * '/applications' matches '/applications', '/applications/12' and '/applications?page=2'.
+     */
+    matches(key, pattern) {
+        if (pattern instanceof RegExp) {
+            return pattern.test(key);
+        }
+
+        return key === pattern || key.startsWith(`${pattern}/`) || key.startsWith(`${pattern}?`);
+    }
+
+    /**
+     * Set how long responses under an endpoint prefix stay fresh, in milliseconds
+     */
+    setPolicy(pattern, { ttl = 0 } = {}) {
+        this.policies = this.policies.filter(policy => String(policy.pattern) !== String(pattern));
+        this.policies.push({ pattern, ttl });
+    }
+
+    /**
+     * Get the TTL for a key: explicit option, then policy, then the server's Cache-Control max-age
+     */
+    resolveTTL(key, ttl = undefined, cacheControl = null) {
+        if (ttl !== undefined && ttl !== null) {
+            return ttl;
+        }
+
+        const policy = this.policies.find(entry => this.matches(key, entry.pattern));
+        if (policy) {
+            return policy.ttl;
+        }
+
+        const maxAge = cacheControl && cacheControl.match(/max-age=(\d+)/i);
+        return maxAge ? parseInt(maxAge[1], 10) * 1000 : 0;
+    }
+
+    /**
+     * Get a cached entry
+     */
+    get(key) {
+        return this.entries.get(key) || null;
+    }
+
+    /**
+     * Check if an entry can be served without asking the server
+     */
+    isFresh(entry) {
+        return Boolean(entry) && entry.expiresAt > Date.now();
+    }
+
+    /**
+     * Store a response. Responses that can neither be served fresh nor revalidated are skipped.
+     */
+    set(key, data, { ttl = 0, etag = null, lastModified = null } = {}) {
+        if (ttl <= 0 && !etag && !lastModified) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        const entry = {
+            data,
+            etag,
+            lastModified,
+            ttl,
+            storedAt: Date.now(),
+            expiresAt: Date.now() + ttl
+        };
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Mark an entry fresh again after the server answered 304 Not Modified
+     */
+    touch(key, ttl = null) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        if (ttl !== null) {
+            entry.ttl = ttl;
+        }
+        entry.expiresAt = Date.now() + entry.ttl;
+        return entry;
+    }
+
+    /**
+     * Conditional request headers for revalidating an entry
+     */
+    getValidators(entry) {
+        const headers = {};
+
+        if (entry && entry.etag) {
+            headers['If-None-Match'] = entry.etag;
+        }
+        if (entry && entry.lastModified) {
+            headers['If-Modified-Since'] = entry.lastModified;
+        }
+
+        return headers;
+    }
+
+    /**
+     * Evict entries by endpoint prefix or RegExp. Returns the number of entries removed.
+     */
+    invalidate(...patterns) {
+        let removed = 0;
+
+        patterns.flat().forEach(pattern => {
+            Array.from(this.entries.keys()).forEach(key => {
+                if (this.matches(key, pattern)) {
+                    this.entries.delete(key);
+                    removed++;
+                }
+            });
+        });
+
+        return removed;
+    }
+
+    /**
+     * Forget every cached response
+     */
+    clear() {
+        this.entries.clear();
+    }
+
+    /**
+     * Share one in-flight request between callers asking for the same key.
+     * Each caller can abort with its own signal; the request itself is only
+     * aborted once every caller has given up on it.
+     */
+    dedupe(key, signal, fetcher) {
+        let flight = this.inFlight.get(key);
+
+        if (!flight) {
+            const controller = new AbortController();
+            flight = { controller, waiters: 0 };
+            flight.promise = fetcher(controller.signal);
+            this.inFlight.set(key, flight);
+
+            const done = () => {
+                if (this.inFlight.get(key) === flight) {
+                    this.inFlight.delete(key);
+                }
+            };
+            flight.promise.then(done, done);
+        }
+
+        flight.waiters++;
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                flight.waiters--;
+                if (flight.waiters === 0) {
+                    this.inFlight.delete(key);
+                    flight.controller.abort();
+                }
+                reject(new RequestCancelledError());
+            };
+
+            if (signal && signal.aborted) {
+                onAbort();
+                return;
+            }
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            const settle = (callback) => (value) => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                callback(value);
+            };
+            flight.promise.then(settle(resolve), settle(reject));
+        });
+    }
+}
+
+// Export response cache
+window.ResponseCache = ResponseCache;
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResponseCache;
+}
@@ -3,6 +3,48 @@
  * React-like component system without external dependencies
  */
 
+// Render scheduler. Components queued during a frame render once, together,
+// on the next animation frame.
+class RenderScheduler {
+    constructor() {
+        this.queue = new Set();
+        this.frame = null;
+    }
+
+    /**
+     * Queue a component to render on the next frame
+     */
+    schedule(component) {
+        this.queue.add(component);
+
+        if (this.frame === null) {
+            const requestFrame = window.requestAnimationFrame || (callback => setTimeout(callback, 16));
+            this.frame = requestFrame(() => this.flush());
+        }
+    }
+
+    /**
+     * Drop a queued render, e.g. because the component rendered or unmounted already
+     */
+    cancel(component) {
+        this.queue.delete(component);
+    }
+
+    /**
+     * Render everything queued now
+     */
+    flush() {
+        const components = Array.from(this.queue);
+        this.queue.clear();
+        this.frame = null;
+
+        components.forEach(component => component.update());
+    }
+}
+
+// Global render scheduler
+window.RenderScheduler = new RenderScheduler();
+
 // Base Component class
 class Component {
     constructor(props = {}) {
@@ -10,16 +52,36 @@ class Component {
         this.state = {};
         this.element = null;
         this.eventListeners = [];
+        this.effects = [];
+        this.unmounted = false;
+
+        // Child components, by key: those mounted, and those declared by the render in progress
+        this.uid = ++Component.instances;
+        this.children = new Map();
+        this.declaredChildren = new Map();
+
+        // Props and state as of the last render, for componentDidUpdate()
+        this.renderedProps = null;
+        this.renderedState = null;
     }
 
     /**
-     * Set component state
+     * Set component state. State changes straight away; the DOM follows on the
+     * next animation frame, once for all the changes made until then. Accepts
+     * an object or a function (state, props) => changes. Ignored after
+     * unmount, so late async results cannot touch a removed component.
      */
     setState(newState) {
+        if (this.unmounted) return;
+
         const prevState = { ...this.state };
-        this.state = { ...this.state, ...newState };
+        const changes = typeof newState === 'function' ? newState(prevState, this.props) : newState;
+        this.state = { ...this.state, ...changes };
         this.onStateChange(prevState, this.state);
-        this.update();
+
+        if (this.element) {
+            window.RenderScheduler.schedule(this);
+        }
     }
 
     /**
@@ -45,16 +107,27 @@ class Component {
     }
 
     /**
-     * Update component in DOM
+     * Update component in DOM now. The new markup is patched into the existing
+     * nodes, so focus and typed input survive; listeners from bindEvents()
+     * are removed and bound again on the kept nodes.
      */
     update() {
         if (!this.element) return;
 
-        const newHTML = this.render();
-        if (this.element.innerHTML !== newHTML) {
-            this.element.innerHTML = newHTML;
-            this.bindEvents();
-        }
+        window.RenderScheduler.cancel(this);
+
+        DOMPatcher.patch(this.element, this.renderTemplate());
+        this.syncChildren();
+        this.removeEventListeners();
+        this.bindEvents();
+
+        const prevProps = this.renderedProps;
+        const prevState = this.renderedState;
+        this.renderedProps = { ...this.props };
+        this.renderedState = { ...this.state };
+
+        this.componentDidUpdate(prevProps, prevState);
+        this.runEffects();
     }
 
     /**
@@ -62,15 +135,27 @@ class Component {
      */
     mount(container) {
         this.element = container;
-        this.element.innerHTML = this.render();
+        this.unmounted = false;
+        this.element.innerHTML = this.renderTemplate();
+        this.syncChildren();
+        this.renderedProps = { ...this.props };
+        this.renderedState = { ...this.state };
         this.bindEvents();
         this.onMount();
+        this.runEffects();
     }
 
     /**
      * Unmount component
      */
     unmount() {
+        window.RenderScheduler.cancel(this);
+        this.unmounted = true;
+
+        this.children.forEach(child => child.unmount());
+        this.children.clear();
+
+        this.effects.forEach(effect => this.cleanupEffect(effect));
         this.onUnmount();
         this.removeEventListeners();
 
@@ -80,6 +165,149 @@ class Component {
         }
     }
 
+    /**
+     * Render, collecting the children the markup declares
+     */
+    renderTemplate() {
+        this.declaredChildren = new Map();
+        return this.render();
+    }
+
+    /**
+     * Declare a child component in render(). Returns the element the child
+     * mounts into. The child is mounted with this component, gets the new
+     * props whenever this component renders, and is unmounted when a render
+     * leaves it out or this component unmounts. Props may include callbacks.
+     *
+     * type is a registered component name or a component class. Children are
+     * matched across renders by props.key, or by type and order. slots is
+     * html`` markup for the default slot, or an object of named slots; the
+     * child shows them with slot().
+     *
+     *   render() {
+     *       return html`
+     *           ${this.child('service-card', { key: service.id, service, onApply: id => this.apply(id) }, {
+     *               actions: html`<a href="/services/${service.id}">Details</a>`
+     *           })}
+     *       `;
+     *   }
+     */
+    child(type, props = {}, slots = {}) {
+        const name = typeof type === 'string' ? type : type.name;
+        const index = Array.from(this.declaredChildren.values()).filter(declared => declared.type === type).length;
+        const key = `${this.uid}:${props.key !== undefined ? props.key : `${name}-${index}`}`;
+
+        if (this.declaredChildren.has(key)) {
+            throw new Error(`Child component key '${key}' is used more than once`);
+        }
+
+        const named = slots instanceof SafeHTML || typeof slots === 'string' ? { default: slots } : slots;
+        this.declaredChildren.set(key, { type, props: { ...props, slots: named } });
+
+        return html`<div data-child="${key}" data-key="${key}"></div>`;
+    }
+
+    /**
+     * Slot content given by the parent, for render()
+     */
+    slot(name = 'default', fallback = '') {
+        const slots = this.props.slots || {};
+        return slots[name] !== undefined ? slots[name] : fallback;
+    }
+
+    /**
+     * Mount, update and unmount children to match the last render
+     */
+    syncChildren() {
+        const previous = this.children;
+        this.children = new Map();
+
+        // A child declared inside another child's slot only has an element
+        // once that child has rendered, so keep going while children mount
+        let pending = Array.from(this.declaredChildren.entries());
+        while (pending.length > 0) {
+            const waiting = pending.filter(([key, declared]) => !this.syncChild(key, declared, previous));
+            if (waiting.length === pending.length) break;
+            pending = waiting;
+        }
+
+        previous.forEach(component => component.unmount());
+    }
+
+    /**
+     * Mount or update one declared child. Returns false while its element is missing.
+     */
+    syncChild(key, declared, previous) {
+        const element = Array.from(this.element.querySelectorAll('[data-child]'))
+            .find(candidate => candidate.getAttribute('data-child') === key);
+        if (!element) return false;
+
+        let component = previous.get(key);
+        previous.delete(key);
+
+        if (component && component.childType === declared.type && component.element === element) {
+            component.props = declared.props;
+            component.update();
+        } else {
+            if (component) component.unmount();
+
+            component = typeof declared.type === 'string'
+                ? window.ComponentRegistry.create(declared.type, declared.props)
+                : new declared.type(declared.props);
+            component.childType = declared.type;
+            component.mount(element);
+        }
+
+        this.children.set(key, component);
+        return true;
+    }
+
+    /**
+     * Called after each update with the props and state of the previous render
+     */
+    componentDidUpdate(prevProps, prevState) {
+        // Override in child components
+    }
+
+    /**
+     * Register a side effect, run after the component renders. The effect may
+     * return a cleanup function, called before it runs again and on unmount.
+     * deps(props, state) lists the values the effect uses; it runs again when
+     * one of them changes. Without deps it runs once, after mount.
+     *
+     *   this.addEffect(() => outbox.subscribe(entries => this.setState({ entries })));
+     *   this.addEffect(() => this.load(this.props.id), (props) => [props.id]);
+     */
+    addEffect(effect, deps = null) {
+        this.effects.push({ effect, deps, values: null, cleanup: null });
+    }
+
+    runEffects() {
+        this.effects.forEach(record => {
+            const values = record.deps ? record.deps(this.props, this.state) : [];
+            const changed = record.values === null ||
+                values.length !== record.values.length ||
+                values.some((value, index) => !Object.is(value, record.values[index]));
+
+            if (!changed) return;
+
+            this.cleanupEffect(record);
+            record.values = values;
+
+            const cleanup = record.effect();
+            record.cleanup = typeof cleanup === 'function' ? cleanup : null;
+        });
+    }
+
+    cleanupEffect(record) {
+        if (record.cleanup) {
+            const cleanup = record.cleanup;
+            record.cleanup = null;
+            cleanup();
+        }
+        record.values = null;
+    }
+
     /**
      * Bind event listeners
      */
@@ -105,6 +333,32 @@ class Component {
         this.eventListeners.push({ element, event, handler });
     }
 
+    /**
+     * Check whether the signed in user has a permission, e.g. this.can('cases.edit')
+     */
+    can(permission) {
+        return window.Permissions.has(permission);
+    }
+
+    /**
+     * Keep state[key] in step with a store selector while mounted. Call from the constructor.
+     *
+     *   this.bindStore('unread', StoreSelectors.unreadNotifications);
+     */
+    bindStore(key, selector, store = window.Store) {
+        this.state[key] = selector(store.getState());
+
+        this.addEffect(() => {
+            // Catch up on anything dispatched before mount
+            const value = selector(store.getState());
+            if (!Object.is(value, this.state[key])) {
+                this.setState({ [key]: value });
+            }
+
+            return store.select(selector, next => this.setState({ [key]: next }));
+        });
+    }
+
     /**
      * Called when component is mounted
      */
@@ -134,6 +388,9 @@ class Component {
     }
 }
 
+// Instance count, for child keys that are unique across the page
+Component.instances = 0;
+
 // Component registry
 class ComponentRegistry {
     constructor() {
@@ -239,9 +496,9 @@ class LoadingComponent extends Component {
     }
 
     render() {
-        return `
+        return html`
             <div class="loading-state">
-                ${this.state.showSpinner ? '<div class="loading-spinner"></div>' : ''}
+                ${this.state.showSpinner ? html`<div class="loading-spinner"></div>` : ''}
                 <p>${this.state.message}</p>
             </div>
         `;
@@ -258,6 +515,11 @@ class NotificationComponent extends Component {
         this.state = {
             notifications: props.notifications || []
         };
+
+        // Without a fixed list, show the unread notifications in the store
+        if (!props.notifications) {
+            this.bindStore('notifications', StoreSelectors.unreadNotifications);
+        }
     }
 
     render() {
@@ -265,10 +527,10 @@ class NotificationComponent extends Component {
             return '';
         }
 
-        return `
+        return html`
             <div class="notifications-list">
-                ${this.state.notifications.map(notification => `
-                    <div class="notification-item notification-${notification.type}" data-id="${notification.id}">
+                ${this.state.notifications.map(notification => html`
+                    <div class="notification-item notification-${notification.type}" data-key="${notification.id}" data-id="${notification.id}">
                         <div class="notification-header">
                             <span class="notification-title">${notification.title}</span>
                             <span class="notification-time">${DateUtils.relativeTime(notification.timestamp)}</span>
@@ -282,7 +544,7 @@ class NotificationComponent extends Component {
                             </button>
                         </div>
                     </div>
-                `).join('')}
+                `)}
             </div>
         `;
     }
@@ -297,15 +559,22 @@ class NotificationComponent extends Component {
     }
 
     markAsRead(notificationId) {
-        // Remove from local state
-        this.setState({
-            notifications: this.state.notifications.filter(n => n.id != notificationId)
-        });
+        this.removeNotification(notificationId);
 
         // Mark as read in API
         API.markNotificationRead(notificationId).catch(error => {
             console.error('Failed to mark notification as read:', error);
         });
+
+        if (this.props.onRead) {
+            this.props.onRead(notificationId);
+        }
+    }
+
+    removeNotification(notificationId) {
+        this.setState({
+            notifications: this.state.notifications.filter(n => n.id != notificationId)
+        });
     }
 
     addNotification(notification) {
@@ -333,15 +602,15 @@ class FormComponent extends Component {
     }
 
     render() {
-        return `
+        return html`
             <form class="form" id="${this.props.id || 'form'}">
                 ${this.renderFields()}
                 <div class="form-actions">
                     <button type="submit" class="btn btn-primary" ${this.state.loading ? 'disabled' : ''}>
                         <span class="btn-text">${this.props.submitText || 'Submit'}</span>
-                        ${this.state.loading ? '<div class="btn-spinner"></div>' : ''}
+                        ${this.state.loading ? html`<div class="btn-spinner"></div>` : ''}
                     </button>
-                    ${this.props.cancelText ? `<button type="button" class="btn btn-secondary cancel-btn">${this.props.cancelText}</button>` : ''}
+                    ${this.props.cancelText ? html`<button type="button" class="btn btn-secondary cancel-btn">${this.props.cancelText}</button>` : ''}
                 </div>
             </form>
         `;
@@ -383,14 +652,12 @@ class FormComponent extends Component {
         this.onSubmit(formData)
             .then(result => {
                 this.setState({ loading: false });
-                if (this.props.onSuccess) {
-                    this.props.onSuccess(result);
-                }
+                this.onSubmitSuccess(result);
             })
             .catch(error => {
                 this.setState({
                     loading: false,
-                    errors: { general: error.message }
+                    errors: this.getSubmitErrors(error)
                 });
                 if (this.props.onError) {
                     this.props.onError(error);
@@ -398,6 +665,70 @@ class FormComponent extends Component {
             });
     }
 
+    /**
+     * Map a failed submission onto form fields.
+     * Server field errors for inputs in this form are shown next to the input,
+     * anything else is collected into the general message.
+     */
+    getSubmitErrors(error) {
+        if (!(error instanceof ValidationError)) {
+            return { general: error.message };
+        }
+
+        const form = this.$('form');
+        const fieldErrors = error.getFieldErrors();
+        const errors = {};
+        const unmatched = [];
+
+        Object.keys(fieldErrors).forEach(field => {
+            if (form && form.elements.namedItem(field)) {
+                errors[field] = fieldErrors[field];
+            } else {
+                unmatched.push(fieldErrors[field]);
+            }
+        });
+
+        if (unmatched.length > 0) {
+            errors.general = unmatched.join(' ');
+        } else if (Object.keys(errors).length === 0) {
+            errors.general = error.message;
+        }
+
+        return errors;
+    }
+
+    /**
+     * Flag a field with an error for assistive technology, in its markup so
+     * every render keeps it: <input name="email" ${this.fieldErrorAttributes('email')}>
+     */
+    fieldErrorAttributes(name) {
+        return this.state.errors[name]
+            ? html`aria-invalid="true" aria-describedby="${this.getFieldErrorId(name)}"`
+            : '';
+    }
+
+    /**
+     * The error message for a field, which fieldErrorAttributes() points to
+     */
+    renderFieldError(name) {
+        return this.state.errors[name]
+            ? html`<div class="error-message" id="${this.getFieldErrorId(name)}">${this.state.errors[name]}</div>`
+            : '';
+    }
+
+    getFieldErrorId(name) {
+        return `${this.props.id || 'form'}-${name}-error`;
+    }
+
+    /**
+     * Called with the result of a successful submission
+     */
+    onSubmitSuccess(result) {
+        if (this.props.onSuccess) {
+            this.props.onSuccess(result);
+        }
+    }
+
     handleCancel() {
         if (this.props.onCancel) {
             this.props.onCancel();
@@ -409,9 +740,12 @@ class FormComponent extends Component {
         return { isValid: true, errors: {} };
     }
 
+    /**
+     * Send the form data. Uses props.onSubmit when the parent passes one.
+     */
     onSubmit(data) {
         // Override in child components
-        return Promise.resolve(data);
+        return Promise.resolve(this.props.onSubmit ? this.props.onSubmit(data) : data);
     }
 }
 
@@ -421,40 +755,175 @@ class LoginFormComponent extends FormComponent {
         super(props);
         this.props.submitText = 'Sign In';
         this.props.id = 'login-form';
+
+        // MFA challenge returned by API.login(), see renderMfaFields()
+        this.state.challenge = null;
+        this.state.mfaMethod = null;
+    }
+
+    static get MFA_METHOD_LABELS() {
+        return {
+            totp: 'Authenticator app',
+            webauthn: 'Security key',
+            recovery_code: 'Recovery code'
+        };
+    }
+
+    render() {
+        return html`${super.render()}${this.renderProviders()}`;
+    }
+
+    /**
+     * Buttons for signing in through an identity provider (props.providers from OIDC.getProviders())
+     */
+    renderProviders() {
+        const providers = this.props.providers || [];
+
+        if (this.state.challenge || providers.length === 0) {
+            return '';
+        }
+
+        return html`
+            <div class="oidc-providers">
+                <p class="oidc-divider"><span>or</span></p>
+                ${providers.map(provider => html`
+                    <button type="button" class="btn btn-secondary oidc-login" data-provider="${provider.id}"
+                            ${this.state.loading ? 'disabled' : ''}>
+                        Sign in with ${provider.name}
+                    </button>
+                `)}
+            </div>
+        `;
     }
 
     renderFields() {
-        return `
+        if (this.state.challenge) {
+            return this.renderMfaFields();
+        }
+
+        return html`
             <div class="form-group">
                 <label for="email">Email Address</label>
                 <input type="email" id="email" name="email" required
                        value="${this.state.data.email || ''}"
-                       placeholder="your.email@gov.local">
-                ${this.state.errors.email ? `<div class="error-message">${this.state.errors.email}</div>` : ''}
+                       placeholder="your.email@gov.local"
+                       ${this.fieldErrorAttributes('email')}>
+                ${this.renderFieldError('email')}
             </div>
 
             <div class="form-group">
                 <label for="password">Password</label>
                 <input type="password" id="password" name="password" required
-                       placeholder="Enter your password">
-                ${this.state.errors.password ? `<div class="error-message">${this.state.errors.password}</div>` : ''}
+                       placeholder="Enter your password"
+                       ${this.fieldErrorAttributes('password')}>
+                ${this.renderFieldError('password')}
             </div>
 
-            ${this.state.errors.general ? `<div class="error-message general-error">${this.state.errors.general}</div>` : ''}
+            ${this.state.errors.general ? html`<div class="error-message general-error">${this.state.errors.general}</div>` : ''}
         `;
     }
 
+    renderMfaFields() {
+        const { mfaMethod, errors } = this.state;
+        const methods = this.getMfaMethods();
+        const labels = LoginFormComponent.MFA_METHOD_LABELS;
+
+        return html`
+            <div class="mfa-step">
+                <p class="mfa-intro">Confirm it's you with your second factor.</p>
+
+                ${methods.length > 1 ? html`
+                    <div class="mfa-methods">
+                        ${methods.map(method => html`
+                            <button type="button" class="btn btn-sm mfa-method ${method === mfaMethod ? 'active' : ''}"
+                                    data-method="${method}" aria-pressed="${method === mfaMethod}">
+                                ${labels[method] || method}
+                            </button>
+                        `)}
+                    </div>
+                ` : ''}
+
+                ${mfaMethod === 'webauthn' ? html`
+                    <p class="mfa-hint">Select Verify, then use your security key or passkey when your browser asks.</p>
+                ` : html`
+                    <div class="form-group">
+                        <label for="mfa-code">${mfaMethod === 'totp' ? 'Code from your authenticator app' : 'Recovery code'}</label>
+                        <input type="text" id="mfa-code" name="code" required
+                               autocomplete="one-time-code"
+                               inputmode="${mfaMethod === 'totp' ? 'numeric' : 'text'}"
+                               placeholder="${mfaMethod === 'totp' ? '123456' : 'xxxxxxxx-xxxxxxxx'}"
+                               ${this.fieldErrorAttributes('code')}>
+                        ${this.renderFieldError('code')}
+                    </div>
+                `}
+
+                <div class="form-group form-checkbox">
+                    <label>
+                        <input type="checkbox" name="remember_device" value="1">
+                        Remember this device for 30 days
+                    </label>
+                </div>
+
+                <button type="button" class="btn btn-link mfa-cancel">Sign in as someone else</button>
+
+                ${errors.general ? html`<div class="error-message general-error">${errors.general}</div>` : ''}
+            </div>
+        `;
+    }
+
+    bindEvents() {
+        super.bindEvents();
+
+        this.$$('.mfa-method').forEach(button => {
+            this.addEventListener(button, 'click', (e) => {
+                this.setState({ mfaMethod: e.currentTarget.dataset.method, errors: {} });
+            });
+        });
+
+        this.$$('.oidc-login').forEach(button => {
+            this.addEventListener(button, 'click', (e) => {
+                this.signInWithProvider(e.currentTarget.dataset.provider);
+            });
+        });
+
+        const cancel = this.$('.mfa-cancel');
+        if (cancel) {
+            this.addEventListener(cancel, 'click', () => {
+                this.props.submitText = 'Sign In';
+                this.setState({ challenge: null, mfaMethod: null, errors: {} });
+            });
+        }
+    }
+
+    /**
+     * Second factors offered by the server that this browser can use
+     */
+    getMfaMethods(challenge = this.state.challenge) {
+        const methods = (challenge && challenge.methods) || ['totp', 'recovery_code'];
+        return methods.filter(method => method !== 'webauthn' || WebAuthnUtils.isSupported());
+    }
+
     validate(data) {
         const errors = {};
 
-        if (!data.email) {
-            errors.email = 'Email is required';
-        } else if (!ValidationUtils.isValidEmail(data.email)) {
-            errors.email = 'Please enter a valid email address';
-        }
+        if (this.state.challenge) {
+            const code = (data.code || '').replace(/\s/g, '');
 
-        if (!data.password) {
-            errors.password = 'Password is required';
+            if (this.state.mfaMethod === 'totp' && !/^\d{6}$/.test(code)) {
+                errors.code = 'Enter the 6-digit code from your authenticator app';
+            } else if (this.state.mfaMethod === 'recovery_code' && !code) {
+                errors.code = 'Enter one of your recovery codes';
+            }
+        } else {
+            if (!data.email) {
+                errors.email = 'Email is required';
+            } else if (!ValidationUtils.isValidEmail(data.email)) {
+                errors.email = 'Please enter a valid email address';
+            }
+
+            if (!data.password) {
+                errors.password = 'Password is required';
+            }
         }
 
         return {
@@ -464,7 +933,81 @@ class LoginFormComponent extends FormComponent {
     }
 
     onSubmit(data) {
-        return API.login(data);
+        const { challenge, mfaMethod } = this.state;
+
+        if (!challenge) {
+            this.state.data = { email: data.email };
+            return API.login(data);
+        }
+
+        const rememberDevice = Boolean(data.remember_device);
+        const verification = mfaMethod === 'webauthn'
+            ? this.verifyWebAuthn(challenge.mfa_token, rememberDevice)
+            : API.verifyMfa(challenge.mfa_token, {
+                type: mfaMethod,
+                code: data.code.replace(/\s/g, '')
+            }, { rememberDevice });
+
+        return verification.then(result => {
+            if (!result.success) {
+                throw new Error(result.error || result.message || 'Verification failed');
+            }
+            return result;
+        });
+    }
+
+    /**
+     * Sign the server's WebAuthn challenge with a security key or passkey
+     */
+    async verifyWebAuthn(mfaToken, rememberDevice) {
+        const { options } = await API.getWebAuthnChallenge(mfaToken);
+        let credential;
+
+        try {
+            credential = await WebAuthnUtils.authenticate(options);
+        } catch (error) {
+            throw new Error(error.name === 'NotAllowedError'
+                ? 'Security key sign-in was cancelled or timed out'
+                : 'Your security key could not be used');
+        }
+
+        return API.verifyMfa(mfaToken, { type: 'webauthn', credential }, { rememberDevice });
+    }
+
+    /**
+     * Leave for the identity provider; the app finishes sign-in on the callback route
+     */
+    signInWithProvider(providerId) {
+        this.setState({ loading: true, errors: {} });
+
+        return OIDC.login(providerId, { returnTo: this.props.returnTo }).catch(error => {
+            this.setState({ loading: false, errors: { general: error.message } });
+        });
+    }
+
+    onSubmitSuccess(result) {
+        // Password accepted, ask for the second factor
+        if (result && result.mfa_required) {
+            this.props.submitText = 'Verify';
+            this.setState({
+                challenge: result,
+                mfaMethod: this.getMfaMethods(result)[0] || 'recovery_code',
+                errors: {}
+            });
+            return;
+        }
+
+        super.onSubmitSuccess(result);
+    }
+
+    componentDidUpdate(prevProps, prevState) {
+        super.componentDidUpdate(prevProps, prevState);
+
+        // Move to the code field once it is on screen
+        if (this.state.challenge && !prevState.challenge) {
+            const code = this.$('#mfa-code');
+            if (code) code.focus();
+        }
     }
 }
 
@@ -484,7 +1027,7 @@ class DashboardStatsComponent extends Component {
     render() {
         const { stats } = this.state;
 
-        return `
+        return html`
             <div class="dashboard-stats">
                 <div class="stats-grid">
                     <div class="stat-card">
@@ -531,12 +1074,14 @@ class DashboardStatsComponent extends Component {
         this.setState({ loading: true });
 
         try {
-            const response = await API.getDashboardStats();
+            const response = await API.getDashboardStats({ scope: 'route' });
             this.setState({
                 stats: response.stats,
                 loading: false
             });
         } catch (error) {
+            if (API.isAbortError(error)) return;
+
             console.error('Failed to load dashboard stats:', error);
             this.setState({ loading: false });
         }
@@ -559,7 +1104,7 @@ class ServiceCardComponent extends Component {
     render() {
         const { service } = this.state;
 
-        return `
+        return html`
             <div class="service-card" data-service-id="${service.id}">
                 <div class="service-header">
                     <div class="service-icon">${this.getServiceIcon(service.category)}</div>
@@ -567,12 +1112,12 @@ class ServiceCardComponent extends Component {
                 </div>
 
                 <div class="service-description">
-                    ${service.description || 'No description available'}
+                    ${service.description ? sanitizeHTML(service.description) : 'No description available'}
                 </div>
 
                 <div class="service-meta">
                     <span class="service-category">${service.category || 'General'}</span>
-                    ${service.fee ? `<span class="service-fee">$${service.fee}</span>` : ''}
+                    ${service.fee ? html`<span class="service-fee">$${service.fee}</span>` : ''}
                 </div>
 
                 <div class="service-actions">
@@ -631,7 +1176,92 @@ class ServiceCardComponent extends Component {
 // Register service card component
 window.ComponentRegistry.register('service-card', ServiceCardComponent);
 
-// Modal Component
+// Page Header Component. The default slot goes under the title, the actions slot after it.
+class PageHeaderComponent extends Component {
+    render() {
+        return html`
+            <div class="page-header">
+                <h1>${this.props.title}</h1>
+                ${this.slot()}
+                ${this.slot('actions')}
+            </div>
+        `;
+    }
+}
+
+// Register page header component
+window.ComponentRegistry.register('page-header', PageHeaderComponent);
+
+// Application Form Component
+class ApplicationFormComponent extends FormComponent {
+    renderFields() {
+        return html`
+            <div class="form-group">
+                <label for="application-details">Application details</label>
+                <textarea id="application-details" name="details" rows="6" required ${this.fieldErrorAttributes('details')}></textarea>
+                ${this.renderFieldError('details')}
+            </div>
+
+            ${this.state.errors.general ? html`<div class="error-message general-error">${this.state.errors.general}</div>` : ''}
+        `;
+    }
+
+    bindEvents() {
+        super.bindEvents();
+
+        const form = this.$('form');
+        if (form && this.props.onChange) {
+            this.addEventListener(form, 'input', () => this.props.onChange());
+        }
+    }
+}
+
+// Register application form component
+window.ComponentRegistry.register('application-form', ApplicationFormComponent);
+
+// Service Application Component, built from a page header and an application form
+class ServiceApplicationComponent extends Component {
+    constructor(props = {}) {
+        super(props);
+        this.state = { unsaved: false };
+    }
+
+    render() {
+        const { service } = this.props;
+
+        return html`
+            ${this.child('page-header', { title: `Apply: ${service.name}` }, html`
+                <div class="service-description">${sanitizeHTML(service.description)}</div>
+            `)}
+            ${this.child('application-form', {
+                id: 'service-apply-form',
+                submitText: 'Submit Application',
+                onChange: () => this.markUnsaved(),
+                onSubmit: data => this.props.onSubmit(data),
+                onSuccess: result => this.handleSuccess(result)
+            })}
+        `;
+    }
+
+    markUnsaved() {
+        if (!this.state.unsaved) {
+            this.setState({ unsaved: true });
+        }
+    }
+
+    handleSuccess(result) {
+        this.setState({ unsaved: false });
+        if (this.props.onSuccess) {
+            this.props.onSuccess(result);
+        }
+    }
+}
+
+// Register service application component
+window.ComponentRegistry.register('service-application', ServiceApplicationComponent);
+
+// Modal Component. Content and footer are escaped like any other value;
+// pass html`` markup to show elements.
 class ModalComponent extends Component {
     constructor(props = {}) {
         super(props);
@@ -648,7 +1278,7 @@ class ModalComponent extends Component {
             return '';
         }
 
-        return `
+        return html`
             <div class="modal-overlay" style="display: block;">
                 <div class="modal modal-${this.state.size}">
                     <div class="modal-header">
@@ -661,7 +1291,7 @@ class ModalComponent extends Component {
                     </div>
 
                     <div class="modal-footer">
-                        ${this.props.footer || '<button class="btn btn-secondary close-btn">Close</button>'}
+                        ${this.props.footer || html`<button class="btn btn-secondary close-btn">Close</button>`}
                     </div>
                 </div>
             </div>
@@ -717,6 +1347,423 @@ class ModalComponent extends Component {
 // Register modal component
 window.ComponentRegistry.register('modal', ModalComponent);
 
+// Session Timeout Warning Component
+class SessionTimeoutComponent extends ModalComponent {
+    constructor(props = {}) {
+        super({ size: 'small', ...props });
+        this.session = props.session || Session;
+        this.state.title = 'Are you still there?';
+
+        this.addEffect(() => this.session.subscribe(session => this.handleSessionChange(session)));
+    }
+
+    /**
+     * Show the countdown while the session manager is warning
+     */
+    handleSessionChange(session) {
+        const visible = session.status === 'warning';
+
+        this.props.footer = html`
+            ${session.canExtend ? html`<button class="btn btn-primary session-extend">Stay signed in</button>` : ''}
+            <button class="btn btn-secondary session-end">Sign out now</button>
+        `;
+
+        this.setState({
+            visible,
+            content: visible ? this.renderCountdown(session) : ''
+        });
+    }
+
+    componentDidUpdate(prevProps, prevState) {
+        const extend = this.$('.session-extend');
+        if (this.state.visible && !prevState.visible && extend) {
+            extend.focus();
+        }
+    }
+
+    renderCountdown({ remaining, reason }) {
+        const minutes = Math.floor(remaining / 60);
+        const seconds = String(remaining % 60).padStart(2, '0');
+        const message = reason === 'expired'
+            ? 'Your session is about to expire.'
+            : 'You have been inactive for a while.';
+
+        return html`
+            <p>${message} For your security you will be signed out in</p>
+            <p class="session-countdown" role="timer" aria-live="polite">${minutes}:${seconds}</p>
+        `;
+    }
+
+    bindEvents() {
+        super.bindEvents();
+
+        const extend = this.$('.session-extend');
+        if (extend) {
+            this.addEventListener(extend, 'click', () => this.session.extend());
+        }
+
+        const end = this.$('.session-end');
+        if (end) {
+            this.addEventListener(end, 'click', () => this.session.end('user'));
+        }
+    }
+
+    /**
+     * Dismissing the warning counts as staying signed in
+     */
+    hide() {
+        if (this.session.state.canExtend) {
+            this.session.extend();
+        }
+    }
+
+    onMount() {
+        this.handleSessionChange(this.session.state);
+    }
+}
+
+// Register session timeout component
+window.ComponentRegistry.register('session-timeout', SessionTimeoutComponent);
+
+// Offline Outbox Status Component
+class OutboxStatusComponent extends Component {
+    constructor(props = {}) {
+        super(props);
+        this.outbox = props.outbox || API.outbox;
+        this.state = {
+            entries: [],
+            expanded: false
+        };
+
+        this.addEffect(() => this.outbox.subscribe(entries => this.setState({ entries })));
+    }
+
+    render() {
+        const { entries, expanded } = this.state;
+
+        if (entries.length === 0) {
+            return '';
+        }
+
+        const conflicts = entries.filter(entry => entry.status === 'conflict').length;
+        const pending = entries.length - conflicts;
+        const summary = [
+            pending > 0 ? `${pending} pending` : '',
+            conflicts > 0 ? `${conflicts} need attention` : ''
+        ].filter(Boolean).join(', ');
+
+        return html`
+            <div class="outbox-status ${conflicts > 0 ? 'outbox-status-conflict' : ''}">
+                <button class="outbox-toggle" aria-expanded="${expanded}" aria-controls="outbox-list">
+                    ⏳ ${summary}
+                </button>
+
+                ${expanded ? html`
+                    <ul id="outbox-list" class="outbox-list">
+                        ${entries.map(entry => this.renderEntry(entry))}
+                    </ul>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    renderEntry(entry) {
+        const isConflict = entry.status === 'conflict';
+
+        return html`
+            <li class="outbox-item outbox-item-${entry.status}" data-key="${entry.id}" data-id="${entry.id}">
+                <div class="outbox-item-label">${entry.label}</div>
+                <div class="outbox-item-meta">
+                    ${isConflict ? entry.error.message : `Waiting to send · ${DateUtils.relativeTime(entry.createdAt)}`}
+                </div>
+                ${isConflict ? html`
+                    <div class="outbox-item-actions">
+                        <button class="btn btn-sm btn-primary outbox-retry" data-id="${entry.id}">Retry</button>
+                        <button class="btn btn-sm btn-secondary outbox-discard" data-id="${entry.id}">Discard</button>
+                    </div>
+                ` : ''}
+            </li>
+        `;
+    }
+
+    bindEvents() {
+        const toggle = this.$('.outbox-toggle');
+
+        if (toggle) {
+            this.addEventListener(toggle, 'click', () => {
+                this.setState({ expanded: !this.state.expanded });
+            });
+        }
+
+        this.$$('.outbox-retry').forEach(button => {
+            this.addEventListener(button, 'click', (e) => {
+                this.outbox.retry(Number(e.target.dataset.id)).catch(error => {
+                    console.error('Failed to retry queued request:', error);
+                });
+            });
+        });
+
+        this.$$('.outbox-discard').forEach(button => {
+            this.addEventListener(button, 'click', (e) => {
+                this.outbox.discard(Number(e.target.dataset.id));
+            });
+        });
+    }
+
+    onMount() {
+        this.outbox.getEntries().then(entries => this.setState({ entries }));
+    }
+}
+
+// Register outbox status component
+window.ComponentRegistry.register('outbox-status', OutboxStatusComponent);
+
+// MFA Settings Component
+class MfaSettingsComponent extends Component {
+    constructor(props = {}) {
+        super(props);
+        this.state = {
+            loading: true,
+            methods: [],
+            devices: [],
+            totpSetup: null,
+            recoveryCodes: null,
+            error: null
+        };
+    }
+
+    render() {
+        const { loading, totpSetup, recoveryCodes, devices, error } = this.state;
+
+        if (loading) {
+            return html`<div class="mfa-settings"><p>Loading security settings...</p></div>`;
+        }
+
+        const totp = this.getMethod('totp');
+        const webauthn = this.getMethod('webauthn');
+
+        return html`
+            <div class="mfa-settings">
+                <h2>Two-step verification</h2>
+                ${error ? html`<div class="error-message general-error">${error}</div>` : ''}
+
+                <div class="mfa-setting">
+                    <div class="mfa-setting-info">
+                        <h3>Authenticator app</h3>
+                        <p>${totp ? `Enabled ${DateUtils.relativeTime(totp.created_at)}` : 'Use an app such as Google Authenticator or Authy to get sign-in codes.'}</p>
+                    </div>
+                    ${totp
+                        ? html`<button class="btn btn-secondary mfa-disable" data-method="totp">Turn off</button>`
+                        : html`<button class="btn btn-primary mfa-setup-totp">Set up</button>`}
+                </div>
+
+                ${totpSetup ? html`
+                    <form class="mfa-totp-setup">
+                        <p>Add this account to your authenticator app, then enter the code it shows.</p>
+                        <p><a href="${totpSetup.qr_uri}" class="mfa-totp-link">Open in authenticator app</a></p>
+                        <p>Or enter this key manually: <code class="mfa-totp-secret">${totpSetup.secret}</code></p>
+                        <div class="form-group">
+                            <label for="totp-code">Code</label>
+                            <input type="text" id="totp-code" name="code" inputmode="numeric" autocomplete="one-time-code" required>
+                        </div>
+                        <button type="submit" class="btn btn-primary">Confirm</button>
+                    </form>
+                ` : ''}
+
+                ${WebAuthnUtils.isSupported() ? html`
+                    <div class="mfa-setting">
+                        <div class="mfa-setting-info">
+                            <h3>Security key or passkey</h3>
+                            <p>${webauthn ? `Enabled ${DateUtils.relativeTime(webauthn.created_at)}` : 'Sign in with a hardware key, fingerprint or face unlock.'}</p>
+                        </div>
+                        ${webauthn
+                            ? html`<button class="btn btn-secondary mfa-disable" data-method="webauthn">Turn off</button>`
+                            : html`<button class="btn btn-primary mfa-setup-webauthn">Add key</button>`}
+                    </div>
+                ` : ''}
+
+                <div class="mfa-setting">
+                    <div class="mfa-setting-info">
+                        <h3>Recovery codes</h3>
+                        <p>One-time codes for when you cannot use your other methods.</p>
+                    </div>
+                    <button class="btn btn-secondary mfa-recovery-codes">Generate new codes</button>
+                </div>
+
+                ${recoveryCodes ? html`
+                    <div class="mfa-recovery-list">
+                        <p>Save these codes somewhere safe. Each code works once and replaces any you generated before.</p>
+                        <ul>${recoveryCodes.map(code => html`<li><code>${code}</code></li>`)}</ul>
+                    </div>
+                ` : ''}
+
+                <div class="mfa-setting">
+                    <div class="mfa-setting-info">
+                        <h3>Remembered devices</h3>
+                        <p>${devices.length === 1 ? '1 device skips' : `${devices.length} devices skip`} two-step verification.</p>
+                    </div>
+                    ${devices.length > 0 ? html`<button class="btn btn-secondary mfa-forget-devices">Forget all</button>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    bindEvents() {
+        const actions = {
+            '.mfa-setup-totp': () => this.startTotpSetup(),
+            '.mfa-setup-webauthn': () => this.addSecurityKey(),
+            '.mfa-recovery-codes': () => this.generateRecoveryCodes(),
+            '.mfa-forget-devices': () => this.forgetDevices()
+        };
+
+        Object.keys(actions).forEach(selector => {
+            const button = this.$(selector);
+            if (button) {
+                this.addEventListener(button, 'click', actions[selector]);
+            }
+        });
+
+        this.$$('.mfa-disable').forEach(button => {
+            this.addEventListener(button, 'click', (e) => {
+                this.disableMethod(e.currentTarget.dataset.method);
+            });
+        });
+
+        const totpForm = this.$('.mfa-totp-setup');
+        if (totpForm) {
+            this.addEventListener(totpForm, 'submit', (e) => {
+                e.preventDefault();
+                this.confirmTotp(FormUtils.serialize(totpForm).code);
+            });
+        }
+    }
+
+    onMount() {
+        this.load();
+    }
+
+    getMethod(name) {
+        return this.state.methods.find(method => method.method === name) || null;
+    }
+
+    async load() {
+        try {
+            const response = await API.getMfaMethods({ scope: 'route' });
+            this.setState({
+                loading: false,
+                methods: response.methods || [],
+                devices: response.remembered_devices || []
+            });
+        } catch (error) {
+            if (API.isAbortError(error)) return;
+            this.setState({ loading: false, error: 'Your security settings could not be loaded.' });
+        }
+    }
+
+    /**
+     * Run an action, showing its failure in the panel and reloading the methods afterwards
+     */
+    async perform(action, successMessage = null) {
+        this.setState({ error: null });
+
+        try {
+            const result = await action();
+            if (successMessage) {
+                NotificationUtils.success(successMessage);
+            }
+            await this.load();
+            return result;
+        } catch (error) {
+            this.setState({ error: error.message });
+            return null;
+        }
+    }
+
+    async startTotpSetup() {
+        const setup = await this.perform(() => API.setupTotp());
+        if (setup) {
+            this.setState({ totpSetup: setup, recoveryCodes: null });
+        }
+    }
+
+    async confirmTotp(code) {
+        const result = await this.perform(() => API.confirmTotp((code || '').replace(/\s/g, '')), 'Authenticator app turned on.');
+        if (result) {
+            this.setState({ totpSetup: null });
+        }
+    }
+
+    async addSecurityKey() {
+        await this.perform(async () => {
+            const { options } = await API.setupWebAuthn();
+            let credential;
+
+            try {
+                credential = await WebAuthnUtils.register(options);
+            } catch (error) {
+                throw new Error('Your security key was not added. Please try again.');
+            }
+
+            return API.confirmWebAuthn(credential);
+        }, 'Security key added.');
+    }
+
+    async generateRecoveryCodes() {
+        const result = await this.perform(() => API.generateRecoveryCodes());
+        if (result) {
+            this.setState({ recoveryCodes: result.codes || [] });
+        }
+    }
+
+    async disableMethod(method) {
+        if (!window.confirm('Turn off this sign-in method?')) return;
+
+        await this.perform(() => API.disableMfaMethod(method), 'Sign-in method turned off.');
+    }
+
+    async forgetDevices() {
+        await this.perform(() => API.forgetRememberedDevices(), 'Remembered devices forgotten.');
+    }
+}
+
+// Register MFA settings component
+window.ComponentRegistry.register('mfa-settings', MfaSettingsComponent);
+
+// Page registry. Page modules in /js/pages register { render, mount, unmount, beforeLeave } hooks here;
+// render returns html`` markup.
+class PageRegistry {
+    constructor() {
+        this.pages = new Map();
+    }
+
+    /**
+     * Register a page module
+     */
+    register(name, page) {
+        if (typeof page.render !== 'function') {
+            throw new Error(`Page '${name}' must have a render() hook`);
+        }
+        this.pages.set(name, page);
+    }
+
+    /**
+     * Get a page module
+     */
+    get(name) {
+        return this.pages.get(name);
+    }
+
+    /**
+     * Check if page is registered
+     */
+    has(name) {
+        return this.pages.has(name);
+    }
+}
+
+// Global page registry
+window.PageRegistry = new PageRegistry();
+
 // Lazy Loading System for Components
 class LazyComponentLoader {
     constructor() {
@@ -774,6 +1821,30 @@ class LazyComponentLoader {
         await this.loadScript(componentPath);
     }
 
+    /**
+     * Load a page module from /js/pages the first time it is needed
+     */
+    async loadPage(pageName) {
+        if (!window.PageRegistry.has(pageName)) {
+            const key = `page:${pageName}`;
+
+            if (!this.loadingPromises.has(key)) {
+                const loadingPromise = this.loadScript(`/js/pages/${pageName}.js`)
+                    .finally(() => this.loadingPromises.delete(key));
+                this.loadingPromises.set(key, loadingPromise);
+            }
+
+            await this.loadingPromises.get(key);
+        }
+
+        const page = window.PageRegistry.get(pageName);
+        if (!page) {
+            throw new Error(`Page '${pageName}' not found`);
+        }
+
+        return page;
+    }
+
     /**
      * Load script dependencies
      */
@@ -883,7 +1954,7 @@ class LazyComponentRenderer extends ComponentRenderer {
      * Show loading state
      */
     showLoadingState(container) {
-        container.innerHTML = `
+        container.innerHTML = html`
             <div class="component-loading">
                 <div class="loading-spinner"></div>
                 <p>Loading component...</p>
@@ -895,7 +1966,7 @@ class LazyComponentRenderer extends ComponentRenderer {
      * Show error state
      */
     showErrorState(container, componentName, error) {
-        container.innerHTML = `
+        container.innerHTML = html`
             <div class="component-error">
                 <div class="error-icon">⚠️</div>
                 <p>Failed to load component: ${componentName}</p>
@@ -0,0 +1,253 @@
+/**
+ * TPT Government Platform - Document Downloads
+ * Streaming downloads with progress, Range resume, save-to-disk and a per-session history
+ */
+
+class DownloadManager {
+    constructor(api) {
+        this.api = api;
+        this.historyKey = 'download_history';
+        this.historyLimit = 20;
+        this.resumeAttempts = 2;
+
+        // Partially received downloads by endpoint, kept for Range resume
+        this.partials = new Map();
+    }
+
+    /**
+     * Download a file, streaming the body when the browser supports it.
+     * Resolves with { blob, filename, contentType, size }.
+     *
+     * Options:
+     *  - onProgress({ loaded, total, percent }) called as bytes arrive
+     *  - resumeAttempts overrides how often a dropped stream is resumed
+     *  - signal / scope / timeout are passed to the request
+     */
+    async download(endpoint, options = {}) {
+        const { onProgress, resumeAttempts = this.resumeAttempts, ...requestOptions } = options;
+
+        for (let attempt = 0; ; attempt++) {
+            let state = this.partials.get(endpoint);
+            const headers = { 'Accept': '*/*', ...requestOptions.headers };
+
+            // Ask only for the bytes we are missing
+            if (state && state.received > 0) {
+                headers['Range'] = `bytes=${state.received}-`;
+                if (state.etag) {
+                    headers['If-Range'] = state.etag;
+                }
+            }
+
+            const response = await this.api.request('GET', endpoint, null, {
+                ...requestOptions,
+                headers,
+                rawResponse: true
+            });
+
+            // A 200 means the server ignored the Range header, start over
+            if (!state || response.status !== 206) {
+                state = this.createState(response);
+                this.partials.set(endpoint, state);
+            } else {
+                state.total = this.parseContentRangeTotal(response.headers.get('Content-Range')) || state.total;
+            }
+
+            try {
+                await this.readBody(response, state, onProgress, requestOptions.signal);
+            } catch (error) {
+                if (error.isAbort || attempt >= resumeAttempts) {
+                    throw error;
+                }
+                continue;
+            }
+
+            this.partials.delete(endpoint);
+            return {
+                blob: new Blob(state.chunks, { type: state.contentType }),
+                filename: state.filename,
+                contentType: state.contentType,
+                size: state.received
+            };
+        }
+    }
+
+    /**
+     * Download a file and trigger the browser's save dialog.
+     * Saved files are recorded in the session download history unless options.history is false.
+     */
+    async save(endpoint, options = {}) {
+        const { documentId, filename, history, category, ...downloadOptions } = options;
+        const result = await this.download(endpoint, downloadOptions);
+        const name = filename || result.filename || 'download';
+
+        this.saveBlob(result.blob, name);
+
+        if (history !== false) {
+            this.addToHistory({
+                documentId: documentId || null,
+                endpoint,
+                filename: name,
+                category: category || null,
+                contentType: result.contentType,
+                size: result.size,
+                downloadedAt: new Date().toISOString()
+            });
+        }
+
+        return { ...result, filename: name };
+    }
+
+    /**
+     * Save a Blob to disk through a temporary download link
+     */
+    saveBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = DOMUtils.createElement('a', {
+            href: url,
+            download: filename,
+            style: 'display: none;'
+        });
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Read a response body into the download state, reporting progress.
+     * Throws if the stream drops so the caller can resume with a Range request.
+     */
+    async readBody(response, state, onProgress, signal = null) {
+        if (!response.body || typeof response.body.getReader !== 'function') {
+            const blob = await response.blob();
+            state.chunks.push(blob);
+            state.received += blob.size;
+            this.reportProgress(onProgress, state);
+            return;
+        }
+
+        const reader = response.body.getReader();
+        const onAbort = () => reader.cancel();
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        try {
+            for (;;) {
+                const { done, value } = await reader.read();
+
+                if (signal && signal.aborted) {
+                    throw new RequestCancelledError();
+                }
+                if (done) break;
+
+                state.chunks.push(value);
+                state.received += value.byteLength;
+                this.reportProgress(onProgress, state);
+            }
+        } finally {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        }
+
+        if (state.total && state.received < state.total) {
+            throw new NetworkError('Download interrupted');
+        }
+    }
+
+    /**
+     * Start a fresh download state from a response
+     */
+    createState(response) {
+        const contentRangeTotal = this.parseContentRangeTotal(response.headers.get('Content-Range'));
+        const contentLength = parseInt(response.headers.get('Content-Length'), 10);
+
+        return {
+            chunks: [],
+            received: 0,
+            total: contentRangeTotal || (isNaN(contentLength) ? null : contentLength),
+            filename: this.parseFilename(response.headers.get('Content-Disposition')),
+            contentType: response.headers.get('Content-Type') || 'application/octet-stream',
+            etag: response.headers.get('ETag') || response.headers.get('Last-Modified')
+        };
+    }
+
+    /**
+     * Get the filename from a Content-Disposition header, preferring the RFC 5987 form
+     */
+    parseFilename(disposition) {
+        if (!disposition) return null;
+
+        const extended = disposition.match(/filename\*\s*=\s*([^']*)'[^']*'([^;]+)/i);
+        if (extended) {
+            try {
+                return decodeURIComponent(extended[2].trim().replace(/^"|"$/g, ''));
+            } catch (e) {
+                // Fall through to the plain filename
+            }
+        }
+
+        const plain = disposition.match(/filename\s*=\s*("([^"]*)"|[^;]+)/i);
+        if (plain) {
+            return (plain[2] !== undefined ? plain[2] : plain[1]).trim();
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the full size from a Content-Range header such as "bytes 100-199/1000"
+     */
+    parseContentRangeTotal(contentRange) {
+        if (!contentRange) return null;
+
+        const match = contentRange.match(/\/(\d+)\s*$/);
+        return match ? parseInt(match[1], 10) : null;
+    }
+
+    /**
+     * Notify the caller of download progress
+     */
+    reportProgress(onProgress, state) {
+        if (onProgress) {
+            onProgress({
+                loaded: state.received,
+                total: state.total,
+                percent: state.total ? Math.round((state.received / state.total) * 100) : null
+            });
+        }
+    }
+
+    /**
+     * Get files saved during this browser session, newest first
+     */
+    getHistory() {
+        return StorageUtils.getSession(this.historyKey, []);
+    }
+
+    /**
+     * Record a saved file in the session history
+     */
+    addToHistory(entry) {
+        const history = [entry, ...this.getHistory()].slice(0, this.historyLimit);
+        StorageUtils.setSession(this.historyKey, history);
+    }
+
+    /**
+     * Forget the session download history
+     */
+    clearHistory() {
+        StorageUtils.setSession(this.historyKey, []);
+    }
+}
+
+// Export download manager
+window.DownloadManager = DownloadManager;
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DownloadManager;
+}
@@ -0,0 +1,177 @@
+/**
+ * TPT Government Platform - API Errors
+ * Typed errors thrown by the API client so callers can react to the kind of failure
+ */
+
+// Base class for every API failure
+class APIError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'APIError';
+        this.status = details.status || 0;
+        this.code = details.code || null;
+        this.errors = details.errors || {};
+        this.requestId = details.requestId || null;
+        this.data = details.data || null;
+        this.retryAfter = details.retryAfter || null;
+        this.attempts = 1;
+    }
+
+    /**
+     * Create the matching error class for a failed HTTP response
+     */
+    static fromResponse(response, data) {
+        const body = data && typeof data === 'object' ? data : {};
+        const status = response.status;
+        const details = {
+            status,
+            code: body.code || body.error_code || (typeof body.error === 'string' ? body.error : null),
+            errors: body.errors && typeof body.errors === 'object' && !Array.isArray(body.errors) ? body.errors : {},
+            requestId: response.headers.get('X-Request-ID') || body.request_id || null,
+            data,
+            retryAfter: response.headers.get('Retry-After')
+        };
+        const message = body.message || `HTTP ${status}`;
+
+        if (status === 401) return new AuthenticationError(body.message || undefined, details);
+        if (status === 403) return new PermissionError(message, details);
+        if (status === 404) return new NotFoundError(message, details);
+        if (status === 409) return new ConflictError(message, details);
+        if (status === 429) return new RateLimitError(message, details);
+        if (status === 422 || (status === 400 && Object.keys(details.errors).length > 0)) {
+            return new ValidationError(message, details);
+        }
+        if (status >= 500) return new ServerError(message, details);
+
+        return new APIError(message, details);
+    }
+}
+
+// 400/422 with field-level messages
+class ValidationError extends APIError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'ValidationError';
+    }
+
+    /**
+     * Get the first message for each field, e.g. { email: 'Email is taken' }
+     */
+    getFieldErrors() {
+        const fieldErrors = {};
+
+        Object.keys(this.errors).forEach(field => {
+            const messages = this.errors[field];
+            fieldErrors[field] = Array.isArray(messages) ? messages[0] : String(messages);
+        });
+
+        return fieldErrors;
+    }
+}
+
+// 401 - missing or expired credentials
+class AuthenticationError extends APIError {
+    constructor(message = 'Authentication required', details = {}) {
+        super(message, { status: 401, ...details });
+        this.name = 'AuthenticationError';
+    }
+}
+
+// 403 - authenticated but not allowed
+class PermissionError extends APIError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'PermissionError';
+    }
+}
+
+// 404
+class NotFoundError extends APIError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'NotFoundError';
+    }
+}
+
+// 409 - the resource changed underneath the request
+class ConflictError extends APIError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'ConflictError';
+    }
+}
+
+// 429 - throttled by ApiRateLimiter
+class RateLimitError extends APIError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'RateLimitError';
+    }
+}
+
+// 5xx
+class ServerError extends APIError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'ServerError';
+    }
+}
+
+// The request never reached the server
+class NetworkError extends APIError {
+    constructor(message = 'Network error - please check your connection', details = {}) {
+        super(message, details);
+        this.name = 'NetworkError';
+        this.isNetworkError = true;
+        this.offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+    }
+}
+
+// No response within the configured timeout
+class TimeoutError extends APIError {
+    constructor(timeout, details = {}) {
+        super(`Request timed out after ${timeout}ms`, details);
+        this.name = 'TimeoutError';
+        this.isTimeout = true;
+        this.timeout = timeout;
+    }
+}
+
+// Cancelled through an AbortSignal or scope
+class RequestCancelledError extends APIError {
+    constructor(message = 'Request was cancelled', details = {}) {
+        super(message, details);
+        this.name = 'AbortError';
+        this.isAbort = true;
+    }
+}
+
+// Export errors
+window.APIError = APIError;
+window.ValidationError = ValidationError;
+window.AuthenticationError = AuthenticationError;
+window.PermissionError = PermissionError;
+window.NotFoundError = NotFoundError;
+window.ConflictError = ConflictError;
+window.RateLimitError = RateLimitError;
+window.ServerError = ServerError;
+window.NetworkError = NetworkError;
+window.TimeoutError = TimeoutError;
+window.RequestCancelledError = RequestCancelledError;
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        APIError,
+        ValidationError,
+        AuthenticationError,
+        PermissionError,
+        NotFoundError,
+        ConflictError,
+        RateLimitError,
+        ServerError,
+        NetworkError,
+        TimeoutError,
+        RequestCancelledError
+    };
+}
@@ -0,0 +1,139 @@
+/**
+ * TPT Government Platform - Multi-Factor Authentication
+ * WebAuthn helpers for passkey and security key enrolment and sign-in
+ */
+
+class WebAuthnUtils {
+    /**
+     * Check if the browser supports WebAuthn
+     */
+    static isSupported() {
+        return typeof window.PublicKeyCredential === 'function' &&
+            Boolean(navigator.credentials) &&
+            typeof navigator.credentials.create === 'function';
+    }
+
+    /**
+     * Decode a server value into bytes. MultiFactorAuth sends hex, other servers base64url.
+     */
+    static toBuffer(value) {
+        if (value instanceof ArrayBuffer) {
+            return value;
+        }
+
+        if (/^(?:[0-9a-f]{2})+$/i.test(value)) {
+            const bytes = new Uint8Array(value.length / 2);
+            for (let i = 0; i < bytes.length; i++) {
+                bytes[i] = parseInt(value.substr(i * 2, 2), 16);
+            }
+            return bytes.buffer;
+        }
+
+        const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes.buffer;
+    }
+
+    /**
+     * Encode bytes as base64url for the server
+     */
+    static fromBuffer(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Convert server credential creation options into the shape navigator.credentials.create() expects
+     */
+    static prepareCreationOptions(options) {
+        return {
+            ...options,
+            challenge: this.toBuffer(options.challenge),
+            user: { ...options.user, id: this.toBuffer(options.user.id) },
+            excludeCredentials: (options.excludeCredentials || []).map(credential => ({
+                ...credential,
+                id: this.toBuffer(credential.id)
+            }))
+        };
+    }
+
+    /**
+     * Convert server assertion options into the shape navigator.credentials.get() expects
+     */
+    static prepareRequestOptions(options) {
+        return {
+            ...options,
+            challenge: this.toBuffer(options.challenge),
+            allowCredentials: (options.allowCredentials || []).map(credential => ({
+                ...credential,
+                id: this.toBuffer(credential.id)
+            }))
+        };
+    }
+
+    /**
+     * Convert a PublicKeyCredential into JSON for the server
+     */
+    static serializeCredential(credential) {
+        const response = {
+            clientDataJSON: this.fromBuffer(credential.response.clientDataJSON)
+        };
+
+        if (credential.response.attestationObject) {
+            response.attestationObject = this.fromBuffer(credential.response.attestationObject);
+        }
+        if (credential.response.authenticatorData) {
+            response.authenticatorData = this.fromBuffer(credential.response.authenticatorData);
+            response.signature = this.fromBuffer(credential.response.signature);
+            response.userHandle = credential.response.userHandle
+                ? this.fromBuffer(credential.response.userHandle)
+                : null;
+        }
+
+        return {
+            id: credential.id,
+            rawId: this.fromBuffer(credential.rawId),
+            type: credential.type,
+            response
+        };
+    }
+
+    /**
+     * Register a new authenticator
+     */
+    static async register(options) {
+        const credential = await navigator.credentials.create({
+            publicKey: this.prepareCreationOptions(options)
+        });
+
+        return this.serializeCredential(credential);
+    }
+
+    /**
+     * Sign in with a registered authenticator
+     */
+    static async authenticate(options) {
+        const credential = await navigator.credentials.get({
+            publicKey: this.prepareRequestOptions(options)
+        });
+
+        return this.serializeCredential(credential);
+    }
+}
+
+// Export WebAuthn helpers
+window.WebAuthnUtils = WebAuthnUtils;
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WebAuthnUtils;
+}
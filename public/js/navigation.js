@@ -0,0 +1,279 @@
+/**
+ * TPT Government Platform - Navigation Lifecycle
+ * Leave guards, per-entry scroll restoration, focus management and
+ * route change announcements for screen readers
+ */
+
+class NavigationManager {
+    /**
+     * Options:
+     *  - storageKey: sessionStorage key for saved scroll positions
+     *  - maxEntries: how many history entries keep a saved position
+     *  - announcer: live region element, or its selector
+     *  - confirm: (message) => boolean or Promise<boolean>, asked before leaving a guarded page
+     */
+    constructor(options = {}) {
+        this.options = {
+            storageKey: 'tpt_scroll_positions',
+            maxEntries: 50,
+            announcer: '#route-announcer',
+            confirm: (message) => window.confirm(message),
+            ...options
+        };
+
+        // The history entry being shown: { key, index }
+        this.current = null;
+
+        // How the pending page was reached: 'load', 'push', 'replace' or 'pop'
+        this.type = null;
+
+        this.leaveGuards = [];
+        this.announceTimer = null;
+        this.started = false;
+
+        // Popstate events caused by undoing or redoing a guarded back/forward move
+        this.ignoreNextPop = false;
+        this.allowNextPop = false;
+
+        this.handleBeforeUnload = (e) => {
+            this.saveScroll();
+
+            const blocked = this.check(null);
+            if (blocked) {
+                e.preventDefault();
+                e.returnValue = blocked.message || '';
+                return e.returnValue;
+            }
+        };
+    }
+
+    /**
+     * Take over scrolling and tag the current history entry
+     */
+    start() {
+        if (this.started) return;
+        this.started = true;
+
+        if ('scrollRestoration' in window.history) {
+            window.history.scrollRestoration = 'manual';
+        }
+
+        this.current = this.stamp(window.history.state, 0);
+        this.type = 'load';
+
+        window.addEventListener('beforeunload', this.handleBeforeUnload);
+    }
+
+    stop() {
+        if (!this.started) return;
+        this.started = false;
+
+        window.removeEventListener('beforeunload', this.handleBeforeUnload);
+    }
+
+    /**
+     * Add a leave guard, run before moving to another page or closing the tab.
+     * Guards receive (to, from), where to is null when the tab is closing, and
+     * return nothing to allow leaving, a message to ask the user first, or
+     * false to stay without asking.
+     */
+    beforeLeave(guard) {
+        this.leaveGuards.push(guard);
+        return () => {
+            this.leaveGuards = this.leaveGuards.filter(item => item !== guard);
+        };
+    }
+
+    /**
+     * Run the leave guards. Returns null when leaving is allowed,
+     * otherwise { message }, with a null message for a silent block.
+     */
+    check(to) {
+        const from = window.location.pathname + window.location.search;
+
+        for (const guard of this.leaveGuards) {
+            const result = guard(to, from);
+
+            if (result === false) {
+                return { message: null };
+            }
+
+            if (typeof result === 'string') {
+                return { message: result };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check the leave guards, asking the user to confirm when a guard has a message
+     */
+    async canLeave(to) {
+        const blocked = this.check(to);
+        if (!blocked) return true;
+        if (!blocked.message) return false;
+
+        return Boolean(await this.options.confirm(blocked.message));
+    }
+
+    /**
+     * Move to a path, unless a leave guard stops it. Returns whether it moved.
+     * force skips the guards, for redirects and sign out.
+     */
+    async navigate(path, { replace = false, force = false } = {}) {
+        if (!force && !(await this.canLeave(path))) {
+            return false;
+        }
+
+        this.saveScroll();
+
+        this.current = {
+            key: NavigationManager.createKey(),
+            index: replace ? this.current.index : this.current.index + 1
+        };
+        this.type = replace ? 'replace' : 'push';
+
+        URLUtils.navigate(path, replace, { ...this.current });
+        return true;
+    }
+
+    /**
+     * Handle a back/forward move. Resolves true when the new page should load.
+     * When a leave guard objects the move is undone straight away, and only
+     * redone once the user confirms.
+     */
+    async handlePopState(event) {
+        if (this.ignoreNextPop) {
+            this.ignoreNextPop = false;
+            return false;
+        }
+
+        const state = event.state || {};
+        const delta = typeof state.index === 'number' ? state.index - this.current.index : null;
+
+        if (this.allowNextPop) {
+            this.allowNextPop = false;
+        } else if (delta) {
+            const to = window.location.pathname + window.location.search;
+            const blocked = this.check(to);
+
+            if (blocked) {
+                this.ignoreNextPop = true;
+                window.history.go(-delta);
+
+                if (blocked.message && await this.options.confirm(blocked.message)) {
+                    this.allowNextPop = true;
+                    window.history.go(delta);
+                }
+
+                return false;
+            }
+        }
+
+        // Entries made outside the app have no index and cannot be undone
+        this.saveScroll();
+        this.current = this.stamp(state, this.current.index);
+        this.type = 'pop';
+
+        return true;
+    }
+
+    /**
+     * Finish a navigation once the new page is on screen: restore or reset
+     * scrolling, move focus to the page heading and announce the page
+     */
+    complete(container) {
+        const type = this.type;
+        this.type = null;
+
+        const position = this.getPositions()[this.current.key];
+        if ((type === 'pop' || type === 'load') && position) {
+            window.scrollTo(position.x, position.y);
+        } else if (type === 'push' || type === 'replace') {
+            window.scrollTo(0, 0);
+        }
+
+        // Leave focus where the browser put it on first load
+        if (!type || type === 'load') return;
+
+        const heading = container.querySelector('h1') || container.querySelector('h2');
+        const target = heading || container;
+
+        if (!target.hasAttribute('tabindex')) {
+            target.setAttribute('tabindex', '-1');
+        }
+        target.focus({ preventScroll: true });
+
+        const title = heading ? heading.textContent.trim() : document.title;
+        this.announce(`Navigated to ${title}`);
+    }
+
+    /**
+     * Read a message out through the live region. The region is emptied first
+     * so the same message is announced again.
+     */
+    announce(message) {
+        const region = typeof this.options.announcer === 'string'
+            ? document.querySelector(this.options.announcer)
+            : this.options.announcer;
+        if (!region) return;
+
+        region.textContent = '';
+        clearTimeout(this.announceTimer);
+        this.announceTimer = setTimeout(() => {
+            region.textContent = message;
+        }, 100);
+    }
+
+    /**
+     * Remember the scroll position of the entry being left
+     */
+    saveScroll() {
+        if (!this.current) return;
+
+        const positions = this.getPositions();
+        delete positions[this.current.key];
+        positions[this.current.key] = { x: window.scrollX, y: window.scrollY };
+
+        // Keep the most recent entries only
+        const keys = Object.keys(positions);
+        keys.slice(0, Math.max(0, keys.length - this.options.maxEntries)).forEach(key => {
+            delete positions[key];
+        });
+
+        StorageUtils.setSession(this.options.storageKey, positions);
+    }
+
+    getPositions() {
+        return StorageUtils.getSession(this.options.storageKey, {});
+    }
+
+    /**
+     * Give a history entry a key and index if it has none yet
+     */
+    stamp(state, index) {
+        if (state && state.key) {
+            return { key: state.key, index: typeof state.index === 'number' ? state.index : index };
+        }
+
+        const entry = { key: NavigationManager.createKey(), index };
+        window.history.replaceState({ ...(state || {}), ...entry }, '');
+        return entry;
+    }
+
+    static createKey() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+}
+
+// Global navigation lifecycle, started by the app
+window.Navigation = new NavigationManager();
+
+// Export navigation manager
+window.NavigationManager = NavigationManager;
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NavigationManager;
+}
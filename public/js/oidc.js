@@ -0,0 +1,247 @@
+/**
+ * TPT Government Platform - OpenID Connect Login
+ * Authorization code flow with PKCE for signing in through an agency identity provider
+ */
+
+class OidcClient {
+    /**
+     * Options:
+     *  - redirectPath: the app route the identity provider returns to
+     *  - transactionTTL: how long a started sign-in stays valid, in milliseconds
+     *  - redirect(url): leaves the app for the identity provider (replaceable in tests)
+     */
+    constructor(api, options = {}) {
+        this.api = api;
+        this.options = {
+            redirectPath: '/auth/callback',
+            transactionTTL: 10 * 60 * 1000,
+            redirect: (url) => window.location.assign(url),
+            ...options
+        };
+        this.storageKey = 'oidc_transactions';
+        this.providers = null;
+        this.discovery = new Map();
+    }
+
+    /**
+     * Get the identity providers this deployment offers:
+     * [{ id, name, issuer, client_id, scopes, authorization_endpoint? }]
+     */
+    async getProviders() {
+        if (!this.providers) {
+            const response = await this.api.get('/auth/oidc/providers', {}, { skipAuthRefresh: true });
+            this.providers = response.providers || [];
+        }
+
+        return this.providers;
+    }
+
+    /**
+     * Get a provider's authorization endpoint, using OIDC discovery when it is not configured
+     */
+    async getAuthorizationEndpoint(provider) {
+        if (provider.authorization_endpoint) {
+            return provider.authorization_endpoint;
+        }
+
+        if (!this.discovery.has(provider.issuer)) {
+            const issuer = provider.issuer.replace(/\/$/, '');
+            const response = await fetch(`${issuer}/.well-known/openid-configuration`, {
+                headers: { 'Accept': 'application/json' }
+            });
+
+            if (!response.ok) {
+                throw new Error(`Could not reach ${provider.name || 'the identity provider'}`);
+            }
+
+            this.discovery.set(provider.issuer, await response.json());
+        }
+
+        return this.discovery.get(provider.issuer).authorization_endpoint;
+    }
+
+    getRedirectUri() {
+        return `${window.location.origin}${this.options.redirectPath}`;
+    }
+
+    /**
+     * Start signing in: remember the PKCE verifier, state and nonce, then send the
+     * browser to the identity provider. returnTo is the route to open afterwards.
+     */
+    async login(providerId, { returnTo = '/dashboard' } = {}) {
+        const providers = await this.getProviders();
+        const provider = providers.find(item => item.id === providerId);
+
+        if (!provider) {
+            throw new Error(`Unknown identity provider '${providerId}'`);
+        }
+
+        const state = this.randomString();
+        const nonce = this.randomString();
+        const verifier = this.randomString(32);
+        const challenge = await this.createChallenge(verifier);
+
+        this.saveTransaction(state, {
+            provider: provider.id,
+            verifier,
+            nonce,
+            returnTo,
+            createdAt: Date.now()
+        });
+
+        const params = new URLSearchParams({
+            response_type: 'code',
+            client_id: provider.client_id,
+            redirect_uri: this.getRedirectUri(),
+            scope: (provider.scopes || ['openid', 'profile', 'email']).join(' '),
+            state,
+            nonce,
+            code_challenge: challenge,
+            code_challenge_method: 'S256'
+        });
+
+        const endpoint = await this.getAuthorizationEndpoint(provider);
+        const url = `${endpoint}${endpoint.includes('?') ? '&' : '?'}${params.toString()}`;
+
+        this.options.redirect(url);
+        return url;
+    }
+
+    /**
+     * Finish signing in on the callback route. Validates state and nonce, has the
+     * platform exchange the code with the PKCE verifier and stores the session.
+     * Resolves with the login response plus the route to return to.
+     */
+    async handleCallback(url = window.location.href) {
+        const params = new URL(url).searchParams;
+        const state = params.get('state');
+        const transaction = this.takeTransaction(state);
+
+        if (params.get('error')) {
+            throw new Error(params.get('error_description') || params.get('error'));
+        }
+
+        if (!transaction) {
+            throw new Error('This sign-in link is invalid or has expired. Please sign in again.');
+        }
+
+        if (!params.get('code')) {
+            throw new Error('The identity provider did not return an authorization code');
+        }
+
+        const response = await this.api.post('/auth/oidc/token', {
+            provider: transaction.provider,
+            code: params.get('code'),
+            code_verifier: transaction.verifier,
+            redirect_uri: this.getRedirectUri()
+        }, { skipAuthRefresh: true });
+
+        // The ID token must belong to the sign-in we started
+        const claims = this.decodeIdToken(response.id_token);
+        if (!claims || claims.nonce !== transaction.nonce) {
+            throw new Error('Sign-in could not be verified. Please try again.');
+        }
+
+        if (!response.token) {
+            throw new Error(response.error || 'Sign-in failed');
+        }
+
+        this.api.cache.clear();
+        this.api.saveToken(response.token, response.refresh_token);
+
+        return { ...response, returnTo: transaction.returnTo };
+    }
+
+    /**
+     * Read the claims from an ID token. The signature is checked by the platform;
+     * the browser only needs the nonce to tie the token to this sign-in.
+     */
+    decodeIdToken(idToken) {
+        if (!idToken || idToken.split('.').length !== 3) {
+            return null;
+        }
+
+        try {
+            const payload = idToken.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            const padded = payload + '='.repeat((4 - (payload.length % 4)) % 4);
+            return JSON.parse(decodeURIComponent(Array.from(atob(padded))
+                .map(char => '%' + char.charCodeAt(0).toString(16).padStart(2, '0'))
+                .join('')));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * S256 code challenge for a PKCE verifier
+     */
+    async createChallenge(verifier) {
+        const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+        return this.base64url(new Uint8Array(digest));
+    }
+
+    /**
+     * Random base64url string from the given number of bytes
+     */
+    randomString(bytes = 16) {
+        return this.base64url(window.crypto.getRandomValues(new Uint8Array(bytes)));
+    }
+
+    base64url(bytes) {
+        return btoa(String.fromCharCode.apply(null, Array.from(bytes)))
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
+    }
+
+    /**
+     * Remember a started sign-in for this tab, keyed by state
+     */
+    saveTransaction(state, transaction) {
+        const transactions = this.getTransactions();
+        transactions[state] = transaction;
+        StorageUtils.setSession(this.storageKey, transactions);
+    }
+
+    /**
+     * Get and forget a started sign-in so its state cannot be used twice
+     */
+    takeTransaction(state) {
+        const transactions = this.getTransactions();
+        const transaction = state ? transactions[state] : null;
+
+        if (state) {
+            delete transactions[state];
+            StorageUtils.setSession(this.storageKey, transactions);
+        }
+
+        return transaction || null;
+    }
+
+    /**
+     * Get started sign-ins, dropping any that have expired
+     */
+    getTransactions() {
+        const transactions = StorageUtils.getSession(this.storageKey, {}) || {};
+        const cutoff = Date.now() - this.options.transactionTTL;
+
+        Object.keys(transactions).forEach(state => {
+            if (transactions[state].createdAt < cutoff) {
+                delete transactions[state];
+            }
+        });
+
+        return transactions;
+    }
+}
+
+// Global OIDC client
+window.OIDC = new OidcClient(window.API);
+
+// Export OIDC client
+window.OidcClient = OidcClient;
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OidcClient;
+}
@@ -0,0 +1,334 @@
+/**
+ * TPT Government Platform - Offline Outbox
+ * Durable queue of mutations made while offline, replayed in order when connectivity returns
+ */
+
+// IndexedDB persistence for queued requests
+class IndexedDBOutboxStore {
+    constructor(name = 'tpt_outbox') {
+        this.name = name;
+        this.storeName = 'requests';
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open (and on first use create) the database
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.name, 1);
+
+                request.onupgradeneeded = () => {
+                    // Auto-incremented keys preserve the order requests were made in
+                    request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run one operation in a transaction and resolve with its result once committed
+     */
+    async transaction(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = operation(tx.objectStore(this.storeName));
+
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    getAll() {
+        return this.transaction('readonly', store => store.getAll());
+    }
+
+    add(entry) {
+        return this.transaction('readwrite', store => store.add(entry));
+    }
+
+    put(entry) {
+        return this.transaction('readwrite', store => store.put(entry));
+    }
+
+    delete(id) {
+        return this.transaction('readwrite', store => store.delete(id));
+    }
+
+    clear() {
+        return this.transaction('readwrite', store => store.clear());
+    }
+}
+
+// In-memory persistence, used when IndexedDB is unavailable (e.g. some private browsing modes)
+class MemoryOutboxStore {
+    constructor() {
+        this.entries = new Map();
+        this.nextId = 1;
+    }
+
+    async getAll() {
+        return Array.from(this.entries.values()).map(entry => ({ ...entry }));
+    }
+
+    async add(entry) {
+        const id = this.nextId++;
+        this.entries.set(id, { ...entry, id });
+        return id;
+    }
+
+    async put(entry) {
+        this.entries.set(entry.id, { ...entry });
+        return entry.id;
+    }
+
+    async delete(id) {
+        this.entries.delete(id);
+    }
+
+    async clear() {
+        this.entries.clear();
+    }
+}
+
+// Queued mutations and their replay
+class OfflineOutbox {
+    constructor(api, store = null) {
+        this.api = api;
+        this.store = store || OfflineOutbox.createStore();
+        this.listeners = new Set();
+        this.replaying = null;
+
+        // With several tabs open only the leader tab replays, see TabSync
+        this.autoReplay = true;
+
+        // Replay as soon as the browser is back online
+        window.addEventListener('online', () => {
+            if (!this.autoReplay) return;
+            this.replay().catch(error => console.error('Outbox replay failed:', error));
+        });
+    }
+
+    /**
+     * Pick the best available persistence
+     */
+    static createStore() {
+        return typeof indexedDB !== 'undefined' ? new IndexedDBOutboxStore() : new MemoryOutboxStore();
+    }
+
+    /**
+     * Check if a request can be queued for later instead of failing.
+     * Reads, sign-in calls, document uploads and streamed responses are never queued;
+     * pass queue: false to opt a mutation out. An upload needs the server's answer
+     * (an upload id, the checksum it verified) before it can go on.
+     */
+    isQueueable(method, endpoint, data, options = {}) {
+        return !['GET', 'HEAD', 'OPTIONS'].includes(method.toUpperCase()) &&
+            options.queue !== false &&
+            !options.skipAuthRefresh &&
+            !options.onUploadProgress &&
+            !options.rawResponse &&
+            !endpoint.startsWith('/auth/') &&
+            !endpoint.startsWith('/documents/upload') &&
+            !(data && this.api.isRawBody(data));
+    }
+
+    /**
+     * Add a request to the outbox. The idempotency key travels with it so the
+     * server can ignore a replay it already applied, and the user id so it is
+     * only ever sent for the user who made it.
+     */
+    async enqueue(method, endpoint, data = null, options = {}) {
+        const entry = {
+            method: method.toUpperCase(),
+            endpoint,
+            data,
+            idempotencyKey: options.idempotencyKey || this.api.createIdempotencyKey(),
+            userId: this.api.userId,
+            invalidates: [].concat(options.invalidates || []),
+            label: options.outboxLabel || `${method.toUpperCase()} ${endpoint}`,
+            status: 'pending',
+            attempts: 0,
+            error: null,
+            createdAt: new Date().toISOString()
+        };
+
+        entry.id = await this.store.add(entry);
+        await this.notify();
+        return entry;
+    }
+
+    /**
+     * Get queued entries, oldest first
+     */
+    async getEntries() {
+        const entries = await this.store.getAll();
+        return entries.sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Send queued requests in order. Concurrent calls share one replay.
+     * Resolves with { sent, conflicts, remaining }.
+     */
+    replay() {
+        if (!this.replaying) {
+            this.replaying = this.replayEntries().finally(() => {
+                this.replaying = null;
+            });
+        }
+
+        return this.replaying;
+    }
+
+    /**
+     * Replay pending entries one at a time so the server sees them in the order they were made.
+     * Nothing is sent while signed out, and entries queued by another user are dropped.
+     */
+    async replayEntries() {
+        const result = { sent: 0, conflicts: 0, remaining: 0 };
+        const userId = this.api.userId;
+        let entries = await this.getEntries();
+
+        if (userId === null || userId === undefined) {
+            result.remaining = entries.filter(item => item.status === 'pending').length;
+            return result;
+        }
+
+        const foreign = entries.filter(item => item.userId !== userId);
+        if (foreign.length > 0) {
+            await Promise.all(foreign.map(item => this.store.delete(item.id)));
+            entries = entries.filter(item => item.userId === userId);
+            await this.notify();
+        }
+
+        for (let index = 0; index < entries.length; index++) {
+            const entry = entries[index];
+            if (entry.status !== 'pending') continue;
+
+            try {
+                await this.api.request(entry.method, entry.endpoint, entry.data, {
+                    idempotencyKey: entry.idempotencyKey,
+                    invalidates: entry.invalidates,
+                    queue: false
+                });
+
+                await this.store.delete(entry.id);
+                result.sent++;
+            } catch (error) {
+                entry.attempts++;
+                entry.error = this.describeError(error);
+
+                // Still offline, server trouble or signed out: keep this entry and everything after it
+                if (!this.isRejected(error)) {
+                    await this.store.put(entry);
+                    result.remaining = entries.slice(index).filter(item => item.status === 'pending').length;
+                    break;
+                }
+
+                // The server refused the change, the user has to decide what to do with it
+                entry.status = 'conflict';
+                await this.store.put(entry);
+                result.conflicts++;
+
+                window.dispatchEvent(new CustomEvent('outboxconflict', {
+                    detail: { entry, error }
+                }));
+            }
+
+            await this.notify();
+        }
+
+        await this.notify();
+        return result;
+    }
+
+    /**
+     * Check if the server definitively refused a replayed request
+     */
+    isRejected(error) {
+        return error.status >= 400 && error.status < 500 && ![401, 408, 429].includes(error.status);
+    }
+
+    /**
+     * Keep the parts of an error the UI needs; entries must stay cloneable
+     */
+    describeError(error) {
+        return {
+            message: error.message,
+            status: error.status || 0,
+            code: error.code || null,
+            errors: error.errors || {}
+        };
+    }
+
+    /**
+     * Put a conflicted entry back in the queue and replay it
+     */
+    async retry(id, data = undefined) {
+        const entry = (await this.getEntries()).find(item => item.id === id);
+        if (!entry) return null;
+
+        entry.status = 'pending';
+        entry.error = null;
+        if (data !== undefined) {
+            entry.data = data;
+        }
+
+        await this.store.put(entry);
+        await this.notify();
+        return this.replay();
+    }
+
+    /**
+     * Drop an entry without sending it
+     */
+    async discard(id) {
+        await this.store.delete(id);
+        await this.notify();
+    }
+
+    /**
+     * Drop every entry, e.g. when the user signs out
+     */
+    async clear() {
+        await this.store.clear();
+        await this.notify();
+    }
+
+    /**
+     * Listen for outbox changes. The listener receives all entries and where the
+     * change came from: 'local', or 'remote' for another tab. Returns an unsubscribe function.
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Tell listeners the outbox changed
+     */
+    async notify(source = 'local') {
+        if (this.listeners.size === 0) return;
+
+        const entries = await this.getEntries();
+        this.listeners.forEach(listener => listener(entries, source));
+    }
+}
+
+// Export outbox
+window.IndexedDBOutboxStore = IndexedDBOutboxStore;
+window.MemoryOutboxStore = MemoryOutboxStore;
+window.OfflineOutbox = OfflineOutbox;
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IndexedDBOutboxStore, MemoryOutboxStore, OfflineOutbox };
+}
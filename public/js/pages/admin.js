@@ -0,0 +1,63 @@
+/**
+ * TPT Government Platform - Administration Page
+ * System administration and monitoring
+ */
+
+const AdminPage = {
+    render() {
+        return html`
+            <div class="admin-page">
+                <div class="page-header">
+                    <h1>Administration</h1>
+                    <p>System administration and monitoring</p>
+                </div>
+
+                <div class="admin-grid">
+                    <div class="admin-section">
+                        <h2>System Statistics</h2>
+                        <div id="admin-stats">
+                            <div class="stat-item">
+                                <span class="stat-label">Total Users:</span>
+                                <span class="stat-value">1,250</span>
+                            </div>
+                            <div class="stat-item">
+                                <span class="stat-label">Active Sessions:</span>
+                                <span class="stat-value">89</span>
+                            </div>
+                            <div class="stat-item">
+                                <span class="stat-label">API Requests Today:</span>
+                                <span class="stat-value">12,450</span>
+                            </div>
+                        </div>
+                    </div>
+
+                    <div class="admin-section">
+                        <h2>System Health</h2>
+                        <div id="system-health">
+                            <div class="health-item">
+                                <span class="health-label">Database:</span>
+                                <span class="health-status status-healthy">Healthy</span>
+                            </div>
+                            <div class="health-item">
+                                <span class="health-label">Cache:</span>
+                                <span class="health-status status-healthy">Healthy</span>
+                            </div>
+                            <div class="health-item">
+                                <span class="health-label">API:</span>
+                                <span class="health-status status-healthy">Healthy</span>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+};
+
+// Register administration page
+window.PageRegistry.register('admin', AdminPage);
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AdminPage;
+}
@@ -0,0 +1,75 @@
+/**
+ * TPT Government Platform - Dashboard Page
+ * Overview of the signed in user's activity
+ */
+
+const DashboardPage = {
+    render({ app }) {
+        return html`
+            <div class="dashboard-page">
+                <div class="page-header">
+                    <h1>Dashboard</h1>
+                    <p>Welcome back, ${app.currentUser?.name || 'User'}!</p>
+                </div>
+
+                <div id="dashboard-stats"></div>
+
+                <div class="dashboard-grid">
+                    <div class="dashboard-section">
+                        <h2>Recent Activity</h2>
+                        <div class="activity-list">
+                            <div class="activity-item">
+                                <div class="activity-icon">📝</div>
+                                <div class="activity-content">
+                                    <div class="activity-title">Permit Application Submitted</div>
+                                    <div class="activity-time">2 hours ago</div>
+                                </div>
+                            </div>
+                            <div class="activity-item">
+                                <div class="activity-icon">📄</div>
+                                <div class="activity-content">
+                                    <div class="activity-title">Document Uploaded</div>
+                                    <div class="activity-time">1 day ago</div>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+
+                    <div class="dashboard-section">
+                        <h2>Quick Actions</h2>
+                        <div class="quick-actions">
+                            <a href="/services/permits" class="action-card">
+                                <div class="action-icon">🏢</div>
+                                <div class="action-title">Apply for Permit</div>
+                            </a>
+                            <a href="/services/taxes" class="action-card">
+                                <div class="action-icon">💰</div>
+                                <div class="action-title">File Taxes</div>
+                            </a>
+                            <a href="/documents" class="action-card">
+                                <div class="action-icon">📄</div>
+                                <div class="action-title">Upload Documents</div>
+                            </a>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    },
+
+    mount(container) {
+        ComponentRenderer.render('dashboard-stats', container.querySelector('#dashboard-stats'));
+    },
+
+    unmount(container) {
+        ComponentRenderer.unmount(container.querySelector('#dashboard-stats'));
+    }
+};
+
+// Register dashboard page
+window.PageRegistry.register('dashboard', DashboardPage);
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DashboardPage;
+}
@@ -0,0 +1,55 @@
+/**
+ * TPT Government Platform - Home Page
+ * Public landing page
+ */
+
+const HomePage = {
+    render() {
+        return html`
+            <div class="home-page">
+                <section class="hero">
+                    <h1>Welcome to TPT Government Platform</h1>
+                    <p>Modern AI-powered government services at your fingertips</p>
+                    <div class="hero-actions">
+                        <a href="/services" class="btn btn-primary">Browse Services</a>
+                        <a href="/dashboard" class="btn btn-secondary">My Dashboard</a>
+                    </div>
+                </section>
+
+                <section class="features">
+                    <h2>Platform Features</h2>
+                    <div class="features-grid">
+                        <div class="feature-card">
+                            <div class="feature-icon">🤖</div>
+                            <h3>AI Integration</h3>
+                            <p>Powered by OpenAI, Anthropic, Gemini, and OpenRouter</p>
+                        </div>
+                        <div class="feature-card">
+                            <div class="feature-icon">📱</div>
+                            <h3>PWA Support</h3>
+                            <p>Works offline and installs like a native app</p>
+                        </div>
+                        <div class="feature-card">
+                            <div class="feature-icon">🔒</div>
+                            <h3>Secure & Compliant</h3>
+                            <p>GDPR compliant with comprehensive audit logging</p>
+                        </div>
+                        <div class="feature-card">
+                            <div class="feature-icon">🔧</div>
+                            <h3>Modular Design</h3>
+                            <p>Extensible plugin system for custom services</p>
+                        </div>
+                    </div>
+                </section>
+            </div>
+        `;
+    }
+};
+
+// Register home page
+window.PageRegistry.register('home', HomePage);
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HomePage;
+}
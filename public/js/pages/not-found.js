@@ -0,0 +1,24 @@
+/**
+ * TPT Government Platform - Not Found Page
+ * Shown for paths no route matches
+ */
+
+const NotFoundPage = {
+    render() {
+        return html`
+            <div class="page-not-found">
+                <h1>Page Not Found</h1>
+                <p>The requested page could not be found.</p>
+                <a href="/" class="btn btn-primary">Go Home</a>
+            </div>
+        `;
+    }
+};
+
+// Register not found page
+window.PageRegistry.register('not-found', NotFoundPage);
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NotFoundPage;
+}
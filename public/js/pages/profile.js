@@ -0,0 +1,31 @@
+/**
+ * TPT Government Platform - Profile Page
+ * Account and security settings
+ */
+
+const ProfilePage = {
+    render() {
+        return html`
+            <div class="profile-page">
+                <h1>My Profile</h1>
+                <div id="mfa-settings"></div>
+            </div>
+        `;
+    },
+
+    mount(container) {
+        ComponentRenderer.render('mfa-settings', container.querySelector('#mfa-settings'));
+    },
+
+    unmount(container) {
+        ComponentRenderer.unmount(container.querySelector('#mfa-settings'));
+    }
+};
+
+// Register profile page
+window.PageRegistry.register('profile', ProfilePage);
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProfilePage;
+}
@@ -0,0 +1,55 @@
+/**
+ * TPT Government Platform - Service Application Page
+ * Application form for a single service
+ */
+
+const ServiceApplyPage = {
+    render() {
+        return html`
+            <div class="service-apply-page">
+                <div id="service-apply"><p>Loading application form...</p></div>
+            </div>
+        `;
+    },
+
+    async mount(container, { app, params }) {
+        const form = container.querySelector('#service-apply');
+
+        try {
+            const { service } = await API.getService(params.id, { scope: 'route' });
+
+            ComponentRenderer.render('service-application', form, {
+                service,
+                onSubmit: data => API.submitApplication(params.id, data),
+                onSuccess: (result) => {
+                    NotificationUtils.success(result.queued ? result.message : 'Your application has been submitted.');
+                    app.navigate('/dashboard');
+                }
+            });
+        } catch (error) {
+            if (API.isAbortError(error)) return;
+
+            console.error('Failed to load service:', error);
+            form.innerHTML = '<p>This service could not be loaded. Please try again.</p>';
+        }
+    },
+
+    unmount(container) {
+        ComponentRenderer.unmount(container.querySelector('#service-apply'));
+    },
+
+    beforeLeave(container) {
+        const application = ComponentRenderer.get(container.querySelector('#service-apply'));
+        if (application && application.state.unsaved) {
+            return 'You have unsaved changes to your application. Leave this page?';
+        }
+    }
+};
+
+// Register service application page
+window.PageRegistry.register('service-apply', ServiceApplyPage);
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ServiceApplyPage;
+}
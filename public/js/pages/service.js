@@ -0,0 +1,56 @@
+/**
+ * TPT Government Platform - Service Page
+ * Details of a single service
+ */
+
+const ServicePage = {
+    render() {
+        return html`
+            <div class="service-page">
+                <div id="service-detail"><p>Loading service...</p></div>
+            </div>
+        `;
+    },
+
+    async mount(container, { app, params }) {
+        const detail = container.querySelector('#service-detail');
+
+        try {
+            const { service } = await API.getService(params.id, { scope: 'route' });
+
+            detail.innerHTML = html`
+                <div class="page-header">
+                    <div class="service-icon">${app.getServiceIcon(service.category)}</div>
+                    <h1>${service.name}</h1>
+                    <span class="service-category">${service.category}</span>
+                </div>
+                <div class="service-description">${sanitizeHTML(service.description)}</div>
+                <div class="service-actions">
+                    <button class="btn btn-primary apply-btn">Apply Now</button>
+                    <button class="btn btn-secondary back-btn">All Services</button>
+                </div>
+            `;
+
+            DOMUtils.on(detail.querySelector('.apply-btn'), 'click', () => {
+                app.navigate(app.router.href('service-apply', { id: params.id }));
+            });
+            DOMUtils.on(detail.querySelector('.back-btn'), 'click', () => {
+                app.navigate(app.router.href('services'));
+            });
+
+        } catch (error) {
+            if (API.isAbortError(error)) return;
+
+            console.error('Failed to load service:', error);
+            detail.innerHTML = '<p>This service could not be loaded. Please try again.</p>';
+        }
+    }
+};
+
+// Register service page
+window.PageRegistry.register('service', ServicePage);
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ServicePage;
+}
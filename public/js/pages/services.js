@@ -0,0 +1,76 @@
+/**
+ * TPT Government Platform - Services Page
+ * Catalogue of government services
+ */
+
+const ServicesPage = {
+    render() {
+        return html`
+            <div class="services-page">
+                <div class="page-header">
+                    <h1>Government Services</h1>
+                    <p>Access and apply for government services online</p>
+                </div>
+
+                <div class="services-grid" id="services-grid">
+                    <!-- Services will be loaded here -->
+                </div>
+            </div>
+        `;
+    },
+
+    async mount(container, { app }) {
+        const servicesGrid = container.querySelector('#services-grid');
+
+        try {
+            const response = await API.getServices({ scope: 'route' });
+            const services = response.services || [];
+
+            servicesGrid.innerHTML = html`${services.map(service => html`
+                <div class="service-card" data-service-id="${service.id}">
+                    <div class="service-header">
+                        <div class="service-icon">${app.getServiceIcon(service.category)}</div>
+                        <h3 class="service-title">${service.name}</h3>
+                    </div>
+                    <div class="service-description">${sanitizeHTML(service.description)}</div>
+                    <div class="service-meta">
+                        <span class="service-category">${service.category}</span>
+                    </div>
+                    <div class="service-actions">
+                        <button class="btn btn-primary apply-btn" data-service-id="${service.id}">
+                            Apply Now
+                        </button>
+                        <button class="btn btn-secondary learn-more-btn" data-service-id="${service.id}">
+                            Learn More
+                        </button>
+                    </div>
+                </div>
+            `)}`;
+
+            // Add event listeners
+            DOMUtils.on(servicesGrid, 'click', '.apply-btn', (e) => {
+                const serviceId = e.target.getAttribute('data-service-id');
+                app.navigate(app.router.href('service-apply', { id: serviceId }));
+            });
+
+            DOMUtils.on(servicesGrid, 'click', '.learn-more-btn', (e) => {
+                const serviceId = e.target.getAttribute('data-service-id');
+                app.navigate(app.router.href('service', { id: serviceId }));
+            });
+
+        } catch (error) {
+            if (API.isAbortError(error)) return;
+
+            console.error('Failed to load services:', error);
+            servicesGrid.innerHTML = '<p>Failed to load services. Please try again.</p>';
+        }
+    }
+};
+
+// Register services page
+window.PageRegistry.register('services', ServicesPage);
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ServicesPage;
+}
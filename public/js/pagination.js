@@ -0,0 +1,332 @@
+/**
+ * TPT Government Platform - Pagination
+ * Paginated list resources, page iteration and filter/sort query builders
+ */
+
+// Filter and sort builder validated against a resource schema
+class QueryBuilder {
+    /**
+     * Schema shape:
+     *  {
+     *      filters: { status: { type: 'enum', values: ['draft', 'submitted'] }, created_at: { type: 'date' } },
+     *      sortable: ['created_at', 'status'],
+     *      searchable: true
+     *  }
+     * Filter types: string, number, boolean, date, enum
+     */
+    constructor(schema = {}) {
+        this.schema = {
+            filters: schema.filters || {},
+            sortable: schema.sortable || [],
+            searchable: schema.searchable !== false
+        };
+        this.filters = [];
+        this.sorts = [];
+        this.searchTerm = null;
+        this.pageSize = null;
+    }
+
+    static get OPERATORS() {
+        return ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'contains'];
+    }
+
+    /**
+     * Add a filter: where('status', 'submitted') or where('created_at', 'gte', date)
+     */
+    where(field, operator, value) {
+        if (value === undefined) {
+            value = operator;
+            operator = Array.isArray(value) ? 'in' : 'eq';
+        }
+
+        const definition = this.schema.filters[field];
+        if (!definition) {
+            throw new Error(`Unknown filter '${field}'`);
+        }
+
+        if (!QueryBuilder.OPERATORS.includes(operator) ||
+            (definition.operators && !definition.operators.includes(operator))) {
+            throw new Error(`Operator '${operator}' is not allowed for filter '${field}'`);
+        }
+
+        const values = operator === 'in' ? [].concat(value) : [value];
+        const serialized = values.map(item => this.serializeValue(field, definition, item));
+
+        this.filters = this.filters.filter(filter => !(filter.field === field && filter.operator === operator));
+        this.filters.push({
+            field,
+            operator,
+            value: operator === 'in' ? serialized.join(',') : serialized[0]
+        });
+
+        return this;
+    }
+
+    /**
+     * Add a sort, applied in the order added
+     */
+    sortBy(field, direction = 'asc') {
+        if (!this.schema.sortable.includes(field)) {
+            throw new Error(`Cannot sort by '${field}'`);
+        }
+        if (direction !== 'asc' && direction !== 'desc') {
+            throw new Error(`Invalid sort direction '${direction}'`);
+        }
+
+        this.sorts = this.sorts.filter(sort => sort.field !== field);
+        this.sorts.push({ field, direction });
+        return this;
+    }
+
+    /**
+     * Set a free text search term
+     */
+    search(term) {
+        if (!this.schema.searchable) {
+            throw new Error('This resource does not support search');
+        }
+
+        this.searchTerm = term || null;
+        return this;
+    }
+
+    /**
+     * Set the page size
+     */
+    perPage(size) {
+        this.pageSize = size;
+        return this;
+    }
+
+    /**
+     * Convert a filter value to its query string form, validating its type
+     */
+    serializeValue(field, definition, value) {
+        switch (definition.type) {
+            case 'number':
+                if (typeof value !== 'number' || isNaN(value)) {
+                    throw new Error(`Filter '${field}' expects a number`);
+                }
+                return String(value);
+
+            case 'boolean':
+                if (typeof value !== 'boolean') {
+                    throw new Error(`Filter '${field}' expects a boolean`);
+                }
+                return value ? 'true' : 'false';
+
+            case 'date': {
+                const date = value instanceof Date ? value : new Date(value);
+                if (isNaN(date.getTime())) {
+                    throw new Error(`Filter '${field}' expects a date`);
+                }
+                return date.toISOString();
+            }
+
+            case 'enum':
+                if (!definition.values.includes(value)) {
+                    throw new Error(`Filter '${field}' must be one of: ${definition.values.join(', ')}`);
+                }
+                return value;
+
+            default:
+                return String(value);
+        }
+    }
+
+    /**
+     * Build query parameters, e.g.
+     * { 'filter[status]': 'submitted', 'filter[created_at][gte]': '...', sort: '-created_at', q: 'permit' }
+     */
+    toParams() {
+        const params = {};
+
+        this.filters.forEach(({ field, operator, value }) => {
+            const key = operator === 'eq' ? `filter[${field}]` : `filter[${field}][${operator}]`;
+            params[key] = value;
+        });
+
+        if (this.sorts.length > 0) {
+            params.sort = this.sorts
+                .map(({ field, direction }) => (direction === 'desc' ? `-${field}` : field))
+                .join(',');
+        }
+
+        if (this.searchTerm) {
+            params.q = this.searchTerm;
+        }
+
+        if (this.pageSize) {
+            params.per_page = this.pageSize;
+        }
+
+        return params;
+    }
+}
+
+// One page of a list endpoint with normalized metadata
+class ResultPage {
+    constructor({ items, page, perPage, total, totalPages, nextCursor, cursorBased = false }) {
+        this.items = items;
+        this.page = page;
+        this.perPage = perPage;
+        this.total = total;
+        this.totalPages = totalPages;
+        this.nextCursor = nextCursor;
+
+        // Cursor pages carry no page number to go on from
+        this.cursorBased = cursorBased || Boolean(nextCursor);
+    }
+
+    /**
+     * Check if another page follows this one. A cursor page without a next cursor is the last.
+     */
+    get hasNext() {
+        if (this.cursorBased) return Boolean(this.nextCursor);
+        if (this.totalPages) return this.page < this.totalPages;
+        return this.perPage ? this.items.length >= this.perPage : false;
+    }
+
+    /**
+     * Normalize the pagination shapes returned by list endpoints:
+     * { data, meta: { current_page, last_page, per_page, total } },
+     * { items, pagination: { page, total_pages } }, { <itemsKey>: [...], next_cursor }.
+     * Pass cursor: true for a page fetched by cursor.
+     */
+    static fromResponse(response, { itemsKey = null, page = 1, perPage = null, cursor = false } = {}) {
+        const body = response && typeof response === 'object' ? response : {};
+        const meta = body.meta || body.pagination || {};
+
+        let items = [];
+        if (Array.isArray(body)) {
+            items = body;
+        } else if (itemsKey && Array.isArray(body[itemsKey])) {
+            items = body[itemsKey];
+        } else if (itemsKey && body.data && Array.isArray(body.data[itemsKey])) {
+            items = body.data[itemsKey];
+        } else if (Array.isArray(body.data)) {
+            items = body.data;
+        } else if (Array.isArray(body.items)) {
+            items = body.items;
+        }
+
+        const size = meta.per_page || meta.page_size || body.per_page || perPage;
+        const total = meta.total !== undefined ? meta.total : (body.total !== undefined ? body.total : null);
+        const totalPages = meta.last_page || meta.total_pages || body.total_pages ||
+            (total !== null && size ? Math.ceil(total / size) : null);
+
+        return new ResultPage({
+            items,
+            page: meta.current_page || meta.page || body.page || page,
+            perPage: size || null,
+            total,
+            totalPages,
+            nextCursor: meta.next_cursor || body.next_cursor || null,
+            cursorBased: cursor || 'next_cursor' in meta || 'next_cursor' in body
+        });
+    }
+}
+
+// A list endpoint that can be fetched page by page or iterated in full
+class PaginatedResource {
+    constructor(api, endpoint, options = {}) {
+        this.api = api;
+        this.endpoint = endpoint;
+        this.itemsKey = options.itemsKey || null;
+        this.pageSize = options.pageSize || 25;
+        this.query = options.query || {};
+    }
+
+    /**
+     * Get query parameters from a QueryBuilder or plain object
+     */
+    getQueryParams() {
+        return this.query instanceof QueryBuilder ? this.query.toParams() : { ...this.query };
+    }
+
+    /**
+     * Fetch a single page by number or cursor
+     */
+    async fetchPage({ page = 1, cursor = null } = {}, options = {}) {
+        const params = { per_page: this.pageSize, ...this.getQueryParams() };
+
+        if (cursor) {
+            params.cursor = cursor;
+        } else {
+            params.page = page;
+        }
+
+        const response = await this.api.get(this.endpoint, params, options);
+        return ResultPage.fromResponse(response, {
+            itemsKey: this.itemsKey,
+            page,
+            perPage: params.per_page,
+            cursor: Boolean(cursor)
+        });
+    }
+
+    /**
+     * Walk every page, following cursors when the server provides them.
+     * Options: maxPages plus any request options (signal, scope, timeout).
+     */
+    async *pages(options = {}) {
+        const { maxPages = Infinity, ...requestOptions } = options;
+        let page = await this.fetchPage({ page: 1 }, requestOptions);
+        let count = 1;
+
+        yield page;
+
+        while (page.hasNext && page.items.length > 0 && count < maxPages) {
+            page = page.nextCursor
+                ? await this.fetchPage({ cursor: page.nextCursor }, requestOptions)
+                : await this.fetchPage({ page: page.page + 1 }, requestOptions);
+            count++;
+
+            yield page;
+        }
+    }
+
+    /**
+     * Walk every item across all pages
+     */
+    async *items(options = {}) {
+        for await (const page of this.pages(options)) {
+            for (const item of page.items) {
+                yield item;
+            }
+        }
+    }
+
+    /**
+     * Collect items from every page, e.g. for exports.
+     * Options: limit plus the options accepted by pages().
+     */
+    async all(options = {}) {
+        const { limit = Infinity, ...pageOptions } = options;
+        const results = [];
+
+        for await (const item of this.items(pageOptions)) {
+            results.push(item);
+            if (results.length >= limit) break;
+        }
+
+        return results;
+    }
+
+    /**
+     * Iterate items with for await...of
+     */
+    [Symbol.asyncIterator]() {
+        return this.items();
+    }
+}
+
+// Export pagination helpers
+window.QueryBuilder = QueryBuilder;
+window.ResultPage = ResultPage;
+window.PaginatedResource = PaginatedResource;
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QueryBuilder, ResultPage, PaginatedResource };
+}
@@ -0,0 +1,184 @@
+/**
+ * TPT Government Platform - DOM Patching
+ * Updates rendered markup in place, keeping existing nodes, focus, input
+ * values and listeners wherever the new markup still has them
+ */
+
+class DOMPatcher {
+    /**
+     * Make the children of container match an HTML string.
+     *
+     * Children are matched to the existing nodes by key: the data-key
+     * attribute, or failing that the id. Unkeyed children are matched in
+     * order with existing nodes of the same type. Give list items a data-key
+     * so they keep their nodes when the list is reordered or filtered.
+     * The content of a child component's element (data-child) is left to
+     * that child.
+     */
+    static patch(container, html) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+
+        const active = document.activeElement;
+        const selection = DOMPatcher.getSelection(active);
+
+        DOMPatcher.patchChildren(container, template.content);
+
+        // Moving a node drops its focus, so give it back
+        if (active && active !== document.activeElement && container.contains(active)) {
+            active.focus({ preventScroll: true });
+            if (selection) {
+                active.setSelectionRange(selection.start, selection.end, selection.direction);
+            }
+        }
+    }
+
+    /**
+     * Make the children of target match the children of source
+     */
+    static patchChildren(target, source) {
+        const oldNodes = Array.from(target.childNodes);
+        const newNodes = Array.from(source.childNodes);
+
+        const keyed = new Map();
+        const unkeyed = [];
+        oldNodes.forEach(node => {
+            const key = DOMPatcher.getKey(node);
+            if (key !== null && !keyed.has(key)) {
+                keyed.set(key, node);
+            } else {
+                unkeyed.push(node);
+            }
+        });
+
+        const used = new Set();
+        let next = 0;
+
+        newNodes.forEach((newNode, index) => {
+            const key = DOMPatcher.getKey(newNode);
+            let node = null;
+
+            if (key !== null) {
+                const candidate = keyed.get(key);
+                if (candidate && !used.has(candidate) && DOMPatcher.isSameType(candidate, newNode)) {
+                    node = candidate;
+                }
+            } else {
+                for (let i = next; i < unkeyed.length; i++) {
+                    if (!used.has(unkeyed[i]) && DOMPatcher.isSameType(unkeyed[i], newNode)) {
+                        node = unkeyed[i];
+                        next = i + 1;
+                        break;
+                    }
+                }
+            }
+
+            if (node) {
+                used.add(node);
+                DOMPatcher.patchNode(node, newNode);
+            } else {
+                node = document.importNode(newNode, true);
+            }
+
+            // Move the node into place, leaving it alone when it already is
+            const current = target.childNodes[index];
+            if (current !== node) {
+                target.insertBefore(node, current || null);
+            }
+        });
+
+        oldNodes.forEach(node => {
+            if (!used.has(node) && node.parentNode === target) {
+                target.removeChild(node);
+            }
+        });
+    }
+
+    /**
+     * Update an existing node to match a new one of the same type
+     */
+    static patchNode(node, newNode) {
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            if (node.nodeValue !== newNode.nodeValue) {
+                node.nodeValue = newNode.nodeValue;
+            }
+            return;
+        }
+
+        DOMPatcher.patchAttributes(node, newNode);
+
+        // A child component renders its own content
+        if (node.hasAttribute('data-child')) {
+            return;
+        }
+
+        if (node.nodeName === 'TEXTAREA') {
+            // The text is the default value; only a changed default replaces what was typed
+            if (node.defaultValue !== newNode.defaultValue) {
+                node.defaultValue = newNode.defaultValue;
+                node.value = newNode.defaultValue;
+            }
+            return;
+        }
+
+        DOMPatcher.patchChildren(node, newNode);
+    }
+
+    /**
+     * Copy attributes across. Form control state (value, checked, selected)
+     * only follows the markup when the markup for it changed, so input the
+     * user has not submitted yet survives the update.
+     */
+    static patchAttributes(node, newNode) {
+        Array.from(node.attributes).forEach(attribute => {
+            if (!newNode.hasAttribute(attribute.name)) {
+                node.removeAttribute(attribute.name);
+                DOMPatcher.syncProperty(node, attribute.name, null);
+            }
+        });
+
+        Array.from(newNode.attributes).forEach(attribute => {
+            if (node.getAttribute(attribute.name) !== attribute.value) {
+                node.setAttribute(attribute.name, attribute.value);
+                DOMPatcher.syncProperty(node, attribute.name, attribute.value);
+            }
+        });
+    }
+
+    static syncProperty(node, name, value) {
+        if (name === 'value' && 'value' in node && node.nodeName !== 'BUTTON') {
+            node.value = value === null ? '' : value;
+        } else if (name === 'checked' && 'checked' in node) {
+            node.checked = value !== null;
+        } else if (name === 'selected' && 'selected' in node) {
+            node.selected = value !== null;
+        }
+    }
+
+    /**
+     * Caret position of a text field, where the field supports one
+     */
+    static getSelection(element) {
+        if (element && typeof element.selectionStart === 'number') {
+            return { start: element.selectionStart, end: element.selectionEnd, direction: element.selectionDirection };
+        }
+        return null;
+    }
+
+    static getKey(node) {
+        if (node.nodeType !== Node.ELEMENT_NODE) return null;
+        return node.getAttribute('data-key') || node.id || null;
+    }
+
+    static isSameType(node, newNode) {
+        return node.nodeType === newNode.nodeType && node.nodeName === newNode.nodeName;
+    }
+}
+
+// Export DOM patcher
+window.DOMPatcher = DOMPatcher;
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DOMPatcher;
+}
@@ -0,0 +1,191 @@
+/**
+ * TPT Government Platform - Permissions
+ * Permission checks for the signed in user, and permission-gated UI elements
+ */
+
+// Permissions granted by each staff role when the profile does not list them.
+// Names follow the server's module permissions, e.g. 'inspections.edit';
+// 'module.*' grants a whole module and '*' grants everything.
+const DEFAULT_ROLE_PERMISSIONS = {
+    admin: ['*'],
+    supervisor: ['cases.*', 'inspections.view', 'inspections.approve', 'inspections.reassign', 'reports.view'],
+    case_officer: ['cases.view', 'cases.create', 'cases.edit', 'documents.view'],
+    inspector: ['inspections.view', 'inspections.edit', 'inspections.report', 'documents.view'],
+    auditor: ['cases.view', 'inspections.view', 'audit.view', 'reports.view']
+};
+
+class PermissionManager {
+    /**
+     * Options:
+     *  - rolePermissions: permissions by role, merged with the ones in the user profile
+     *  - attribute: attribute naming the permissions an element needs
+     */
+    constructor(options = {}) {
+        this.options = {
+            rolePermissions: DEFAULT_ROLE_PERMISSIONS,
+            attribute: 'data-requires-permission',
+            ...options
+        };
+
+        this.user = null;
+        this.permissions = new Set();
+        this.listeners = new Set();
+        this.observer = null;
+    }
+
+    /**
+     * Set the signed in user, or null once signed out. Permissions come from
+     * the profile's permissions plus those of each of its roles.
+     */
+    setUser(user) {
+        this.user = user || null;
+        this.permissions = new Set(user ? user.permissions || [] : []);
+
+        (this.user && this.user.roles || []).forEach(role => {
+            (this.options.rolePermissions[role] || []).forEach(permission => this.permissions.add(permission));
+        });
+
+        this.apply();
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    /**
+     * Check a single permission, honouring 'module.*' and '*' grants
+     */
+    has(permission) {
+        if (!this.user) return false;
+        if (this.permissions.has('*') || this.permissions.has(permission)) return true;
+
+        const module = permission.split('.')[0];
+        return this.permissions.has(`${module}.*`);
+    }
+
+    hasAll(permissions) {
+        return permissions.every(permission => this.has(permission));
+    }
+
+    hasAny(permissions) {
+        return permissions.some(permission => this.has(permission));
+    }
+
+    hasRole(role) {
+        return Boolean(this.user && this.user.roles && this.user.roles.includes(role));
+    }
+
+    /**
+     * Listen for permission changes. Returns an unsubscribe function.
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Show, hide or disable the permission-gated elements under root.
+     *
+     *   <button data-requires-permission="cases.edit">Edit</button>
+     *   <a data-requires-permission="reports.view audit.view" data-permission-mode="any">Reports</a>
+     *   <button data-requires-permission="cases.approve" data-permission-denied="disable">Approve</button>
+     *
+     * Several permissions are all needed unless data-permission-mode="any".
+     * Elements are hidden by default; data-permission-denied="disable" keeps them visible but disabled.
+     */
+    apply(root = document) {
+        const selector = `[${this.options.attribute}]`;
+        const elements = Array.from(root.querySelectorAll(selector));
+
+        if (root.matches && root.matches(selector)) {
+            elements.unshift(root);
+        }
+
+        elements.forEach(element => this.applyTo(element));
+    }
+
+    applyTo(element) {
+        const permissions = element.getAttribute(this.options.attribute).split(/\s+/).filter(Boolean);
+        const allowed = element.getAttribute('data-permission-mode') === 'any'
+            ? this.hasAny(permissions)
+            : this.hasAll(permissions);
+
+        if (element.getAttribute('data-permission-denied') === 'disable') {
+            this.setDisabled(element, !allowed);
+        } else if (element.hidden === allowed) {
+            element.hidden = !allowed;
+        }
+    }
+
+    /**
+     * Disable an element for missing permissions, only re-enabling what was disabled here
+     */
+    setDisabled(element, disabled) {
+        if (disabled) {
+            // Leave elements that are already disabled to their owner
+            if (element.hasAttribute('data-permission-disabled') || element.disabled) return;
+
+            element.setAttribute('data-permission-disabled', '');
+            element.setAttribute('aria-disabled', 'true');
+            if ('disabled' in element) {
+                element.disabled = true;
+            }
+        } else if (element.hasAttribute('data-permission-disabled')) {
+            element.removeAttribute('data-permission-disabled');
+            element.removeAttribute('aria-disabled');
+            if ('disabled' in element) {
+                element.disabled = false;
+            }
+        }
+    }
+
+    /**
+     * Apply permissions now and to every element added to the page later,
+     * so components need no extra work to use the attribute
+     */
+    start(root = document.body) {
+        if (this.observer) return;
+
+        this.apply(root);
+
+        this.observer = new MutationObserver(mutations => {
+            mutations.forEach(mutation => {
+                if (mutation.type === 'attributes') {
+                    if (mutation.target.hasAttribute(this.options.attribute)) {
+                        this.applyTo(mutation.target);
+                    }
+                    return;
+                }
+
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE) {
+                        this.apply(node);
+                    }
+                });
+            });
+        });
+
+        this.observer.observe(root, {
+            childList: true,
+            subtree: true,
+            // Re-rendered markup can drop hidden or disabled again
+            attributes: true,
+            attributeFilter: [this.options.attribute, 'hidden', 'disabled']
+        });
+    }
+
+    stop() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+    }
+}
+
+// Global permissions for the signed in user, started by the app
+window.Permissions = new PermissionManager();
+
+// Export permission manager
+window.PermissionManager = PermissionManager;
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PermissionManager;
+}
@@ -0,0 +1,470 @@
+/**
+ * TPT Government Platform - Realtime Client
+ * Authenticated event channel over WebSocket with a Server-Sent Events fallback
+ */
+
+// WebSocket transport, speaks the RealTimeCollaboration message protocol
+class WebSocketTransport {
+    constructor(client, WebSocketImpl = window.WebSocket) {
+        this.client = client;
+        this.WebSocketImpl = WebSocketImpl;
+        this.socket = null;
+        this.canSend = true;
+    }
+
+    static isSupported() {
+        return typeof window.WebSocket === 'function';
+    }
+
+    /**
+     * Open the socket. Handlers: onOpen(), onMessage(message), onClose({ code, reason })
+     */
+    async open(handlers) {
+        this.socket = new this.WebSocketImpl(this.client.getSocketURL());
+
+        this.socket.onopen = () => {
+            // The server expects credentials as the first message
+            this.send({ type: 'authenticate', token: this.client.api.token });
+            handlers.onOpen();
+        };
+        this.socket.onmessage = (event) => handlers.onMessage(this.client.parseMessage(event.data));
+        this.socket.onclose = (event) => handlers.onClose({ code: event.code, reason: event.reason });
+        this.socket.onerror = () => {
+            // onclose follows with the details
+        };
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === 1) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    close() {
+        if (this.socket) {
+            this.socket.onclose = null;
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+}
+
+// Server-Sent Events transport for networks that block WebSockets.
+// EventSource cannot send headers, so a short-lived ticket is exchanged for the token
+// and topics are part of the URL; changing topics reopens the stream.
+class EventSourceTransport {
+    constructor(client, EventSourceImpl = window.EventSource) {
+        this.client = client;
+        this.EventSourceImpl = EventSourceImpl;
+        this.source = null;
+        this.canSend = false;
+        this.closed = false;
+    }
+
+    static isSupported() {
+        return typeof window.EventSource === 'function';
+    }
+
+    async open(handlers) {
+        const response = await this.client.api.post('/realtime/ticket', {}, { queue: false });
+        const params = new URLSearchParams({
+            ticket: response.ticket,
+            topics: this.client.getTopics().join(',')
+        });
+
+        // Closed while the ticket was on its way
+        if (this.closed) return;
+
+        this.source = new this.EventSourceImpl(`${this.client.getStreamURL()}?${params.toString()}`);
+
+        this.source.onopen = () => {
+            handlers.onOpen();
+            // Opening the stream with a valid ticket is the authentication
+            handlers.onMessage({ type: 'authenticated' });
+        };
+        this.source.onmessage = (event) => handlers.onMessage(this.client.parseMessage(event.data));
+        this.source.onerror = () => {
+            // EventSource retries on its own; take over so backoff and fallback stay in one place
+            this.close();
+            handlers.onClose({ code: 0, reason: 'stream error' });
+        };
+    }
+
+    send() {
+        // Subscriptions travel in the URL
+    }
+
+    close() {
+        this.closed = true;
+
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+    }
+}
+
+// Realtime event client
+class RealtimeClient {
+    /**
+     * Options:
+     *  - url / streamURL override the WebSocket and SSE endpoints
+     *  - transports: ordered list of transport factories (client) => transport, tried in turn
+     *  - baseDelay / maxDelay bound the reconnect backoff in milliseconds
+     *  - heartbeat: ping interval in milliseconds while connected (0 disables)
+     */
+    constructor(api, options = {}) {
+        this.api = api;
+        this.options = {
+            url: null,
+            streamURL: null,
+            baseDelay: 1000,
+            maxDelay: 30000,
+            heartbeat: 25000,
+            ...options
+        };
+        this.transports = options.transports || RealtimeClient.defaultTransports();
+
+        this.transport = null;
+        this.transportIndex = 0;
+        this.status = 'disconnected';
+        this.shouldConnect = false;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.heartbeatTimer = null;
+
+        // Set once the token was refreshed for a rejection, until the server accepts one
+        this.reauthenticated = false;
+
+        // Handlers by topic, and connection status listeners
+        this.topics = new Map();
+        this.statusListeners = new Set();
+
+        this.handleOnline = () => {
+            if (this.shouldConnect && this.status !== 'connected') {
+                this.reconnectAttempts = 0;
+                this.open();
+            }
+        };
+    }
+
+    /**
+     * WebSocket first, then SSE, skipping whatever the browser lacks
+     */
+    static defaultTransports() {
+        const transports = [];
+
+        if (WebSocketTransport.isSupported()) {
+            transports.push(client => new WebSocketTransport(client));
+        }
+        if (EventSourceTransport.isSupported()) {
+            transports.push(client => new EventSourceTransport(client));
+        }
+
+        return transports;
+    }
+
+    getSocketURL() {
+        if (this.options.url) return this.options.url;
+
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        return `${protocol}//${window.location.host}/ws`;
+    }
+
+    getStreamURL() {
+        return this.options.streamURL || `${this.api.baseURL}/api/realtime/events`;
+    }
+
+    getTopics() {
+        return Array.from(this.topics.keys());
+    }
+
+    /**
+     * Connect with the current token. Does nothing while signed out.
+     */
+    connect() {
+        this.shouldConnect = true;
+        window.addEventListener('online', this.handleOnline);
+
+        if (this.status === 'disconnected') {
+            this.open();
+        }
+    }
+
+    /**
+     * Close the connection and stop reconnecting
+     */
+    disconnect() {
+        this.shouldConnect = false;
+        window.removeEventListener('online', this.handleOnline);
+        clearTimeout(this.reconnectTimer);
+        this.closeTransport();
+        this.setStatus('disconnected');
+    }
+
+    /**
+     * Open a connection on the current transport
+     */
+    async open() {
+        if (!this.shouldConnect || !this.api.token || this.transports.length === 0) {
+            this.setStatus('disconnected');
+            return;
+        }
+
+        clearTimeout(this.reconnectTimer);
+        this.closeTransport();
+        this.setStatus('connecting');
+
+        const transport = this.transports[this.transportIndex](this);
+        this.transport = transport;
+        let opened = false;
+
+        try {
+            await transport.open({
+                onOpen: () => {
+                    opened = true;
+                },
+                onMessage: (message) => {
+                    if (this.transport === transport) this.handleMessage(message);
+                },
+                onClose: () => {
+                    if (this.transport === transport) this.handleClose(opened);
+                }
+            });
+        } catch (error) {
+            console.error('Realtime connection failed:', error);
+            if (this.transport === transport) this.handleClose(false);
+        }
+    }
+
+    /**
+     * Handle a message from the server
+     */
+    handleMessage(message) {
+        if (!message) return;
+
+        switch (message.type) {
+            case 'authenticated':
+                this.reconnectAttempts = 0;
+                this.reauthenticated = false;
+                this.setStatus('connected');
+                this.getTopics().forEach(topic => this.transport.send({ type: 'subscribe', topic }));
+                this.startHeartbeat();
+                break;
+
+            case 'error':
+                if (message.code === 'unauthorized') {
+                    this.reauthenticate();
+                } else {
+                    console.error('Realtime error:', message.message || message.code);
+                }
+                break;
+
+            case 'pong':
+                break;
+
+            default:
+                if (message.topic) {
+                    this.dispatch(message.topic, message);
+                }
+        }
+    }
+
+    /**
+     * The token was rejected: refresh it and reconnect, or give up if that fails too.
+     * A refreshed token the server still rejects waits for the reconnect backoff.
+     */
+    async reauthenticate() {
+        this.closeTransport();
+
+        if (this.reauthenticated) {
+            this.handleClose(true);
+            return;
+        }
+        this.reauthenticated = true;
+
+        try {
+            await this.api.refreshAccessToken();
+            await this.open();
+        } catch (error) {
+            this.disconnect();
+        }
+    }
+
+    /**
+     * Handle a closed connection: fall back to the next transport if this one
+     * never opened, then reconnect with exponential backoff
+     */
+    handleClose(opened) {
+        this.stopHeartbeat();
+        this.transport = null;
+
+        if (!this.shouldConnect) {
+            this.setStatus('disconnected');
+            return;
+        }
+
+        if (!opened && this.transportIndex < this.transports.length - 1) {
+            this.transportIndex++;
+            this.open();
+            return;
+        }
+
+        this.setStatus('reconnecting');
+
+        // Wait for the browser to come back online instead of burning attempts
+        if (navigator.onLine === false) return;
+
+        const delay = this.getReconnectDelay(this.reconnectAttempts++);
+        this.reconnectTimer = setTimeout(() => this.open(), delay);
+    }
+
+    /**
+     * Exponential backoff with jitter
+     */
+    getReconnectDelay(attempt) {
+        const exponential = this.options.baseDelay * Math.pow(2, attempt);
+        const jitter = Math.random() * this.options.baseDelay;
+        return Math.min(this.options.maxDelay, exponential + jitter);
+    }
+
+    startHeartbeat() {
+        this.stopHeartbeat();
+
+        if (this.options.heartbeat > 0 && this.transport && this.transport.canSend) {
+            this.heartbeatTimer = setInterval(() => {
+                this.transport.send({ type: 'ping' });
+            }, this.options.heartbeat);
+        }
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+    }
+
+    closeTransport() {
+        this.stopHeartbeat();
+
+        if (this.transport) {
+            const transport = this.transport;
+            this.transport = null;
+            transport.close();
+        }
+    }
+
+    /**
+     * Listen for events on a topic, e.g. 'user.42.notifications'.
+     * The handler receives (data, message). Returns an unsubscribe function.
+     */
+    subscribe(topic, handler) {
+        const isNewTopic = !this.topics.has(topic);
+
+        if (isNewTopic) {
+            this.topics.set(topic, new Set());
+        }
+        this.topics.get(topic).add(handler);
+
+        if (isNewTopic) {
+            this.syncTopic('subscribe', topic);
+        }
+
+        return () => this.unsubscribe(topic, handler);
+    }
+
+    /**
+     * Stop listening for events on a topic
+     */
+    unsubscribe(topic, handler) {
+        const handlers = this.topics.get(topic);
+        if (!handlers) return;
+
+        handlers.delete(handler);
+
+        if (handlers.size === 0) {
+            this.topics.delete(topic);
+            this.syncTopic('unsubscribe', topic);
+        }
+    }
+
+    /**
+     * Tell the server about a topic change
+     */
+    syncTopic(type, topic) {
+        if (this.status !== 'connected' || !this.transport) return;
+
+        if (this.transport.canSend) {
+            this.transport.send({ type, topic });
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Subscribe to the signed in user's own topics.
+     * Handlers: { notifications(data), applications(data) }. Returns an unsubscribe function.
+     */
+    subscribeUser(userId, handlers = {}) {
+        const unsubscribers = Object.keys(handlers).map(name => {
+            return this.subscribe(`user.${userId}.${name}`, handlers[name]);
+        });
+
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+
+    /**
+     * Deliver an event to the topic's handlers
+     */
+    dispatch(topic, message) {
+        const handlers = this.topics.get(topic);
+        if (!handlers) return;
+
+        Array.from(handlers).forEach(handler => {
+            try {
+                handler(message.data, message);
+            } catch (error) {
+                console.error(`Realtime handler for ${topic} failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * Listen for connection status changes. Returns an unsubscribe function.
+     */
+    onStatusChange(listener) {
+        this.statusListeners.add(listener);
+        return () => this.statusListeners.delete(listener);
+    }
+
+    setStatus(status) {
+        if (this.status === status) return;
+
+        this.status = status;
+        this.statusListeners.forEach(listener => listener(status));
+    }
+
+    /**
+     * Parse an incoming frame, ignoring anything that is not JSON
+     */
+    parseMessage(data) {
+        try {
+            return typeof data === 'string' ? JSON.parse(data) : data;
+        } catch (error) {
+            console.error('Ignoring malformed realtime message');
+            return null;
+        }
+    }
+}
+
+// Global realtime client, connected by the app once the user is signed in
+window.Realtime = new RealtimeClient(window.API);
+
+// Export realtime client
+window.RealtimeClient = RealtimeClient;
+window.WebSocketTransport = WebSocketTransport;
+window.EventSourceTransport = EventSourceTransport;
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RealtimeClient, WebSocketTransport, EventSourceTransport };
+}
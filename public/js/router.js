@@ -0,0 +1,213 @@
+/**
+ * TPT Government Platform - Router
+ * Declarative route table with path parameters, nested routes and guards
+ */
+
+class Router {
+    /**
+     * Routes: [{ path, name, page or handler(match), meta, children }]
+     *  - page names a page module in /js/pages, handler handles the route in code
+     *  - path segments may be ':param' or a final '*' that matches the rest of the path (params.wildcard)
+     *  - children inherit the parent's path prefix and meta
+     *  - meta carries guard requirements, e.g. { public: true, roles: ['admin'], permissions: ['cases.edit'], features: ['payments'] }
+     * Guards: functions (match) returning nothing to allow the route, or a redirect,
+     * either a path or { redirect, message }.
+     */
+    constructor({ routes = [], guards = [] } = {}) {
+        this.routes = [];
+        this.guards = [...guards];
+        this.add(routes);
+    }
+
+    /**
+     * Add route definitions. Children are matched before their parent so the
+     * more specific route wins.
+     */
+    add(routes, parent = null) {
+        routes.forEach(definition => {
+            const path = Router.joinPaths(parent ? parent.path : '', definition.path);
+            const record = {
+                ...definition,
+                path,
+                meta: { ...(parent ? parent.meta : {}), ...(definition.meta || {}) },
+                parent,
+                ...Router.compile(path)
+            };
+
+            if (definition.children) {
+                this.add(definition.children, record);
+            }
+
+            if (definition.page || definition.handler) {
+                this.routes.push(record);
+            }
+        });
+
+        return this;
+    }
+
+    /**
+     * Add a guard run for every route
+     */
+    addGuard(guard) {
+        this.guards.push(guard);
+        return () => {
+            this.guards = this.guards.filter(item => item !== guard);
+        };
+    }
+
+    /**
+     * Find the route for a URL: { route, name, path, params, query, meta, matched }, or null
+     */
+    resolve(url) {
+        const parsed = new URL(url, window.location.origin);
+        const path = Router.normalize(parsed.pathname);
+
+        for (const route of this.routes) {
+            const result = route.regex.exec(path);
+            if (!result) continue;
+
+            // A malformed escape (e.g. '%E0%A4%A') means the route does not match;
+            // a wildcard keeps it as typed, so a catch-all route still matches
+            const params = {};
+            const decoded = route.keys.every((key, index) => {
+                const value = result[index + 1];
+                params[key] = value === undefined ? '' : Router.decode(value);
+
+                if (params[key] === null && key === 'wildcard') {
+                    params[key] = value;
+                }
+                return params[key] !== null;
+            });
+            if (!decoded) continue;
+
+            // Root-first chain of parent routes, for layouts and navigation
+            const matched = [];
+            for (let record = route; record; record = record.parent) {
+                matched.unshift(record);
+            }
+
+            return {
+                route,
+                name: route.name || null,
+                path,
+                params,
+                query: Router.parseQuery(parsed.search),
+                meta: route.meta,
+                matched
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Run the guards for a match. Returns null when the route may load,
+     * otherwise { redirect, message }.
+     */
+    check(match) {
+        for (const guard of this.guards) {
+            const result = guard(match);
+
+            if (result === undefined || result === null || result === true) {
+                continue;
+            }
+
+            return typeof result === 'string' ? { redirect: result, message: null } : { message: null, ...result };
+        }
+
+        return null;
+    }
+
+    /**
+     * Build a path from a named route and its params
+     */
+    href(name, params = {}, query = {}) {
+        const route = this.routes.find(record => record.name === name);
+        if (!route) {
+            throw new Error(`Route '${name}' not found`);
+        }
+
+        const path = route.path
+            .split('/')
+            .map(segment => {
+                if (segment === '*') return params.wildcard || '';
+                if (segment.startsWith(':')) return encodeURIComponent(params[segment.slice(1)]);
+                return segment;
+            })
+            .join('/');
+        const search = new URLSearchParams(query).toString();
+
+        return Router.normalize(path) + (search ? `?${search}` : '');
+    }
+
+    /**
+     * Compile a route path into a regular expression and its parameter names
+     */
+    static compile(path) {
+        const keys = [];
+        const pattern = path.split('/').filter(Boolean).map(segment => {
+            if (segment === '*') {
+                keys.push('wildcard');
+                return '/(.+)';
+            }
+
+            if (segment.startsWith(':')) {
+                keys.push(segment.slice(1));
+                return '/([^/]+)';
+            }
+
+            return '/' + segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }).join('');
+
+        return { regex: new RegExp(`^${pattern}/?$`), keys };
+    }
+
+    static joinPaths(base, path) {
+        if (path.startsWith('/')) return path;
+        return `${base.replace(/\/$/, '')}/${path}`;
+    }
+
+    /**
+     * Decode a path segment, or null when its escapes are malformed
+     */
+    static decode(value) {
+        try {
+            return decodeURIComponent(value);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Drop the trailing slash, except for the root
+     */
+    static normalize(path) {
+        return path.length > 1 ? path.replace(/\/+$/, '') || '/' : path || '/';
+    }
+
+    /**
+     * Query string to an object; repeated keys become arrays
+     */
+    static parseQuery(search) {
+        const query = {};
+
+        new URLSearchParams(search).forEach((value, key) => {
+            if (key in query) {
+                query[key] = [].concat(query[key], value);
+            } else {
+                query[key] = value;
+            }
+        });
+
+        return query;
+    }
+}
+
+// Export router
+window.Router = Router;
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Router;
+}
@@ -0,0 +1,34 @@
+/**
+ * TPT Government Platform - Page Routes
+ * Route table for page modules. Add a page by creating /js/pages/<name>.js
+ * and a route here; see Router for path syntax and meta.
+ */
+
+window.PageRoutes = [
+    { path: '/', name: 'home', page: 'home', meta: { public: true } },
+    { path: '/dashboard', name: 'dashboard', page: 'dashboard' },
+    {
+        path: '/services',
+        name: 'services',
+        page: 'services',
+        children: [
+            { path: ':id', name: 'service', page: 'service' },
+            { path: ':id/apply', name: 'service-apply', page: 'service-apply' }
+        ]
+    },
+    { path: '/profile', name: 'profile', page: 'profile' },
+    {
+        path: '/admin',
+        name: 'admin',
+        page: 'admin',
+        meta: { permissions: ['admin.access'] },
+        children: [
+            { path: '*', name: 'admin-section', page: 'admin' }
+        ]
+    }
+];
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.PageRoutes;
+}
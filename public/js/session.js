@@ -0,0 +1,301 @@
+/**
+ * TPT Government Platform - Session Manager
+ * Idle timeout and token expiry tracking with automatic sign-out for shared computers
+ */
+
+class SessionManager {
+    /**
+     * Options:
+     *  - policies: timeout policy by role, merged over SessionManager.DEFAULT_POLICIES
+     *  - activityEvents: document events that count as the user being present
+     *  - tickInterval: how often the deadline is checked, in milliseconds
+     *  - activityShareInterval: how often activity is reported to onActivity() listeners
+     */
+    constructor(api, options = {}) {
+        this.api = api;
+        this.options = {
+            activityEvents: ['mousedown', 'keydown', 'touchstart', 'wheel', 'scroll'],
+            tickInterval: 1000,
+            activityShareInterval: 5000,
+            ...options
+        };
+        this.policies = { ...SessionManager.DEFAULT_POLICIES, ...(options.policies || {}) };
+
+        this.user = null;
+        this.policy = null;
+        this.lastActivity = 0;
+        this.timer = null;
+        this.state = { status: 'inactive', remaining: 0, reason: null, canExtend: false };
+        this.listeners = new Set();
+        this.activityListeners = new Set();
+        this.lastSharedActivity = 0;
+
+        this.handleActivity = () => {
+            // Only "Stay signed in" dismisses the warning
+            if (this.state.status !== 'active') return;
+
+            this.lastActivity = Date.now();
+
+            if (this.lastActivity - this.lastSharedActivity >= this.options.activityShareInterval) {
+                this.lastSharedActivity = this.lastActivity;
+                this.activityListeners.forEach(listener => listener(this.lastActivity));
+            }
+        };
+    }
+
+    /**
+     * Timeouts in milliseconds. A user with several roles gets the strictest policy.
+     *  - idleTimeout: sign out after this long without activity (0 never)
+     *  - warningTime: show the countdown this long before signing out
+     *  - redirectTo: where to go after signing out
+     *  - clearStorage: wipe browser storage on sign-out, for kiosks
+     */
+    static get DEFAULT_POLICIES() {
+        return {
+            default: { idleTimeout: 30 * 60 * 1000, warningTime: 2 * 60 * 1000, redirectTo: '/login', clearStorage: false },
+            admin: { idleTimeout: 15 * 60 * 1000, warningTime: 2 * 60 * 1000, redirectTo: '/login', clearStorage: false },
+            kiosk: { idleTimeout: 3 * 60 * 1000, warningTime: 30 * 1000, redirectTo: '/', clearStorage: true }
+        };
+    }
+
+    /**
+     * Set the timeout policy for a role
+     */
+    setPolicy(role, policy) {
+        this.policies[role] = { ...this.policies.default, ...policy };
+
+        if (this.user) {
+            this.policy = this.getPolicy(this.user);
+        }
+    }
+
+    /**
+     * Get the policy that applies to a user
+     */
+    getPolicy(user) {
+        const defaults = this.policies.default;
+        const policies = ((user && user.roles) || [])
+            .filter(role => this.policies[role])
+            .map(role => ({ ...defaults, ...this.policies[role] }));
+
+        if (policies.length === 0) {
+            return { ...defaults };
+        }
+
+        return policies.reduce((strictest, policy) => {
+            if (!policy.idleTimeout) return strictest;
+            if (!strictest.idleTimeout || policy.idleTimeout < strictest.idleTimeout) return policy;
+            return strictest;
+        });
+    }
+
+    /**
+     * Start watching the signed in user's session
+     */
+    start(user) {
+        this.stop();
+
+        this.user = user;
+        this.policy = this.getPolicy(user);
+        this.lastActivity = Date.now();
+
+        this.options.activityEvents.forEach(event => {
+            document.addEventListener(event, this.handleActivity, { passive: true, capture: true });
+        });
+
+        this.setState({ status: 'active', remaining: 0, reason: null, canExtend: true });
+        this.timer = setInterval(() => this.tick(), this.options.tickInterval);
+    }
+
+    /**
+     * Stop watching, e.g. after the user signs out themselves
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+
+        this.options.activityEvents.forEach(event => {
+            document.removeEventListener(event, this.handleActivity, { capture: true });
+        });
+
+        this.user = null;
+        this.setState({ status: 'inactive', remaining: 0, reason: null, canExtend: false });
+    }
+
+    /**
+     * Expiry of the current access token in milliseconds, from its exp claim.
+     * Null for tokens that are not JWTs.
+     */
+    getTokenExpiry() {
+        const token = this.api.token;
+        if (!token || token.split('.').length !== 3) {
+            return null;
+        }
+
+        try {
+            const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            const claims = JSON.parse(atob(payload + '='.repeat((4 - (payload.length % 4)) % 4)));
+            return claims.exp ? claims.exp * 1000 : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * When the session ends and why. An expiring token only ends the session
+     * when there is no refresh token to renew it with.
+     */
+    getDeadline() {
+        const { idleTimeout } = this.policy;
+        const tokenExpiry = this.getTokenExpiry();
+        let deadline = { at: Infinity, reason: null };
+
+        if (idleTimeout > 0) {
+            deadline = { at: this.lastActivity + idleTimeout, reason: 'idle' };
+        }
+
+        if (tokenExpiry && !this.api.refreshToken && tokenExpiry < deadline.at) {
+            deadline = { at: tokenExpiry, reason: 'expired' };
+        }
+
+        return deadline;
+    }
+
+    /**
+     * Check the deadline: renew tokens for active users, warn, or sign out
+     */
+    tick() {
+        if (!this.user || !this.api.token) {
+            return;
+        }
+
+        const now = Date.now();
+        const { warningTime } = this.policy;
+        const tokenExpiry = this.getTokenExpiry();
+
+        // Keep an active user's token fresh so they never see an expiry warning
+        if (this.state.status === 'active' && tokenExpiry && this.api.refreshToken &&
+            tokenExpiry - now <= warningTime) {
+            this.api.refreshAccessToken().catch(error => {
+                // Offline: try again on a later tick. Otherwise the session is over.
+                if (!(error instanceof NetworkError)) {
+                    this.end('expired');
+                }
+            });
+        }
+
+        const deadline = this.getDeadline();
+        const remaining = deadline.at - now;
+
+        if (remaining <= 0) {
+            this.end(deadline.reason);
+        } else if (remaining <= warningTime) {
+            this.setState({
+                status: 'warning',
+                remaining: Math.ceil(remaining / 1000),
+                reason: deadline.reason,
+                canExtend: deadline.reason === 'idle' || Boolean(this.api.refreshToken)
+            });
+        } else if (this.state.status === 'warning') {
+            this.setState({ status: 'active', remaining: 0, reason: null });
+        }
+    }
+
+    /**
+     * "Stay signed in": renew the token and restart the idle clock
+     */
+    async extend() {
+        if (!this.user) return;
+
+        if (this.api.refreshToken) {
+            try {
+                await this.api.refreshAccessToken();
+            } catch (error) {
+                console.error('Session refresh failed:', error);
+                await this.end('expired');
+                return;
+            }
+        }
+
+        this.lastActivity = Date.now();
+        this.setState({ status: 'active', remaining: 0, reason: null, canExtend: true });
+    }
+
+    /**
+     * Count activity seen elsewhere, e.g. in another tab, as the user being present
+     */
+    touch(time = Date.now()) {
+        if (!this.user || time <= this.lastActivity) return;
+
+        this.lastActivity = time;
+
+        if (this.state.status === 'warning' && this.state.reason === 'idle') {
+            this.setState({ status: 'active', remaining: 0, reason: null });
+        }
+    }
+
+    /**
+     * Listen for user activity in this tab, reported at most once per
+     * activityShareInterval. Returns an unsubscribe function.
+     */
+    onActivity(listener) {
+        this.activityListeners.add(listener);
+        return () => this.activityListeners.delete(listener);
+    }
+
+    /**
+     * Sign out and tell the app. Reasons: 'idle', 'expired' or 'user'.
+     */
+    async end(reason = 'user') {
+        if (!this.user) return;
+
+        const policy = this.policy;
+        this.stop();
+
+        try {
+            await this.api.logout({ queue: false, skipAuthRefresh: true });
+        } catch (error) {
+            // The local session is gone either way
+        }
+
+        if (policy.clearStorage) {
+            localStorage.clear();
+            sessionStorage.clear();
+        }
+
+        window.dispatchEvent(new CustomEvent('sessionend', {
+            detail: { reason, redirectTo: policy.redirectTo }
+        }));
+    }
+
+    /**
+     * Listen for session state changes: { status, remaining, reason, canExtend }.
+     * Returns an unsubscribe function.
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    setState(state) {
+        const next = { ...this.state, ...state };
+        const changed = Object.keys(next).some(key => next[key] !== this.state[key]);
+
+        this.state = next;
+
+        if (changed) {
+            this.listeners.forEach(listener => listener({ ...this.state }));
+        }
+    }
+}
+
+// Global session manager, started by the app once the user is signed in
+window.Session = new SessionManager(window.API);
+
+// Export session manager
+window.SessionManager = SessionManager;
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionManager;
+}
@@ -0,0 +1,345 @@
+/**
+ * TPT Government Platform - App Store
+ * App-wide state changed through named actions, with subscriptions, memoized selectors and persisted slices
+ */
+
+// localStorage persistence for store slices, through StorageUtils
+class LocalStatePersistence {
+    async load(key) {
+        return StorageUtils.get(key, undefined);
+    }
+
+    async save(key, value) {
+        StorageUtils.set(key, value);
+    }
+
+    async remove(key) {
+        StorageUtils.remove(key);
+    }
+}
+
+// IndexedDB persistence for store slices too large for localStorage
+class IndexedDBStatePersistence {
+    constructor(name = 'tpt_state') {
+        this.name = name;
+        this.storeName = 'slices';
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open (and on first use create) the database
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.name, 1);
+
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run one operation in a transaction and resolve with its result once committed
+     */
+    async transaction(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = operation(tx.objectStore(this.storeName));
+
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    load(key) {
+        return this.transaction('readonly', store => store.get(key));
+    }
+
+    save(key, value) {
+        return this.transaction('readwrite', store => store.put(value, key));
+    }
+
+    remove(key) {
+        return this.transaction('readwrite', store => store.delete(key));
+    }
+}
+
+// App-wide state store
+class StateStore {
+    /**
+     * Options:
+     *  - state: the initial state
+     *  - actions: reducers by action type, (state, payload) => changes to merge into the state
+     *  - persist: slices to keep across visits, by name: 'local' (StorageUtils) or 'indexeddb'
+     *  - storagePrefix: prefix for persisted slice keys
+     *  - legacyKeys: localStorage keys persisted slices were kept under before the store, by slice name;
+     *    hydrate() moves them to the slice's own key
+     *  - persistence: persistence backends by name, to replace the built-in ones
+     *  - logActions: log every action with the state before and after it; on in development
+     */
+    constructor(options = {}) {
+        this.options = {
+            storagePrefix: 'tpt_state_',
+            persist: {},
+            legacyKeys: {},
+            logActions: StateStore.isDevelopment(),
+            ...options
+        };
+
+        this.state = { ...(options.state || {}) };
+        this.actions = {};
+        this.listeners = new Set();
+        this.persistence = {
+            local: new LocalStatePersistence(),
+            indexeddb: typeof indexedDB !== 'undefined' ? new IndexedDBStatePersistence() : new LocalStatePersistence(),
+            ...(options.persistence || {})
+        };
+
+        this.registerActions(options.actions || {});
+
+        // Redux DevTools, when the extension is installed
+        this.devtools = null;
+        if (this.options.logActions && window.__REDUX_DEVTOOLS_EXTENSION__) {
+            this.devtools = window.__REDUX_DEVTOOLS_EXTENSION__.connect({ name: 'TPT Government Platform' });
+            this.devtools.init(this.state);
+        }
+    }
+
+    /**
+     * Development builds run on localhost; set tpt_debug in localStorage to log elsewhere
+     */
+    static isDevelopment() {
+        return ['localhost', '127.0.0.1'].includes(window.location.hostname) || Boolean(StorageUtils.get('tpt_debug', false));
+    }
+
+    /**
+     * Build a memoized selector. The last argument combines the results of the
+     * others, and only runs again when one of those results changes:
+     *
+     *   const selectUnread = StateStore.createSelector(
+     *       state => state.notifications,
+     *       notifications => notifications.filter(n => !n.read)
+     *   );
+     */
+    static createSelector(...selectors) {
+        const combine = selectors.pop();
+        let lastInputs = null;
+        let lastResult;
+
+        return (state) => {
+            const inputs = selectors.map(selector => selector(state));
+
+            if (lastInputs === null || inputs.some((input, index) => !Object.is(input, lastInputs[index]))) {
+                lastInputs = inputs;
+                lastResult = combine(...inputs);
+            }
+
+            return lastResult;
+        };
+    }
+
+    /**
+     * Add actions, by type
+     */
+    registerActions(actions) {
+        Object.assign(this.actions, actions);
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Run an action and tell subscribers. Returns the new state.
+     */
+    dispatch(type, payload) {
+        const action = this.actions[type];
+        if (!action) {
+            throw new Error(`Store action '${type}' not found`);
+        }
+
+        return this.apply({ type, payload }, action(this.state, payload));
+    }
+
+    /**
+     * Merge changes into the state, then log, persist and notify
+     */
+    apply(action, changes) {
+        const prevState = this.state;
+        this.state = { ...prevState, ...(changes || {}) };
+
+        this.log(action, prevState);
+        this.persist(prevState);
+        this.listeners.forEach(listener => listener(this.state, prevState, action));
+
+        return this.state;
+    }
+
+    /**
+     * Listen for state changes: (state, prevState, action). Returns an unsubscribe function.
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Listen for changes to a selected value: (value, prevValue).
+     * Returns an unsubscribe function.
+     */
+    select(selector, listener) {
+        let current = selector(this.state);
+
+        return this.subscribe(state => {
+            const next = selector(state);
+            if (!Object.is(next, current)) {
+                const prev = current;
+                current = next;
+                listener(next, prev);
+            }
+        });
+    }
+
+    /**
+     * Load persisted slices. A slice changed by an action in the meantime keeps the newer value.
+     */
+    async hydrate() {
+        const initial = this.state;
+        const slices = Object.keys(this.options.persist);
+
+        const loaded = await Promise.all(slices.map(slice => {
+            return this.getPersistence(slice).load(this.options.storagePrefix + slice).catch(error => {
+                console.error(`Failed to load stored state '${slice}':`, error);
+                return undefined;
+            });
+        }));
+
+        const changes = {};
+        slices.forEach((slice, index) => {
+            const value = this.migrate(slice, loaded[index]);
+            if (value !== undefined && value !== null && this.state[slice] === initial[slice]) {
+                changes[slice] = value;
+            }
+        });
+
+        return this.apply({ type: '@@store/hydrate', payload: changes }, changes);
+    }
+
+    /**
+     * Fall back to a slice's legacy key when nothing is stored under its own, and
+     * drop the legacy key either way; hydrating saves the value under the new key
+     */
+    migrate(slice, value) {
+        const legacyKey = this.options.legacyKeys[slice];
+        if (!legacyKey) return value;
+
+        const legacy = StorageUtils.get(legacyKey);
+        StorageUtils.remove(legacyKey);
+
+        return value === undefined || value === null ? legacy : value;
+    }
+
+    /**
+     * Save the persisted slices that changed
+     */
+    persist(prevState) {
+        Object.keys(this.options.persist).forEach(slice => {
+            if (this.state[slice] === prevState[slice]) return;
+
+            const key = this.options.storagePrefix + slice;
+            const persistence = this.getPersistence(slice);
+            const saved = this.state[slice] === undefined ? persistence.remove(key) : persistence.save(key, this.state[slice]);
+
+            Promise.resolve(saved).catch(error => {
+                console.error(`Failed to store state '${slice}':`, error);
+            });
+        });
+    }
+
+    getPersistence(slice) {
+        const persistence = this.persistence[this.options.persist[slice]];
+        if (!persistence) {
+            throw new Error(`Unknown persistence '${this.options.persist[slice]}' for state '${slice}'`);
+        }
+        return persistence;
+    }
+
+    /**
+     * Log an action, devtools style, when logging is on
+     */
+    log(action, prevState) {
+        if (!this.options.logActions) return;
+
+        console.groupCollapsed(`action ${action.type}`);
+        console.log('prev state', prevState);
+        console.log('action', action);
+        console.log('next state', this.state);
+        console.groupEnd();
+
+        if (this.devtools) {
+            this.devtools.send(action, this.state);
+        }
+    }
+}
+
+// Selectors for the app store
+const StoreSelectors = {
+    user: state => state.user,
+    isAuthenticated: state => state.isAuthenticated,
+    unreadNotifications: StateStore.createSelector(
+        state => state.notifications,
+        notifications => notifications.filter(notification => !notification.read)
+    )
+};
+
+StoreSelectors.unreadCount = StateStore.createSelector(
+    StoreSelectors.unreadNotifications,
+    notifications => notifications.length
+);
+
+// Global app store: the signed in user and their notifications
+window.Store = new StateStore({
+    state: {
+        user: null,
+        isAuthenticated: false,
+        notifications: []
+    },
+    actions: {
+        'auth/signedIn': (state, user) => ({ user, isAuthenticated: true }),
+        // Notifications belong to the user, so they go too
+        'auth/signedOut': () => ({ user: null, isAuthenticated: false, notifications: [] }),
+        'notifications/loaded': (state, notifications) => ({ notifications }),
+        'notifications/received': (state, notification) => ({
+            notifications: [notification, ...state.notifications.filter(n => n.id != notification.id)]
+        }),
+        'notifications/read': (state, id) => ({
+            notifications: state.notifications.map(n => (n.id == id ? { ...n, read: true } : n))
+        })
+    },
+    persist: {
+        notifications: 'local'
+    },
+    // Notifications were kept under their own key before the store
+    legacyKeys: {
+        notifications: 'notifications'
+    }
+});
+
+// Export store
+window.StateStore = StateStore;
+window.StoreSelectors = StoreSelectors;
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StateStore;
+}
@@ -0,0 +1,200 @@
+/**
+ * TPT Government Platform - Cross-Tab Sync
+ * Messaging between open tabs and election of a single leader tab
+ */
+
+class TabSync {
+    /**
+     * Options:
+     *  - name: channel name, also prefixes the storage keys
+     *  - leaseTime: how long a leader's claim lasts without renewal, in milliseconds
+     *  - heartbeat: how often the claim is renewed or contested, in milliseconds
+     *  - BroadcastChannelImpl: channel constructor; without one messages travel through storage events
+     */
+    constructor(options = {}) {
+        this.options = {
+            name: 'tpt_tabs',
+            leaseTime: 5000,
+            heartbeat: 2000,
+            BroadcastChannelImpl: window.BroadcastChannel,
+            ...options
+        };
+        this.id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        this.leaderKey = `${this.options.name}_leader`;
+        this.messageKey = `${this.options.name}_message`;
+
+        this.channel = null;
+        this.timer = null;
+        this.started = false;
+        this.isLeader = false;
+
+        // Handlers by message type, and leadership listeners
+        this.handlers = new Map();
+        this.leaderListeners = new Set();
+
+        this.handleStorage = (e) => {
+            if (e.key === this.messageKey && e.newValue && !this.channel) {
+                this.receive(JSON.parse(e.newValue));
+            } else if (e.key === this.leaderKey && !e.newValue) {
+                // The leader left without announcing it
+                this.elect();
+            }
+        };
+        this.handleUnload = () => {
+            this.stop();
+
+            // The page may come back from the back/forward cache
+            window.addEventListener('pageshow', this.handleRestore, { once: true });
+        };
+        this.handleRestore = () => this.start();
+    }
+
+    /**
+     * Join the other tabs and take part in the leader election
+     */
+    start() {
+        if (this.started) return;
+        this.started = true;
+
+        window.removeEventListener('pageshow', this.handleRestore);
+
+        if (typeof this.options.BroadcastChannelImpl === 'function') {
+            this.channel = new this.options.BroadcastChannelImpl(this.options.name);
+            this.channel.onmessage = (e) => this.receive(e.data);
+        }
+
+        window.addEventListener('storage', this.handleStorage);
+        window.addEventListener('pagehide', this.handleUnload);
+
+        this.elect();
+        this.timer = setInterval(() => this.elect(), this.options.heartbeat);
+    }
+
+    /**
+     * Leave, handing leadership to another tab straight away
+     */
+    stop() {
+        if (!this.started) return;
+
+        clearInterval(this.timer);
+        this.timer = null;
+
+        if (this.isLeader) {
+            StorageUtils.remove(this.leaderKey);
+            this.publish('leader-released');
+            this.setLeader(false);
+        }
+
+        window.removeEventListener('storage', this.handleStorage);
+        window.removeEventListener('pagehide', this.handleUnload);
+
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+
+        this.started = false;
+    }
+
+    /**
+     * Send a message to every other tab
+     */
+    publish(type, data = null) {
+        const message = { type, data, from: this.id };
+
+        if (this.channel) {
+            this.channel.postMessage(message);
+            return;
+        }
+
+        // Storage events fire in other tabs only, and only when the value changes
+        try {
+            localStorage.setItem(this.messageKey, JSON.stringify({ ...message, sentAt: Date.now() }));
+            localStorage.removeItem(this.messageKey);
+        } catch (error) {
+            console.error('Cross-tab message failed:', error);
+        }
+    }
+
+    /**
+     * Listen for messages of a type from other tabs. The handler receives
+     * (data, message). Returns an unsubscribe function.
+     */
+    subscribe(type, handler) {
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, new Set());
+        }
+        this.handlers.get(type).add(handler);
+
+        return () => {
+            const handlers = this.handlers.get(type);
+            if (handlers) handlers.delete(handler);
+        };
+    }
+
+    /**
+     * Deliver a message from another tab
+     */
+    receive(message) {
+        if (!message || message.from === this.id) return;
+
+        if (message.type === 'leader-released') {
+            this.elect();
+        }
+
+        const handlers = this.handlers.get(message.type);
+        if (!handlers) return;
+
+        Array.from(handlers).forEach(handler => {
+            try {
+                handler(message.data, message);
+            } catch (error) {
+                console.error(`Tab message handler for ${message.type} failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * Claim or renew leadership when it is free, expired or already ours.
+     * The claim is read back because another tab may have written at the same time.
+     */
+    elect() {
+        if (!this.started) return;
+
+        const now = Date.now();
+        const lease = StorageUtils.get(this.leaderKey);
+
+        if (!lease || lease.expires < now || lease.id === this.id) {
+            StorageUtils.set(this.leaderKey, { id: this.id, expires: now + this.options.leaseTime });
+        }
+
+        const current = StorageUtils.get(this.leaderKey);
+        this.setLeader(Boolean(current && current.id === this.id));
+    }
+
+    /**
+     * Listen for this tab gaining or losing leadership. Returns an unsubscribe function.
+     */
+    onLeaderChange(listener) {
+        this.leaderListeners.add(listener);
+        return () => this.leaderListeners.delete(listener);
+    }
+
+    setLeader(isLeader) {
+        if (this.isLeader === isLeader) return;
+
+        this.isLeader = isLeader;
+        this.leaderListeners.forEach(listener => listener(isLeader));
+    }
+}
+
+// Global tab sync, started by the app
+window.Tabs = new TabSync();
+
+// Export tab sync
+window.TabSync = TabSync;
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TabSync;
+}
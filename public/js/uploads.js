@@ -0,0 +1,333 @@
+/**
+ * TPT Government Platform - Document Uploads
+ * Multipart, chunked and resumable uploads with progress and checksum verification
+ */
+
+class UploadManager {
+    constructor(api) {
+        this.api = api;
+        this.chunkSize = 5 * 1024 * 1024;
+        this.storageKey = 'pending_uploads';
+
+        // Times a chunked upload picks up again after the connection drops while the browser is online
+        this.maxResumes = 3;
+    }
+
+    /**
+     * Upload a file. Files larger than one chunk are sent in chunks.
+     *
+     * Options:
+     *  - onProgress({ loaded, total, percent }) called as bytes are sent
+     *  - chunkSize overrides the default chunk size in bytes
+     *  - signal / scope / timeout are passed to every request
+     */
+    async upload(file, metadata = {}, options = {}) {
+        const chunkSize = options.chunkSize || this.chunkSize;
+
+        if (file.size <= chunkSize) {
+            return this.uploadSingle(file, metadata, options);
+        }
+
+        return this.uploadChunked(file, metadata, { ...options, chunkSize });
+    }
+
+    /**
+     * Upload a small file in one multipart request
+     */
+    async uploadSingle(file, metadata, options) {
+        const { onProgress, ...requestOptions } = options;
+        delete requestOptions.chunkSize;
+        const checksum = await this.checksum(file);
+
+        const formData = new FormData();
+        formData.append('file', file);
+        formData.append('checksum', checksum);
+
+        Object.keys(metadata).forEach(key => {
+            formData.append(key, metadata[key]);
+        });
+
+        const response = await this.api.request('POST', '/documents/upload', formData, {
+            ...requestOptions,
+            onUploadProgress: ({ loaded }) => this.reportProgress(onProgress, loaded, file.size)
+        });
+
+        this.verifyChecksum(response, checksum);
+        this.reportProgress(onProgress, file.size, file.size);
+        return response;
+    }
+
+    /**
+     * Upload a large file in chunks, resuming a previous session for the same file
+     */
+    async uploadChunked(file, metadata, options) {
+        const { onProgress, chunkSize, ...requestOptions } = options;
+        const totalChunks = Math.ceil(file.size / chunkSize);
+        const session = await this.getSession(file, metadata, chunkSize, totalChunks, requestOptions);
+        const chunkChecksums = session.checksums || {};
+
+        let received = new Set(session.received || []);
+        let resume = false;
+        let resumes = 0;
+
+        while (received.size < totalChunks) {
+            try {
+                // Pick up where the server left off
+                if (resume) {
+                    received = new Set(await this.getReceivedChunks(session.uploadId, requestOptions));
+                    resume = false;
+                }
+
+                for (let index = 0; index < totalChunks; index++) {
+                    if (received.has(index)) continue;
+
+                    const start = index * chunkSize;
+                    const end = Math.min(start + chunkSize, file.size);
+                    const uploadedBytes = this.countBytes(received, chunkSize, file.size);
+                    const chunk = file.slice(start, end);
+                    const checksum = await this.checksum(chunk);
+
+                    await this.api.request('PUT', `/documents/uploads/${session.uploadId}/chunks/${index}`, chunk, {
+                        ...requestOptions,
+                        headers: {
+                            'Content-Type': 'application/octet-stream',
+                            'Content-Range': `bytes ${start}-${end - 1}/${file.size}`,
+                            'X-Chunk-Checksum': checksum
+                        },
+                        onUploadProgress: ({ loaded }) => {
+                            this.reportProgress(onProgress, uploadedBytes + loaded, file.size);
+                        }
+                    });
+
+                    received.add(index);
+                    chunkChecksums[index] = checksum;
+                    this.saveSession(file, { ...session, checksums: chunkChecksums });
+                }
+            } catch (error) {
+                if (!error.isNetworkError) {
+                    throw error;
+                }
+
+                // Offline: wait until we are back. Online but the connection dropped
+                // (e.g. a server reset): ask again straight away, a few times
+                if (navigator.onLine === false) {
+                    await this.waitForOnline(requestOptions.signal);
+                } else if (++resumes > this.maxResumes) {
+                    throw error;
+                }
+
+                resume = true;
+            }
+        }
+
+        // The server verifies the file against the hash of its chunk checksums
+        const checksum = await this.manifestChecksum(file, chunkChecksums, chunkSize, totalChunks);
+        const response = await this.api.request('POST', `/documents/uploads/${session.uploadId}/complete`, {
+            checksum
+        }, requestOptions);
+
+        this.verifyChecksum(response, checksum);
+        this.clearSession(file);
+        this.reportProgress(onProgress, file.size, file.size);
+        return response;
+    }
+
+    /**
+     * Resume the stored upload session for a file or start a new one
+     */
+    async getSession(file, metadata, chunkSize, totalChunks, options) {
+        const stored = this.loadSession(file);
+
+        if (stored && stored.chunkSize === chunkSize) {
+            try {
+                const received = await this.getReceivedChunks(stored.uploadId, options);
+                return { ...stored, received };
+            } catch (error) {
+                if (!(error instanceof NotFoundError)) {
+                    throw error;
+                }
+                // The server expired the session, start over
+                this.clearSession(file);
+            }
+        }
+
+        const response = await this.api.request('POST', '/documents/uploads', {
+            filename: file.name,
+            size: file.size,
+            mime_type: file.type,
+            chunk_size: chunkSize,
+            total_chunks: totalChunks,
+            metadata
+        }, options);
+
+        const session = {
+            uploadId: response.upload_id,
+            chunkSize,
+            checksums: {},
+            received: []
+        };
+        this.saveSession(file, session);
+        return session;
+    }
+
+    /**
+     * Ask the server which chunks it already has
+     */
+    async getReceivedChunks(uploadId, options) {
+        const response = await this.api.request('GET', `/documents/uploads/${uploadId}`, null, options);
+        return response.received_chunks || [];
+    }
+
+    /**
+     * Combine chunk checksums into one file checksum.
+     * Chunks whose checksum was lost with the stored session are hashed again.
+     */
+    async manifestChecksum(file, chunkChecksums, chunkSize, totalChunks) {
+        const manifest = [];
+
+        for (let index = 0; index < totalChunks; index++) {
+            if (!chunkChecksums[index]) {
+                const start = index * chunkSize;
+                chunkChecksums[index] = await this.checksum(file.slice(start, Math.min(start + chunkSize, file.size)));
+            }
+            manifest.push(chunkChecksums[index]);
+        }
+
+        return this.checksum(new Blob([manifest.join('\n')]));
+    }
+
+    /**
+     * Throw if the server reports a different checksum than we sent
+     */
+    verifyChecksum(response, checksum) {
+        const serverChecksum = response && (response.checksum || (response.data && response.data.checksum));
+
+        if (serverChecksum && serverChecksum !== checksum) {
+            throw new APIError('Upload verification failed - the file was corrupted in transit', {
+                code: 'CHECKSUM_MISMATCH',
+                data: response
+            });
+        }
+    }
+
+    /**
+     * SHA-256 hex digest of a Blob
+     */
+    async checksum(blob) {
+        const buffer = await this.readAsArrayBuffer(blob);
+        const digest = await window.crypto.subtle.digest('SHA-256', buffer);
+
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * Read a Blob into an ArrayBuffer
+     */
+    readAsArrayBuffer(blob) {
+        if (typeof blob.arrayBuffer === 'function') {
+            return blob.arrayBuffer();
+        }
+
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsArrayBuffer(blob);
+        });
+    }
+
+    /**
+     * Resolve once the browser reports it is online again
+     */
+    waitForOnline(signal = null) {
+        return new Promise((resolve, reject) => {
+            if (navigator.onLine !== false) {
+                resolve();
+                return;
+            }
+
+            const onOnline = () => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            };
+            const onAbort = () => {
+                window.removeEventListener('online', onOnline);
+                reject(new RequestCancelledError());
+            };
+
+            window.addEventListener('online', onOnline, { once: true });
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Count bytes already uploaded for a set of chunk indexes
+     */
+    countBytes(received, chunkSize, size) {
+        let bytes = 0;
+        received.forEach(index => {
+            bytes += Math.min(chunkSize, size - index * chunkSize);
+        });
+        return bytes;
+    }
+
+    /**
+     * Notify the caller of upload progress
+     */
+    reportProgress(onProgress, loaded, total) {
+        if (onProgress) {
+            onProgress({
+                loaded,
+                total,
+                percent: total > 0 ? Math.round((loaded / total) * 100) : 100
+            });
+        }
+    }
+
+    /**
+     * Key identifying a file across page loads
+     */
+    getFingerprint(file) {
+        return `${file.name}:${file.size}:${file.lastModified}`;
+    }
+
+    /**
+     * Load the stored upload session for a file
+     */
+    loadSession(file) {
+        const sessions = StorageUtils.get(this.storageKey, {});
+        return sessions[this.getFingerprint(file)] || null;
+    }
+
+    /**
+     * Store the upload session for a file so it can be resumed
+     */
+    saveSession(file, session) {
+        const sessions = StorageUtils.get(this.storageKey, {});
+        const stored = { ...session };
+        delete stored.received;
+        sessions[this.getFingerprint(file)] = stored;
+        StorageUtils.set(this.storageKey, sessions);
+    }
+
+    /**
+     * Forget the upload session for a file
+     */
+    clearSession(file) {
+        const sessions = StorageUtils.get(this.storageKey, {});
+        delete sessions[this.getFingerprint(file)];
+        StorageUtils.set(this.storageKey, sessions);
+    }
+}
+
+// Export upload manager
+window.UploadManager = UploadManager;
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UploadManager;
+}
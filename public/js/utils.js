@@ -407,11 +407,11 @@ class URLUtils {
     /**
      * Navigate to path
      */
-    static navigate(path, replace = false) {
+    static navigate(path, replace = false, state = {}) {
         if (replace) {
-            window.history.replaceState({}, '', path);
+            window.history.replaceState(state, '', path);
         } else {
-            window.history.pushState({}, '', path);
+            window.history.pushState(state, '', path);
         }
 
         // Trigger route change event
@@ -446,7 +446,7 @@ class NotificationUtils {
             className: `notification notification-${type}`
         });
 
-        notification.innerHTML = `
+        notification.innerHTML = html`
             <div class="notification-content">
                 <span class="notification-icon">${this.getIcon(type)}</span>
                 <span class="notification-message">${message}</span>
@@ -600,6 +600,131 @@ class ValidationUtils {
     }
 }
 
+// Markup that html`` inserts as it is. Only create it with html``,
+// unsafeHTML() or sanitizeHTML().
+class SafeHTML {
+    constructor(markup) {
+        this.markup = String(markup);
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+// HTML templating utilities
+class HTMLUtils {
+    /**
+     * Escape text for use in element content and quoted attribute values
+     */
+    static escape(value) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;', '`': '&#96;' };
+        return String(value).replace(/[&<>"'`]/g, char => entities[char]);
+    }
+
+    /**
+     * Turn an interpolated value into markup: SafeHTML as it is, arrays item
+     * by item, null and undefined as nothing, anything else escaped
+     */
+    static render(value) {
+        if (value instanceof SafeHTML) return value.markup;
+        if (Array.isArray(value)) return value.map(item => HTMLUtils.render(item)).join('');
+        if (value === null || value === undefined) return '';
+        return HTMLUtils.escape(value);
+    }
+
+    /**
+     * Tags and attributes sanitize() keeps, and tags it drops with their content
+     */
+    static get SANITIZE_RULES() {
+        return {
+            tags: ['a', 'b', 'blockquote', 'br', 'code', 'div', 'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr',
+                'i', 'li', 'ol', 'p', 'pre', 'small', 'span', 'strong', 'table', 'tbody', 'td', 'th', 'thead', 'tr', 'u', 'ul'],
+            attributes: ['class', 'title', 'href', 'colspan', 'rowspan'],
+            dropWithContent: ['script', 'style', 'template', 'iframe', 'object', 'embed', 'noscript', 'svg', 'math']
+        };
+    }
+
+    /**
+     * Reduce rich text from outside (service descriptions, CMS content) to
+     * harmless formatting. Other tags are unwrapped, leaving their text.
+     */
+    static sanitize(markup, rules = HTMLUtils.SANITIZE_RULES) {
+        const template = document.createElement('template');
+        template.innerHTML = String(markup);
+
+        const clean = (parent) => {
+            Array.from(parent.childNodes).forEach(node => {
+                if (node.nodeType === Node.COMMENT_NODE) {
+                    node.remove();
+                    return;
+                }
+
+                if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+                const tag = node.nodeName.toLowerCase();
+
+                if (rules.dropWithContent.includes(tag)) {
+                    node.remove();
+                    return;
+                }
+
+                clean(node);
+
+                if (!rules.tags.includes(tag)) {
+                    node.replaceWith(...node.childNodes);
+                    return;
+                }
+
+                Array.from(node.attributes).forEach(attribute => {
+                    const allowed = rules.attributes.includes(attribute.name) &&
+                        (attribute.name !== 'href' || HTMLUtils.isSafeURL(attribute.value));
+
+                    if (!allowed) {
+                        node.removeAttribute(attribute.name);
+                    }
+                });
+            });
+        };
+
+        clean(template.content);
+        return template.innerHTML;
+    }
+
+    /**
+     * Allow web, mail and phone links and relative URLs, not javascript: and the like
+     */
+    static isSafeURL(url) {
+        // Browsers ignore whitespace and control characters inside the scheme
+        const compact = Array.from(url).filter(char => char.charCodeAt(0) > 32).join('');
+        const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(compact);
+        return !scheme || ['http', 'https', 'mailto', 'tel'].includes(scheme[1].toLowerCase());
+    }
+}
+
+/**
+ * Tagged template for markup. Interpolated values are escaped unless they are
+ * SafeHTML, so html`<h3>${service.name}</h3>` is safe for any name. Nest
+ * templates freely; arrays of them are joined.
+ */
+function html(strings, ...values) {
+    return new SafeHTML(strings.reduce((markup, string, index) => markup + HTMLUtils.render(values[index - 1]) + string));
+}
+
+/**
+ * Insert trusted markup without escaping. Never pass it data from users or the server.
+ */
+function unsafeHTML(markup) {
+    return new SafeHTML(markup);
+}
+
+/**
+ * Insert markup from outside after stripping everything but basic formatting
+ */
+function sanitizeHTML(markup) {
+    return new SafeHTML(HTMLUtils.sanitize(markup));
+}
+
 // Export utilities
 window.DOMUtils = DOMUtils;
 window.FormUtils = FormUtils;
@@ -608,3 +733,8 @@ window.DateUtils = DateUtils;
 window.URLUtils = URLUtils;
 window.NotificationUtils = NotificationUtils;
 window.ValidationUtils = ValidationUtils;
+window.SafeHTML = SafeHTML;
+window.HTMLUtils = HTMLUtils;
+window.html = html;
+window.unsafeHTML = unsafeHTML;
+window.sanitizeHTML = sanitizeHTML;
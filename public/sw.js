@@ -1,9 +1,11 @@
 // TPT Government Platform - Service Worker
 // Handles caching, offline functionality, and background sync
 
-const CACHE_NAME = 'tpt-gov-v1.0.0';
-const STATIC_CACHE = 'tpt-gov-static-v1.0.0';
-const DYNAMIC_CACHE = 'tpt-gov-dynamic-v1.0.0';
+// Bump the version whenever STATIC_ASSETS or their contents change, so the
+// activate step drops the old caches
+const CACHE_NAME = 'tpt-gov-v1.1.0';
+const STATIC_CACHE = 'tpt-gov-static-v1.1.0';
+const DYNAMIC_CACHE = 'tpt-gov-dynamic-v1.1.0';
 
 // Files to cache immediately
 const STATIC_ASSETS = [
@@ -12,7 +14,32 @@ const STATIC_ASSETS = [
   '/css/main.css',
   '/js/app.js',
   '/js/components.js',
+  '/js/patch.js',
+  '/js/router.js',
+  '/js/routes.js',
+  '/js/pages/home.js',
+  '/js/pages/dashboard.js',
+  '/js/pages/services.js',
+  '/js/pages/service.js',
+  '/js/pages/service-apply.js',
+  '/js/pages/profile.js',
+  '/js/pages/admin.js',
+  '/js/pages/not-found.js',
+  '/js/errors.js',
+  '/js/uploads.js',
+  '/js/downloads.js',
+  '/js/pagination.js',
+  '/js/cache.js',
+  '/js/outbox.js',
+  '/js/mfa.js',
   '/js/api.js',
+  '/js/realtime.js',
+  '/js/oidc.js',
+  '/js/session.js',
+  '/js/tabs.js',
+  '/js/navigation.js',
+  '/js/permissions.js',
+  '/js/store.js',
   '/js/utils.js',
   '/icons/icon-192x192.png',
   '/icons/icon-512x512.png'
@@ -28,6 +55,7 @@ const API_CACHE_PATTERNS = [
 // Files that should not be cached
 const EXCLUDE_FROM_CACHE = [
   /\/api\/auth\//,
+  /\/api\/realtime\//,
   /\/admin\//,
   /\/logout/
 ];
@@ -0,0 +1,568 @@
+/**
+ * Unit tests for APIClient
+ *
+ * @package TPT
+ * @subpackage Tests
+ */
+
+import '../../../public/js/utils.js';
+import '../../../public/js/errors.js';
+import '../../../public/js/uploads.js';
+import '../../../public/js/downloads.js';
+import '../../../public/js/pagination.js';
+import '../../../public/js/cache.js';
+import '../../../public/js/outbox.js';
+import '../../../public/js/mfa.js';
+import APIClient from '../../../public/js/api.js';
+
+/**
+ * Build a minimal fetch Response stand-in
+ */
+function mockResponse(status, body = {}, headers = {}) {
+    const allHeaders = { 'content-type': 'application/json', ...headers };
+
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        headers: {
+            get: (name) => allHeaders[name.toLowerCase()] || null
+        },
+        json: async () => body,
+        text: async () => JSON.stringify(body)
+    };
+}
+
+describe('APIClient', () => {
+    let client;
+
+    beforeEach(() => {
+        fetch.mockReset();
+        client = new APIClient();
+    });
+
+    describe('token refresh', () => {
+        beforeEach(() => {
+            client.saveToken('expired-token', 'refresh-1');
+        });
+
+        test('should refresh once and replay the original request', async () => {
+            fetch
+                .mockResolvedValueOnce(mockResponse(401, { message: 'Expired' }))
+                .mockResolvedValueOnce(mockResponse(200, { token: 'fresh-token', refresh_token: 'refresh-2' }))
+                .mockResolvedValueOnce(mockResponse(200, { services: [] }));
+
+            const result = await client.get('/services');
+
+            expect(result).toEqual({ services: [] });
+            expect(client.token).toBe('fresh-token');
+            expect(client.refreshToken).toBe('refresh-2');
+            expect(fetch.mock.calls[1][0]).toContain('/api/auth/refresh');
+            expect(fetch.mock.calls[2][1].headers['Authorization']).toBe('Bearer fresh-token');
+        });
+
+        test('should share a single refresh between concurrent requests', async () => {
+            let refreshCalls = 0;
+
+            fetch.mockImplementation(async (url, config) => {
+                if (url.includes('/auth/refresh')) {
+                    refreshCalls++;
+                    return mockResponse(200, { token: 'fresh-token' });
+                }
+
+                if (config.headers['Authorization'] === 'Bearer expired-token') {
+                    return mockResponse(401);
+                }
+
+                return mockResponse(200, { ok: true });
+            });
+
+            const results = await Promise.all([
+                client.get('/services'),
+                client.get('/applications'),
+                client.get('/documents')
+            ]);
+
+            expect(refreshCalls).toBe(1);
+            expect(results).toEqual([{ ok: true }, { ok: true }, { ok: true }]);
+        });
+
+        test('should fall back to logout when the refresh fails', async () => {
+            const failure = jest.spyOn(client, 'handleAuthFailure').mockImplementation(() => {
+                client.clearToken();
+            });
+
+            fetch
+                .mockResolvedValueOnce(mockResponse(401))
+                .mockResolvedValueOnce(mockResponse(401, { message: 'Refresh token revoked' }));
+
+            await expect(client.get('/services')).rejects.toThrow('Authentication required');
+
+            expect(failure).toHaveBeenCalledTimes(1);
+            expect(client.token).toBeNull();
+            expect(client.refreshToken).toBeNull();
+        });
+    });
+
+    describe('retry policy', () => {
+        beforeEach(() => {
+            jest.spyOn(client, 'sleep').mockResolvedValue();
+        });
+
+        test('should retry idempotent requests on 5xx and report attempts', async () => {
+            const onRetry = jest.fn();
+            const onComplete = jest.fn();
+
+            fetch
+                .mockResolvedValueOnce(mockResponse(503))
+                .mockResolvedValueOnce(mockResponse(502))
+                .mockResolvedValueOnce(mockResponse(200, { services: [] }));
+
+            const result = await client.get('/services', {}, { onRetry, onComplete });
+
+            expect(result).toEqual({ services: [] });
+            expect(fetch).toHaveBeenCalledTimes(3);
+            expect(onRetry.mock.calls.map(([info]) => info.attempt)).toEqual([1, 2]);
+            expect(onComplete).toHaveBeenCalledWith({ attempts: 3 });
+        });
+
+        test('should give up after the configured number of retries', async () => {
+            client.setRetryPolicy({ retries: 1 });
+            fetch.mockResolvedValue(mockResponse(500, { message: 'Server error' }));
+
+            const error = await client.get('/services').catch(e => e);
+
+            expect(error.message).toBe('Server error');
+            expect(error.attempts).toBe(2);
+            expect(fetch).toHaveBeenCalledTimes(2);
+        });
+
+        test('should honor Retry-After on 429', async () => {
+            fetch
+                .mockResolvedValueOnce(mockResponse(429, {}, { 'retry-after': '2' }))
+                .mockResolvedValueOnce(mockResponse(200, { ok: true }));
+
+            await client.get('/services');
+
+            expect(client.sleep).toHaveBeenCalledWith(2000, expect.anything());
+        });
+
+        test('should not retry POST without an idempotency key', async () => {
+            fetch.mockResolvedValue(mockResponse(503));
+
+            await expect(client.post('/services/1/apply', {})).rejects.toThrow('HTTP 503');
+            expect(fetch).toHaveBeenCalledTimes(1);
+        });
+
+        test('should retry POST with an idempotency key', async () => {
+            fetch
+                .mockResolvedValueOnce(mockResponse(503))
+                .mockResolvedValueOnce(mockResponse(200, { success: true }));
+
+            await client.post('/services/1/apply', {}, { idempotencyKey: 'key-1' });
+
+            expect(fetch).toHaveBeenCalledTimes(2);
+            expect(fetch.mock.calls[1][1].headers['Idempotency-Key']).toBe('key-1');
+        });
+
+        test('should retry network errors', async () => {
+            fetch
+                .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+                .mockResolvedValueOnce(mockResponse(200, { ok: true }));
+
+            await expect(client.get('/health', {}, { retry: 1 })).resolves.toEqual({ ok: true });
+        });
+    });
+
+    describe('cancellation and timeouts', () => {
+        /**
+         * fetch stand-in that never settles unless aborted
+         */
+        function hangingFetch(url, config) {
+            return new Promise((resolve, reject) => {
+                const abort = () => {
+                    const error = new Error('The operation was aborted');
+                    error.name = 'AbortError';
+                    reject(error);
+                };
+
+                if (config.signal.aborted) {
+                    abort();
+                }
+                config.signal.addEventListener('abort', abort);
+            });
+        }
+
+        test('should cancel a request through options.signal', async () => {
+            fetch.mockImplementation(hangingFetch);
+            const controller = new AbortController();
+
+            const pending = client.get('/services', {}, { signal: controller.signal });
+            controller.abort();
+
+            const error = await pending.catch(e => e);
+            expect(client.isAbortError(error)).toBe(true);
+            expect(fetch).toHaveBeenCalledTimes(1);
+        });
+
+        test('should time out and report a timeout error', async () => {
+            fetch.mockImplementation(hangingFetch);
+
+            const error = await client.get('/services', {}, { timeout: 10, retry: false }).catch(e => e);
+
+            expect(error.isTimeout).toBe(true);
+            expect(client.isAbortError(error)).toBe(false);
+        });
+
+        test('should cancel every request in a scope', async () => {
+            fetch.mockImplementation(hangingFetch);
+
+            const first = client.getServices({ scope: 'route' }).catch(e => e);
+            const second = client.getApplications({}, { scope: 'route' }).catch(e => e);
+            const unscoped = client.getProfile({ timeout: 20, retry: false }).catch(e => e);
+
+            client.cancelScope('route');
+
+            expect(client.isAbortError(await first)).toBe(true);
+            expect(client.isAbortError(await second)).toBe(true);
+            expect((await unscoped).isTimeout).toBe(true);
+            expect(client.scopes.size).toBe(0);
+        });
+    });
+
+    describe('interceptors', () => {
+        test('should let request interceptors add headers', async () => {
+            client.interceptors.request.use(config => {
+                config.headers['X-Agency'] = 'transport';
+            });
+            client.interceptors.request.use(async config => ({
+                ...config,
+                headers: { ...config.headers, 'Accept-Language': 'mi-NZ' }
+            }));
+
+            fetch.mockResolvedValueOnce(mockResponse(200, {}));
+            await client.get('/services');
+
+            const headers = fetch.mock.calls[0][1].headers;
+            expect(headers['X-Agency']).toBe('transport');
+            expect(headers['Accept-Language']).toBe('mi-NZ');
+            expect(headers['Content-Type']).toBe('application/json');
+        });
+
+        test('should pass responses through response interceptors', async () => {
+            client.interceptors.response.use((data, context) => ({ ...data, endpoint: context.endpoint }));
+
+            fetch.mockResolvedValueOnce(mockResponse(200, { services: [] }));
+
+            await expect(client.get('/services')).resolves.toEqual({ services: [], endpoint: '/services' });
+        });
+
+        test('should let error interceptors transform errors', async () => {
+            client.interceptors.error.use(error => {
+                const friendly = new Error('Service temporarily unavailable');
+                friendly.status = error.status;
+                return friendly;
+            });
+
+            fetch.mockResolvedValueOnce(mockResponse(400, { message: 'ERR_BAD_INPUT' }));
+
+            await expect(client.get('/services')).rejects.toThrow('Service temporarily unavailable');
+        });
+
+        test('should stop calling an ejected interceptor', async () => {
+            const interceptor = jest.fn();
+            const id = client.interceptors.request.use(interceptor);
+            client.interceptors.request.eject(id);
+
+            fetch.mockResolvedValueOnce(mockResponse(200, {}));
+            await client.get('/services');
+
+            expect(interceptor).not.toHaveBeenCalled();
+        });
+
+        test('should skip the logout redirect when the auth interceptor is ejected', async () => {
+            const failure = jest.spyOn(client, 'handleAuthFailure').mockImplementation(() => {});
+            client.interceptors.error.eject(client.authFailureInterceptor);
+
+            fetch.mockResolvedValueOnce(mockResponse(401));
+
+            await expect(client.get('/services')).rejects.toThrow('Authentication required');
+            expect(failure).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('typed errors', () => {
+        test.each([
+            [401, 'AuthenticationError'],
+            [403, 'PermissionError'],
+            [404, 'NotFoundError'],
+            [409, 'ConflictError'],
+            [422, 'ValidationError'],
+            [429, 'RateLimitError'],
+            [500, 'ServerError']
+        ])('should map HTTP %i to %s', async (status, name) => {
+            client.interceptors.error.eject(client.authFailureInterceptor);
+            fetch.mockResolvedValue(mockResponse(status, { message: 'Failed' }));
+
+            const error = await client.get('/services', {}, { retry: false }).catch(e => e);
+
+            expect(error).toBeInstanceOf(window.APIError);
+            expect(error.name).toBe(name);
+            expect(error.status).toBe(status);
+        });
+
+        test('should carry code, field errors and request id', async () => {
+            fetch.mockResolvedValueOnce(mockResponse(422, {
+                message: 'Validation failed',
+                code: 'VALIDATION_FAILED',
+                errors: { email: ['Email is already registered'], phone: 'Invalid phone' }
+            }, { 'x-request-id': 'req-42' }));
+
+            const error = await client.post('/user/profile', {}).catch(e => e);
+
+            expect(error).toBeInstanceOf(window.ValidationError);
+            expect(error.code).toBe('VALIDATION_FAILED');
+            expect(error.requestId).toBe('req-42');
+            expect(error.getFieldErrors()).toEqual({
+                email: 'Email is already registered',
+                phone: 'Invalid phone'
+            });
+        });
+
+        test('should throw NetworkError when fetch fails', async () => {
+            fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+            const error = await client.get('/services', {}, { retry: false }).catch(e => e);
+
+            expect(error).toBeInstanceOf(window.NetworkError);
+            expect(error.isNetworkError).toBe(true);
+        });
+    });
+
+    describe('request bodies', () => {
+        test('should send FormData as-is without a JSON content type', async () => {
+            const formData = new FormData();
+            formData.append('file', 'contents');
+
+            fetch.mockResolvedValueOnce(mockResponse(200, {}));
+            await client.post('/documents/upload', formData);
+
+            const init = fetch.mock.calls[0][1];
+            expect(init.body).toBe(formData);
+            expect(init.headers['Content-Type']).toBeUndefined();
+        });
+
+        test('should JSON encode plain objects', async () => {
+            fetch.mockResolvedValueOnce(mockResponse(200, {}));
+            await client.post('/webhooks', { url: 'https://example.test' });
+
+            const init = fetch.mock.calls[0][1];
+            expect(init.body).toBe('{"url":"https://example.test"}');
+            expect(init.headers['Content-Type']).toBe('application/json');
+        });
+    });
+
+    describe('response cache', () => {
+        test('should serve fresh responses without a request', async () => {
+            fetch.mockResolvedValueOnce(mockResponse(200, { services: [1] }));
+
+            await client.getServices();
+            const second = await client.getServices();
+
+            expect(second).toEqual({ services: [1] });
+            expect(fetch).toHaveBeenCalledTimes(1);
+        });
+
+        test('should share one request between concurrent callers', async () => {
+            fetch.mockResolvedValueOnce(mockResponse(200, { name: 'Aroha' }));
+
+            const [first, second] = await Promise.all([client.getProfile(), client.getProfile()]);
+
+            expect(first).toEqual({ name: 'Aroha' });
+            expect(second).toEqual({ name: 'Aroha' });
+            expect(fetch).toHaveBeenCalledTimes(1);
+        });
+
+        test('should keep the shared request running when one caller cancels', async () => {
+            let resolveFetch;
+            fetch.mockReturnValueOnce(new Promise(resolve => { resolveFetch = resolve; }));
+            const controller = new AbortController();
+
+            const cancelled = client.getProfile({ signal: controller.signal });
+            const kept = client.getProfile();
+            controller.abort();
+            resolveFetch(mockResponse(200, { name: 'Aroha' }));
+
+            await expect(cancelled).rejects.toMatchObject({ isAbort: true });
+            await expect(kept).resolves.toEqual({ name: 'Aroha' });
+        });
+
+        test('should revalidate with If-None-Match and reuse the body on 304', async () => {
+            fetch
+                .mockResolvedValueOnce(mockResponse(200, { applications: [1] }, { etag: '"v1"' }))
+                .mockResolvedValueOnce(mockResponse(304, null));
+
+            await client.getApplications();
+            const second = await client.getApplications();
+
+            expect(fetch.mock.calls[1][1].headers['If-None-Match']).toBe('"v1"');
+            expect(second).toEqual({ applications: [1] });
+        });
+
+        test('should evict affected entries after a mutation', async () => {
+            fetch
+                .mockResolvedValueOnce(mockResponse(200, { name: 'Aroha' }))
+                .mockResolvedValueOnce(mockResponse(200, { success: true }))
+                .mockResolvedValueOnce(mockResponse(200, { name: 'Aroha Ngata' }));
+
+            await client.getProfile();
+            await client.updateProfile({ name: 'Aroha Ngata' });
+            const profile = await client.getProfile();
+
+            expect(profile).toEqual({ name: 'Aroha Ngata' });
+            expect(fetch).toHaveBeenCalledTimes(3);
+        });
+
+        test('should bypass the cache when asked', async () => {
+            fetch
+                .mockResolvedValueOnce(mockResponse(200, { services: [1] }))
+                .mockResolvedValueOnce(mockResponse(200, { services: [2] }));
+
+            await client.getServices();
+            const second = await client.getServices({ cache: false });
+
+            expect(second).toEqual({ services: [2] });
+        });
+    });
+
+    describe('CSRF protection', () => {
+        afterEach(() => {
+            document.head.innerHTML = '';
+        });
+
+        test('should send the meta tag token on state-changing requests only', async () => {
+            document.head.innerHTML = '<meta name="csrf-token" content="meta-token">';
+            fetch.mockResolvedValue(mockResponse(200, {}));
+
+            await client.post('/webhooks', {});
+            await client.get('/webhooks', {}, { cache: false });
+
+            expect(fetch.mock.calls[0][1].headers['X-CSRF-Token']).toBe('meta-token');
+            expect(fetch.mock.calls[1][1].headers['X-CSRF-Token']).toBeUndefined();
+        });
+
+        test('should use a rotated token from the response', async () => {
+            document.head.innerHTML = '<meta name="csrf-token" content="meta-token">';
+            fetch
+                .mockResolvedValueOnce(mockResponse(200, {}, { 'x-csrf-token': 'rotated-token' }))
+                .mockResolvedValueOnce(mockResponse(200, {}));
+
+            await client.post('/webhooks', {});
+            await client.delete('/webhooks/1');
+
+            expect(fetch.mock.calls[1][1].headers['X-CSRF-Token']).toBe('rotated-token');
+            expect(document.querySelector('meta[name="csrf-token"]').getAttribute('content')).toBe('rotated-token');
+        });
+
+        test('should fetch a new token and retry once on a CSRF mismatch', async () => {
+            const csrfFailure = { error: 'CSRF token validation failed', message: 'Invalid or missing CSRF token' };
+            fetch
+                .mockResolvedValueOnce(mockResponse(403, csrfFailure))
+                .mockResolvedValueOnce(mockResponse(200, { csrf_token: 'fresh-token' }))
+                .mockResolvedValueOnce(mockResponse(200, { success: true }));
+
+            const response = await client.post('/webhooks', {});
+
+            expect(response).toEqual({ success: true });
+            expect(fetch.mock.calls[1][0]).toBe(`${window.location.origin}/api/csrf-token`);
+            expect(fetch.mock.calls[2][1].headers['X-CSRF-Token']).toBe('fresh-token');
+        });
+
+        test('should give up after one CSRF retry', async () => {
+            const csrfFailure = { error: 'CSRF token validation failed' };
+            fetch
+                .mockResolvedValueOnce(mockResponse(403, csrfFailure))
+                .mockResolvedValueOnce(mockResponse(200, { csrf_token: 'fresh-token' }))
+                .mockResolvedValueOnce(mockResponse(403, csrfFailure));
+
+            await expect(client.post('/webhooks', {})).rejects.toBeInstanceOf(window.PermissionError);
+            expect(fetch).toHaveBeenCalledTimes(3);
+        });
+    });
+
+    describe('multi-factor authentication', () => {
+        test('should return the MFA challenge without saving a token', async () => {
+            fetch.mockResolvedValueOnce(mockResponse(200, { success: false, mfa_required: true, mfa_token: 'mfa-1' }));
+
+            const response = await client.login({ email: 'citizen@gov.local', password: 'secret' });
+
+            expect(response.mfa_required).toBe(true);
+            expect(client.token).toBeNull();
+        });
+
+        test('should save the session and device token after verification', async () => {
+            fetch.mockResolvedValueOnce(mockResponse(200, {
+                success: true,
+                token: 'token-1',
+                refresh_token: 'refresh-1',
+                device_token: 'device-1'
+            }));
+
+            await client.verifyMfa('mfa-1', { type: 'totp', code: '123456' }, { rememberDevice: true });
+
+            expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+                mfa_token: 'mfa-1',
+                factor: { type: 'totp', code: '123456' },
+                remember_device: true
+            });
+            expect(client.token).toBe('token-1');
+            expect(client.getDeviceToken()).toBe('device-1');
+        });
+
+        test('should send the remembered device token with the next login', async () => {
+            localStorage.setItem('mfa_device_token', JSON.stringify('device-1'));
+            fetch.mockResolvedValueOnce(mockResponse(200, { success: true, token: 'token-1' }));
+
+            await client.login({ email: 'citizen@gov.local', password: 'secret' });
+
+            expect(JSON.parse(fetch.mock.calls[0][1].body).device_token).toBe('device-1');
+        });
+    });
+
+    describe('token changes across tabs', () => {
+        test('should tell listeners when this tab signs in or out', () => {
+            const listener = jest.fn();
+            client.onTokenChange(listener);
+
+            client.saveToken('token-1', 'refresh-1');
+            client.clearToken();
+
+            expect(listener.mock.calls).toEqual([['token-1'], [null]]);
+        });
+
+        test('should pick up a token refreshed in another tab without telling listeners', () => {
+            client.saveToken('token-1', 'refresh-1');
+            const listener = jest.fn();
+            client.onTokenChange(listener);
+
+            // Another tab rotated the tokens
+            localStorage.setItem('auth_token', JSON.stringify('token-2'));
+            localStorage.setItem('refresh_token', JSON.stringify('refresh-2'));
+            client.syncToken();
+
+            expect(client.token).toBe('token-2');
+            expect(client.refreshToken).toBe('refresh-2');
+            expect(listener).not.toHaveBeenCalled();
+        });
+
+        test('should drop cached data when another tab signs out', () => {
+            client.saveToken('token-1');
+            client.cache.set('GET /user/profile', { user: { id: 7 } }, { ttl: 60000 });
+
+            localStorage.removeItem('auth_token');
+            client.syncToken();
+
+            expect(client.token).toBeNull();
+            expect(client.cache.get('GET /user/profile')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,121 @@
+/**
+ * Unit tests for DownloadManager
+ *
+ * @package TPT
+ * @subpackage Tests
+ */
+
+import '../../../public/js/utils.js';
+import '../../../public/js/errors.js';
+import DownloadManager from '../../../public/js/downloads.js';
+
+/**
+ * Streaming response stand-in. Pass an Error in chunks to simulate a dropped connection.
+ */
+function streamResponse(status, chunks, headers = {}) {
+    const queue = [...chunks];
+
+    return {
+        ok: true,
+        status,
+        headers: {
+            get: (name) => headers[name.toLowerCase()] || null
+        },
+        body: {
+            getReader: () => ({
+                read: async () => {
+                    const next = queue.shift();
+                    if (next instanceof Error) throw next;
+                    return next ? { done: false, value: next } : { done: true };
+                },
+                cancel: jest.fn()
+            })
+        }
+    };
+}
+
+describe('DownloadManager', () => {
+    let api;
+    let downloads;
+
+    beforeEach(() => {
+        api = { request: jest.fn() };
+        downloads = new DownloadManager(api);
+        sessionStorage.clear();
+    });
+
+    describe('parseFilename', () => {
+        test.each([
+            ['attachment; filename="building-consent.pdf"', 'building-consent.pdf'],
+            ['attachment; filename=licence.pdf', 'licence.pdf'],
+            ["attachment; filename=\"fallback.pdf\"; filename*=UTF-8''Tiriti%20o%20Waitangi.pdf", 'Tiriti o Waitangi.pdf'],
+            [null, null]
+        ])('should parse %s', (header, expected) => {
+            expect(downloads.parseFilename(header)).toBe(expected);
+        });
+    });
+
+    test('should stream the body and report progress', async () => {
+        const onProgress = jest.fn();
+        api.request.mockResolvedValue(streamResponse(200, [new Uint8Array(4), new Uint8Array(6)], {
+            'content-length': '10',
+            'content-type': 'application/pdf',
+            'content-disposition': 'attachment; filename="certificate.pdf"'
+        }));
+
+        const result = await downloads.download('/documents/7/download', { onProgress });
+
+        expect(result.filename).toBe('certificate.pdf');
+        expect(result.contentType).toBe('application/pdf');
+        expect(result.size).toBe(10);
+        expect(onProgress.mock.calls.map(([progress]) => progress.percent)).toEqual([40, 100]);
+        expect(api.request.mock.calls[0][3].rawResponse).toBe(true);
+    });
+
+    test('should resume a dropped stream with a Range request', async () => {
+        api.request
+            .mockResolvedValueOnce(streamResponse(200, [new Uint8Array(4), new TypeError('network error')], {
+                'content-length': '10',
+                'etag': '"v1"'
+            }))
+            .mockResolvedValueOnce(streamResponse(206, [new Uint8Array(6)], {
+                'content-range': 'bytes 4-9/10'
+            }));
+
+        const result = await downloads.download('/documents/7/download');
+
+        const resumeHeaders = api.request.mock.calls[1][3].headers;
+        expect(resumeHeaders['Range']).toBe('bytes=4-');
+        expect(resumeHeaders['If-Range']).toBe('"v1"');
+        expect(result.size).toBe(10);
+        expect(downloads.partials.size).toBe(0);
+    });
+
+    test('should start over when the server ignores the Range header', async () => {
+        api.request
+            .mockResolvedValueOnce(streamResponse(200, [new Uint8Array(4), new TypeError('network error')], {
+                'content-length': '10'
+            }))
+            .mockResolvedValueOnce(streamResponse(200, [new Uint8Array(10)], {
+                'content-length': '10'
+            }));
+
+        const result = await downloads.download('/documents/7/download');
+
+        expect(result.size).toBe(10);
+    });
+
+    test('should save the file and record it in the session history', async () => {
+        const saveBlob = jest.spyOn(downloads, 'saveBlob').mockImplementation(() => {});
+        api.request.mockResolvedValue(streamResponse(200, [new Uint8Array(3)], {
+            'content-disposition': 'attachment; filename="business-licence.pdf"'
+        }));
+
+        await downloads.save('/documents/9/download', { documentId: 9, category: 'licence' });
+
+        expect(saveBlob).toHaveBeenCalledWith(expect.anything(), 'business-licence.pdf');
+        expect(downloads.getHistory()).toEqual([
+            expect.objectContaining({ documentId: 9, filename: 'business-licence.pdf', category: 'licence', size: 3 })
+        ]);
+    });
+});
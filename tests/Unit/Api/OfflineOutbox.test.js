@@ -0,0 +1,240 @@
+/**
+ * Unit tests for OfflineOutbox
+ *
+ * @package TPT
+ * @subpackage Tests
+ */
+
+import '../../../public/js/utils.js';
+import '../../../public/js/errors.js';
+import '../../../public/js/uploads.js';
+import '../../../public/js/downloads.js';
+import '../../../public/js/pagination.js';
+import '../../../public/js/cache.js';
+import { MemoryOutboxStore, OfflineOutbox } from '../../../public/js/outbox.js';
+import APIClient from '../../../public/js/api.js';
+
+describe('OfflineOutbox', () => {
+    let api;
+    let outbox;
+
+    beforeEach(() => {
+        api = {
+            userId: 7,
+            request: jest.fn(),
+            isRawBody: (data) => data instanceof FormData,
+            createIdempotencyKey: jest.fn()
+                .mockReturnValueOnce('key-1')
+                .mockReturnValueOnce('key-2')
+                .mockReturnValueOnce('key-3')
+        };
+        outbox = new OfflineOutbox(api, new MemoryOutboxStore());
+    });
+
+    test('should only queue mutations that can be replayed', () => {
+        expect(outbox.isQueueable('POST', '/services/1/apply', { name: 'Permit' })).toBe(true);
+        expect(outbox.isQueueable('GET', '/services')).toBe(false);
+        expect(outbox.isQueueable('POST', '/auth/login', {})).toBe(false);
+        expect(outbox.isQueueable('POST', '/documents/upload', new FormData())).toBe(false);
+        expect(outbox.isQueueable('POST', '/documents/uploads', { filename: 'plans.pdf' })).toBe(false);
+        expect(outbox.isQueueable('POST', '/documents/uploads/up-1/complete', { checksum: 'abc' })).toBe(false);
+        expect(outbox.isQueueable('PUT', '/user/profile', {}, { queue: false })).toBe(false);
+    });
+
+    test('should replay entries in order with their idempotency keys', async () => {
+        api.request.mockResolvedValue({ success: true });
+
+        await outbox.enqueue('POST', '/services/1/apply', { step: 1 });
+        await outbox.enqueue('PUT', '/applications/7', { step: 2 }, { invalidates: ['/applications'] });
+
+        const result = await outbox.replay();
+
+        expect(result).toEqual({ sent: 2, conflicts: 0, remaining: 0 });
+        expect(api.request.mock.calls).toEqual([
+            ['POST', '/services/1/apply', { step: 1 }, { idempotencyKey: 'key-1', invalidates: [], queue: false }],
+            ['PUT', '/applications/7', { step: 2 }, { idempotencyKey: 'key-2', invalidates: ['/applications'], queue: false }]
+        ]);
+        expect(await outbox.getEntries()).toEqual([]);
+    });
+
+    test('should stop at the first transient failure and keep the rest in order', async () => {
+        api.request
+            .mockResolvedValueOnce({ success: true })
+            .mockRejectedValueOnce(new window.NetworkError());
+
+        await outbox.enqueue('POST', '/a', {});
+        await outbox.enqueue('POST', '/b', {});
+        await outbox.enqueue('POST', '/c', {});
+
+        const result = await outbox.replay();
+        const entries = await outbox.getEntries();
+
+        expect(result).toEqual({ sent: 1, conflicts: 0, remaining: 2 });
+        expect(api.request).toHaveBeenCalledTimes(2);
+        expect(entries.map(entry => entry.endpoint)).toEqual(['/b', '/c']);
+        expect(entries[0].attempts).toBe(1);
+    });
+
+    test('should mark refused entries as conflicts and tell the user', async () => {
+        const onConflict = jest.fn();
+        window.addEventListener('outboxconflict', onConflict);
+
+        api.request
+            .mockRejectedValueOnce(new window.ConflictError('Application was already approved', { status: 409 }))
+            .mockResolvedValueOnce({ success: true });
+
+        await outbox.enqueue('PUT', '/applications/7', { status: 'withdrawn' }, { outboxLabel: 'Withdraw application' });
+        await outbox.enqueue('POST', '/b', {});
+
+        const result = await outbox.replay();
+        const [entry] = await outbox.getEntries();
+
+        expect(result.conflicts).toBe(1);
+        expect(result.sent).toBe(1);
+        expect(entry.status).toBe('conflict');
+        expect(entry.error).toMatchObject({ status: 409, message: 'Application was already approved' });
+        expect(onConflict.mock.calls[0][0].detail.entry.label).toBe('Withdraw application');
+
+        window.removeEventListener('outboxconflict', onConflict);
+    });
+
+    test('should resend a conflicted entry with corrected data', async () => {
+        api.request
+            .mockRejectedValueOnce(new window.ValidationError('Invalid', { status: 422 }))
+            .mockResolvedValueOnce({ success: true });
+
+        const entry = await outbox.enqueue('PUT', '/user/profile', { phone: 'x' });
+        await outbox.replay();
+        await outbox.retry(entry.id, { phone: '+64 21 000 000' });
+
+        expect(api.request.mock.calls[1][2]).toEqual({ phone: '+64 21 000 000' });
+        expect(api.request.mock.calls[1][3].idempotencyKey).toBe('key-1');
+        expect(await outbox.getEntries()).toEqual([]);
+    });
+
+    test('should notify subscribers when entries change', async () => {
+        const listener = jest.fn();
+        outbox.subscribe(listener);
+
+        await outbox.enqueue('POST', '/a', {});
+
+        expect(listener).toHaveBeenCalledWith([expect.objectContaining({ endpoint: '/a', status: 'pending' })], 'local');
+    });
+});
+
+/**
+ * Build a minimal fetch Response stand-in
+ */
+function mockResponse(status, body = {}) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        headers: { get: (name) => (name.toLowerCase() === 'content-type' ? 'application/json' : null) },
+        json: async () => body,
+        text: async () => JSON.stringify(body)
+    };
+}
+
+describe('APIClient offline queueing', () => {
+    let client;
+    let onLine;
+
+    beforeEach(() => {
+        fetch.mockReset();
+        client = new APIClient();
+        client.outbox.store = new MemoryOutboxStore();
+        client.setUserId(1);
+        onLine = jest.spyOn(navigator, 'onLine', 'get');
+    });
+
+    afterEach(() => {
+        onLine.mockRestore();
+        localStorage.clear();
+    });
+
+    test('should queue mutations instead of sending them while offline', async () => {
+        onLine.mockReturnValue(false);
+
+        const response = await client.submitApplication(3, { name: 'Dog licence' });
+        const [entry] = await client.outbox.getEntries();
+
+        expect(fetch).not.toHaveBeenCalled();
+        expect(response).toMatchObject({ queued: true, outbox_id: entry.id });
+        expect(entry).toMatchObject({ method: 'POST', endpoint: '/services/3/apply', label: 'Service application' });
+    });
+
+    test('should never replay one user\'s changes for the next user to sign in', async () => {
+        onLine.mockReturnValue(false);
+        client.saveToken('token-a');
+        await client.submitApplication(3, { name: 'Dog licence' });
+
+        client.clearToken();
+        onLine.mockReturnValue(true);
+        expect(await client.outbox.replay()).toEqual({ sent: 0, conflicts: 0, remaining: 1 });
+
+        client.saveToken('token-b');
+        client.setUserId(2);
+        expect(await client.outbox.replay()).toEqual({ sent: 0, conflicts: 0, remaining: 0 });
+        expect(fetch).not.toHaveBeenCalled();
+        expect(await client.outbox.getEntries()).toEqual([]);
+    });
+
+    test('should not queue sign-in requests', async () => {
+        onLine.mockReturnValue(false);
+        fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+        await expect(client.post('/auth/login', {}, { retry: false })).rejects.toBeInstanceOf(window.NetworkError);
+        expect(await client.outbox.getEntries()).toEqual([]);
+    });
+
+    describe('chunked uploads', () => {
+        const file = {
+            name: 'site-plans.pdf',
+            size: 20,
+            type: 'application/pdf',
+            lastModified: 1700000000000,
+            slice: (start, end) => ({ start, end, size: end - start })
+        };
+
+        beforeEach(() => {
+            jest.spyOn(client.uploads, 'checksum').mockImplementation(async (blob) => `sum-${blob.start}`);
+            jest.spyOn(client, 'sendWithProgress').mockResolvedValue(mockResponse(200, { success: true }));
+        });
+
+        afterEach(() => {
+            localStorage.clear();
+        });
+
+        test('should fail instead of queueing the upload session while offline', async () => {
+            onLine.mockReturnValue(false);
+            fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+            const error = await client.uploadDocument(file, {}, { chunkSize: 10, retry: false }).catch(e => e);
+
+            expect(error).toBeInstanceOf(window.NetworkError);
+            expect(client.sendWithProgress).not.toHaveBeenCalled();
+            expect(await client.outbox.getEntries()).toEqual([]);
+        });
+
+        test('should fail instead of queueing the complete step, keeping the session to resume', async () => {
+            onLine.mockReturnValue(true);
+            fetch.mockImplementation(async (url) => {
+                if (url.endsWith('/complete')) {
+                    onLine.mockReturnValue(false);
+                    throw new TypeError('Failed to fetch');
+                }
+                return mockResponse(200, { upload_id: 'up-1' });
+            });
+
+            const error = await client.uploadDocument(file, {}, { chunkSize: 10, retry: false }).catch(e => e);
+
+            expect(error).toBeInstanceOf(window.NetworkError);
+            expect(client.sendWithProgress.mock.calls.map(([url]) => url)).toEqual([
+                expect.stringContaining('/documents/uploads/up-1/chunks/0'),
+                expect.stringContaining('/documents/uploads/up-1/chunks/1')
+            ]);
+            expect(await client.outbox.getEntries()).toEqual([]);
+            expect(client.uploads.loadSession(file)).toMatchObject({ uploadId: 'up-1' });
+        });
+    });
+});
@@ -0,0 +1,202 @@
+/**
+ * Unit tests for OidcClient
+ *
+ * @package TPT
+ * @subpackage Tests
+ */
+
+import { webcrypto, createHash } from 'crypto';
+import { TextEncoder } from 'util';
+import '../../../public/js/utils.js';
+import OidcClient from '../../../public/js/oidc.js';
+
+function base64url(value) {
+    return Buffer.from(value).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * In-process stand-in for an identity provider and the platform's token exchange.
+ * authorize() plays the user approving sign-in, exchange() checks the PKCE verifier
+ * against the challenge the way the server does.
+ */
+class MockIdentityProvider {
+    constructor() {
+        this.grants = new Map();
+        this.lastCode = 0;
+    }
+
+    authorize(url, { nonce } = {}) {
+        const params = new URL(url).searchParams;
+        const code = `code-${++this.lastCode}`;
+
+        this.grants.set(code, {
+            challenge: params.get('code_challenge'),
+            nonce: nonce || params.get('nonce'),
+            redirectUri: params.get('redirect_uri')
+        });
+
+        return `${params.get('redirect_uri')}?code=${code}&state=${params.get('state')}`;
+    }
+
+    exchange({ code, code_verifier, redirect_uri }) {
+        const grant = this.grants.get(code);
+        this.grants.delete(code);
+
+        const challenge = base64url(createHash('sha256').update(code_verifier).digest());
+        if (!grant || grant.challenge !== challenge || grant.redirectUri !== redirect_uri) {
+            return Promise.reject(new Error('invalid_grant'));
+        }
+
+        const idToken = [
+            base64url(JSON.stringify({ alg: 'none' })),
+            base64url(JSON.stringify({ sub: '42', nonce: grant.nonce, name: 'Aroha Ngata' })),
+            'signature'
+        ].join('.');
+
+        return Promise.resolve({
+            success: true,
+            token: 'token-1',
+            refresh_token: 'refresh-1',
+            id_token: idToken,
+            user: { id: 42, name: 'Aroha Ngata' }
+        });
+    }
+}
+
+describe('OidcClient', () => {
+    const provider = {
+        id: 'realme',
+        name: 'RealMe',
+        issuer: 'https://idp.test',
+        client_id: 'tpt-portal',
+        authorization_endpoint: 'https://idp.test/authorize'
+    };
+    let idp;
+    let api;
+    let client;
+    let redirect;
+
+    beforeAll(() => {
+        window.crypto.subtle = webcrypto.subtle;
+        global.TextEncoder = TextEncoder;
+    });
+
+    beforeEach(() => {
+        sessionStorage.clear();
+        fetch.mockReset();
+        idp = new MockIdentityProvider();
+        api = {
+            get: jest.fn().mockResolvedValue({ providers: [provider] }),
+            post: jest.fn((endpoint, data) => idp.exchange(data)),
+            saveToken: jest.fn(),
+            cache: { clear: jest.fn() }
+        };
+        redirect = jest.fn();
+        client = new OidcClient(api, { redirect });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should send the browser to the provider with PKCE, state and nonce', async () => {
+        await client.login('realme');
+
+        const url = new URL(redirect.mock.calls[0][0]);
+        expect(url.origin + url.pathname).toBe('https://idp.test/authorize');
+        expect(url.searchParams.get('response_type')).toBe('code');
+        expect(url.searchParams.get('client_id')).toBe('tpt-portal');
+        expect(url.searchParams.get('redirect_uri')).toBe(`${window.location.origin}/auth/callback`);
+        expect(url.searchParams.get('scope')).toBe('openid profile email');
+        expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+        expect(url.searchParams.get('code_challenge')).toMatch(/^[A-Za-z0-9_-]{43}$/);
+        expect(url.searchParams.get('state')).toBeTruthy();
+        expect(url.searchParams.get('nonce')).toBeTruthy();
+    });
+
+    test('should complete sign-in through the provider', async () => {
+        await client.login('realme', { returnTo: '/applications' });
+        const callback = idp.authorize(redirect.mock.calls[0][0]);
+
+        const result = await client.handleCallback(callback);
+
+        expect(api.post).toHaveBeenCalledWith('/auth/oidc/token', expect.objectContaining({
+            provider: 'realme',
+            code: 'code-1'
+        }), { skipAuthRefresh: true });
+        expect(api.saveToken).toHaveBeenCalledWith('token-1', 'refresh-1');
+        expect(api.cache.clear).toHaveBeenCalled();
+        expect(result.user.name).toBe('Aroha Ngata');
+        expect(result.returnTo).toBe('/applications');
+    });
+
+    test('should reject a callback whose state was never issued', async () => {
+        await client.login('realme');
+        const callback = idp.authorize(redirect.mock.calls[0][0]).replace(/state=[^&]+/, 'state=forged');
+
+        await expect(client.handleCallback(callback)).rejects.toThrow('invalid or has expired');
+        expect(api.post).not.toHaveBeenCalled();
+    });
+
+    test('should not accept the same callback twice', async () => {
+        await client.login('realme');
+        const callback = idp.authorize(redirect.mock.calls[0][0]);
+        await client.handleCallback(callback);
+
+        await expect(client.handleCallback(callback)).rejects.toThrow('invalid or has expired');
+        expect(api.post).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject an expired sign-in', async () => {
+        const now = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(now);
+        await client.login('realme');
+        const callback = idp.authorize(redirect.mock.calls[0][0]);
+
+        Date.now.mockReturnValue(now + 11 * 60 * 1000);
+
+        await expect(client.handleCallback(callback)).rejects.toThrow('invalid or has expired');
+    });
+
+    test('should reject an ID token issued for another sign-in', async () => {
+        await client.login('realme');
+        const callback = idp.authorize(redirect.mock.calls[0][0], { nonce: 'replayed' });
+
+        await expect(client.handleCallback(callback)).rejects.toThrow('could not be verified');
+        expect(api.saveToken).not.toHaveBeenCalled();
+    });
+
+    test('should fail the exchange when the verifier does not match', async () => {
+        await client.login('realme');
+        const callback = idp.authorize(redirect.mock.calls[0][0]);
+        const transactions = JSON.parse(sessionStorage.getItem('oidc_transactions'));
+        Object.values(transactions)[0].verifier = 'tampered';
+        sessionStorage.setItem('oidc_transactions', JSON.stringify(transactions));
+
+        await expect(client.handleCallback(callback)).rejects.toThrow('invalid_grant');
+        expect(api.saveToken).not.toHaveBeenCalled();
+    });
+
+    test('should report errors returned by the provider', async () => {
+        await client.login('realme');
+        const state = new URL(redirect.mock.calls[0][0]).searchParams.get('state');
+
+        await expect(client.handleCallback(
+            `${window.location.origin}/auth/callback?error=access_denied&error_description=Sign-in+was+cancelled&state=${state}`
+        )).rejects.toThrow('Sign-in was cancelled');
+        expect(sessionStorage.getItem('oidc_transactions')).toBe('{}');
+    });
+
+    test('should discover the authorization endpoint from the issuer', async () => {
+        api.get.mockResolvedValue({ providers: [{ ...provider, authorization_endpoint: undefined }] });
+        fetch.mockResolvedValue({
+            ok: true,
+            json: () => Promise.resolve({ authorization_endpoint: 'https://idp.test/oauth2/auth' })
+        });
+
+        await client.login('realme');
+
+        expect(fetch).toHaveBeenCalledWith('https://idp.test/.well-known/openid-configuration', expect.any(Object));
+        expect(redirect.mock.calls[0][0]).toMatch(/^https:\/\/idp\.test\/oauth2\/auth\?/);
+    });
+});
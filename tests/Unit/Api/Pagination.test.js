@@ -0,0 +1,133 @@
+/**
+ * Unit tests for pagination helpers
+ *
+ * @package TPT
+ * @subpackage Tests
+ */
+
+import { QueryBuilder, ResultPage, PaginatedResource } from '../../../public/js/pagination.js';
+
+const applicationSchema = {
+    filters: {
+        status: { type: 'enum', values: ['submitted', 'approved'] },
+        service_id: { type: 'number' },
+        created_at: { type: 'date', operators: ['gte', 'lte'] }
+    },
+    sortable: ['created_at', 'status']
+};
+
+describe('QueryBuilder', () => {
+    test('should build filter, sort and search params', () => {
+        const params = new QueryBuilder(applicationSchema)
+            .where('status', ['submitted', 'approved'])
+            .where('service_id', 12)
+            .where('created_at', 'gte', '2024-01-01T00:00:00Z')
+            .sortBy('created_at', 'desc')
+            .sortBy('status')
+            .search('fence')
+            .perPage(50)
+            .toParams();
+
+        expect(params).toEqual({
+            'filter[status][in]': 'submitted,approved',
+            'filter[service_id]': '12',
+            'filter[created_at][gte]': '2024-01-01T00:00:00.000Z',
+            sort: '-created_at,status',
+            q: 'fence',
+            per_page: 50
+        });
+    });
+
+    test('should reject values that do not match the schema', () => {
+        const query = new QueryBuilder(applicationSchema);
+
+        expect(() => query.where('owner', 'me')).toThrow("Unknown filter 'owner'");
+        expect(() => query.where('status', 'archived')).toThrow('must be one of');
+        expect(() => query.where('service_id', '12')).toThrow('expects a number');
+        expect(() => query.where('created_at', 'eq', '2024-01-01')).toThrow('not allowed');
+        expect(() => query.sortBy('service_id')).toThrow("Cannot sort by 'service_id'");
+    });
+});
+
+describe('ResultPage', () => {
+    test('should normalize page metadata', () => {
+        const page = ResultPage.fromResponse({
+            data: [{ id: 1 }],
+            meta: { current_page: 2, last_page: 3, per_page: 1, total: 3 }
+        });
+
+        expect(page.items).toEqual([{ id: 1 }]);
+        expect(page.page).toBe(2);
+        expect(page.totalPages).toBe(3);
+        expect(page.hasNext).toBe(true);
+    });
+
+    test('should read resource keyed items and cursors', () => {
+        const page = ResultPage.fromResponse({ applications: [{ id: 1 }], next_cursor: 'abc' }, { itemsKey: 'applications' });
+
+        expect(page.items).toEqual([{ id: 1 }]);
+        expect(page.nextCursor).toBe('abc');
+        expect(page.hasNext).toBe(true);
+    });
+});
+
+describe('PaginatedResource', () => {
+    test('should iterate every page by number', async () => {
+        const api = {
+            get: jest.fn(async (endpoint, params) => ({
+                applications: params.page < 3 ? [{ id: params.page * 10 }, { id: params.page * 10 + 1 }] : [{ id: 30 }],
+                meta: { current_page: params.page, last_page: 3, per_page: 2 }
+            }))
+        };
+        const resource = new PaginatedResource(api, '/applications', { itemsKey: 'applications', pageSize: 2 });
+
+        const ids = [];
+        for await (const application of resource) {
+            ids.push(application.id);
+        }
+
+        expect(ids).toEqual([10, 11, 20, 21, 30]);
+        expect(api.get).toHaveBeenCalledTimes(3);
+    });
+
+    test('should follow cursors and pass query params', async () => {
+        const api = {
+            get: jest.fn(async (endpoint, params) => (params.cursor
+                ? { data: [{ id: 2 }] }
+                : { data: [{ id: 1 }], meta: { next_cursor: 'next' } }))
+        };
+        const query = new QueryBuilder(applicationSchema).where('status', 'approved');
+        const resource = new PaginatedResource(api, '/applications', { query });
+
+        const items = await resource.all();
+
+        expect(items).toEqual([{ id: 1 }, { id: 2 }]);
+        expect(api.get.mock.calls[0][1]).toEqual({ per_page: 25, 'filter[status]': 'approved', page: 1 });
+        expect(api.get.mock.calls[1][1]).toEqual({ per_page: 25, 'filter[status]': 'approved', cursor: 'next' });
+    });
+
+    test('should stop after a full cursor page without a next cursor', async () => {
+        const api = {
+            get: jest.fn(async (endpoint, params) => (params.cursor
+                ? { data: [{ id: 3 }, { id: 4 }] }
+                : { data: [{ id: 1 }, { id: 2 }], meta: { per_page: 2, next_cursor: 'next' } }))
+        };
+        const resource = new PaginatedResource(api, '/applications', { pageSize: 2 });
+
+        const items = await resource.all();
+
+        expect(items.map(item => item.id)).toEqual([1, 2, 3, 4]);
+        expect(api.get).toHaveBeenCalledTimes(2);
+        expect(ResultPage.fromResponse({ data: [{ id: 1 }], next_cursor: null }, { perPage: 1 }).hasNext).toBe(false);
+    });
+
+    test('should stop at the requested limit', async () => {
+        const api = {
+            get: jest.fn(async (endpoint, params) => ({ data: [{ id: params.page }], meta: { last_page: 100, current_page: params.page } }))
+        };
+        const resource = new PaginatedResource(api, '/admin/logs');
+
+        await expect(resource.all({ limit: 2 })).resolves.toEqual([{ id: 1 }, { id: 2 }]);
+        expect(api.get).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,224 @@
+/**
+ * Unit tests for RealtimeClient
+ *
+ * @package TPT
+ * @subpackage Tests
+ */
+
+import '../../../public/js/utils.js';
+import '../../../public/js/errors.js';
+import { EventSourceTransport, RealtimeClient } from '../../../public/js/realtime.js';
+
+/**
+ * In-process stand-in for the realtime server. Each connection gets a transport
+ * that records what the client sends and lets the test push frames back.
+ */
+class StubServer {
+    constructor({ canSend = true, failToOpen = false } = {}) {
+        this.canSend = canSend;
+        this.failToOpen = failToOpen;
+        this.connections = [];
+    }
+
+    transport() {
+        return () => {
+            const connection = {
+                canSend: this.canSend,
+                sent: [],
+                handlers: null,
+                closed: false,
+                open: async (handlers) => {
+                    connection.handlers = handlers;
+                    if (this.failToOpen) {
+                        handlers.onClose({ code: 1006, reason: 'refused' });
+                        return;
+                    }
+                    handlers.onOpen();
+                },
+                send: (message) => connection.sent.push(message),
+                close: () => {
+                    connection.closed = true;
+                }
+            };
+
+            this.connections.push(connection);
+            return connection;
+        };
+    }
+
+    get last() {
+        return this.connections[this.connections.length - 1];
+    }
+
+    push(message) {
+        this.last.handlers.onMessage(message);
+    }
+
+    drop() {
+        this.last.handlers.onClose({ code: 1006, reason: 'gone' });
+    }
+}
+
+describe('RealtimeClient', () => {
+    let api;
+    let server;
+    let client;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        api = { token: 'token-1', baseURL: 'https://gov.test', refreshAccessToken: jest.fn() };
+        server = new StubServer();
+        client = new RealtimeClient(api, { transports: [server.transport()], heartbeat: 0 });
+    });
+
+    afterEach(() => {
+        client.disconnect();
+        jest.useRealTimers();
+    });
+
+    test('should not connect while signed out', async () => {
+        api.token = null;
+
+        await client.connect();
+
+        expect(server.connections).toHaveLength(0);
+        expect(client.status).toBe('disconnected');
+    });
+
+    test('should subscribe to topics once authenticated', async () => {
+        client.subscribe('user.7.notifications', jest.fn());
+        await client.connect();
+
+        expect(client.status).toBe('connecting');
+        server.push({ type: 'authenticated' });
+
+        expect(client.status).toBe('connected');
+        expect(server.last.sent).toEqual([{ type: 'subscribe', topic: 'user.7.notifications' }]);
+    });
+
+    test('should dispatch events to topic handlers', async () => {
+        const onApplication = jest.fn();
+        const onNotification = jest.fn();
+        client.subscribeUser(7, { applications: onApplication, notifications: onNotification });
+        await client.connect();
+        server.push({ type: 'authenticated' });
+
+        server.push({ type: 'event', topic: 'user.7.applications', data: { application_id: 3, status: 'approved' } });
+
+        expect(onApplication).toHaveBeenCalledWith(
+            { application_id: 3, status: 'approved' },
+            expect.objectContaining({ topic: 'user.7.applications' })
+        );
+        expect(onNotification).not.toHaveBeenCalled();
+    });
+
+    test('should unsubscribe from the server when the last handler leaves', async () => {
+        await client.connect();
+        server.push({ type: 'authenticated' });
+
+        const stop = client.subscribe('user.7.notifications', jest.fn());
+        stop();
+
+        expect(server.last.sent).toEqual([
+            { type: 'subscribe', topic: 'user.7.notifications' },
+            { type: 'unsubscribe', topic: 'user.7.notifications' }
+        ]);
+    });
+
+    test('should reconnect with backoff and resubscribe', async () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0);
+        client.subscribe('user.7.notifications', jest.fn());
+        await client.connect();
+        server.push({ type: 'authenticated' });
+
+        server.drop();
+        expect(client.status).toBe('reconnecting');
+
+        jest.advanceTimersByTime(999);
+        expect(server.connections).toHaveLength(1);
+
+        jest.advanceTimersByTime(1);
+        await Promise.resolve();
+        expect(server.connections).toHaveLength(2);
+
+        server.push({ type: 'authenticated' });
+        expect(server.last.sent).toEqual([{ type: 'subscribe', topic: 'user.7.notifications' }]);
+        Math.random.mockRestore();
+    });
+
+    test('should fall back to the next transport when one cannot open', async () => {
+        const blocked = new StubServer({ failToOpen: true });
+        const stream = new StubServer({ canSend: false });
+        client = new RealtimeClient(api, { transports: [blocked.transport(), stream.transport()], heartbeat: 0 });
+
+        await client.connect();
+        await Promise.resolve();
+
+        expect(blocked.connections).toHaveLength(1);
+        expect(stream.connections).toHaveLength(1);
+    });
+
+    test('should refresh the token when the server rejects it', async () => {
+        api.refreshAccessToken.mockImplementation(async () => {
+            api.token = 'token-2';
+        });
+        await client.connect();
+
+        server.push({ type: 'error', code: 'unauthorized' });
+        await Promise.resolve();
+        await Promise.resolve();
+
+        expect(api.refreshAccessToken).toHaveBeenCalled();
+        expect(server.connections).toHaveLength(2);
+        expect(server.connections[0].closed).toBe(true);
+    });
+
+    test('should back off instead of refreshing again when the new token is rejected too', async () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0);
+        api.refreshAccessToken.mockImplementation(async () => {
+            api.token = 'token-2';
+        });
+        await client.connect();
+
+        server.push({ type: 'error', code: 'unauthorized' });
+        await Promise.resolve();
+        await Promise.resolve();
+        server.push({ type: 'error', code: 'unauthorized' });
+
+        expect(api.refreshAccessToken).toHaveBeenCalledTimes(1);
+        expect(server.connections).toHaveLength(2);
+        expect(client.status).toBe('reconnecting');
+
+        jest.advanceTimersByTime(1000);
+        await Promise.resolve();
+        expect(server.connections).toHaveLength(3);
+        Math.random.mockRestore();
+    });
+
+    test('should not open a stream closed while its ticket was on its way', async () => {
+        let resolveTicket;
+        const EventSourceImpl = jest.fn();
+        api.post = jest.fn(() => new Promise(resolve => { resolveTicket = resolve; }));
+        const transport = new EventSourceTransport(client, EventSourceImpl);
+        const handlers = { onOpen: jest.fn(), onMessage: jest.fn(), onClose: jest.fn() };
+
+        const opening = transport.open(handlers);
+        transport.close();
+        resolveTicket({ ticket: 'ticket-1' });
+        await opening;
+
+        expect(EventSourceImpl).not.toHaveBeenCalled();
+        expect(transport.source).toBeNull();
+    });
+
+    test('should stop reconnecting after disconnect', async () => {
+        await client.connect();
+        client.disconnect();
+
+        jest.advanceTimersByTime(60000);
+
+        expect(server.connections).toHaveLength(1);
+        expect(server.last.closed).toBe(true);
+        expect(client.status).toBe('disconnected');
+    });
+});
@@ -0,0 +1,176 @@
+/**
+ * Unit tests for SessionManager
+ *
+ * @package TPT
+ * @subpackage Tests
+ */
+
+import '../../../public/js/utils.js';
+import '../../../public/js/errors.js';
+import SessionManager from '../../../public/js/session.js';
+
+function jwt(claims) {
+    const encode = value => btoa(JSON.stringify(value)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    return `${encode({ alg: 'HS256' })}.${encode(claims)}.signature`;
+}
+
+describe('SessionManager', () => {
+    const user = { id: 7, name: 'Aroha', roles: ['citizen'] };
+    let api;
+    let session;
+    let ended;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2025-03-01T09:00:00Z'));
+        api = {
+            token: 'opaque-token',
+            refreshToken: 'refresh-1',
+            refreshAccessToken: jest.fn().mockResolvedValue('token-2'),
+            logout: jest.fn().mockResolvedValue()
+        };
+        session = new SessionManager(api, {
+            policies: { citizen: { idleTimeout: 60 * 1000, warningTime: 10 * 1000 } }
+        });
+        ended = jest.fn();
+        window.addEventListener('sessionend', ended);
+    });
+
+    afterEach(() => {
+        session.stop();
+        window.removeEventListener('sessionend', ended);
+        jest.useRealTimers();
+    });
+
+    test('should pick the strictest policy for users with several roles', () => {
+        const policy = session.getPolicy({ roles: ['citizen', 'admin', 'kiosk'] });
+
+        expect(policy.idleTimeout).toBe(60 * 1000);
+        expect(session.getPolicy({ roles: ['admin', 'kiosk'] }).redirectTo).toBe('/');
+        expect(session.getPolicy({ roles: [] }).idleTimeout).toBe(30 * 60 * 1000);
+    });
+
+    test('should warn with a countdown before signing out an idle user', () => {
+        const listener = jest.fn();
+        session.subscribe(listener);
+        session.start(user);
+
+        jest.advanceTimersByTime(49 * 1000);
+        expect(session.state.status).toBe('active');
+
+        jest.advanceTimersByTime(1000);
+        expect(session.state).toEqual({ status: 'warning', remaining: 10, reason: 'idle', canExtend: true });
+
+        jest.advanceTimersByTime(3000);
+        expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ remaining: 7 }));
+    });
+
+    test('should restart the idle clock on activity', () => {
+        session.start(user);
+
+        jest.advanceTimersByTime(45 * 1000);
+        document.dispatchEvent(new Event('keydown'));
+        jest.advanceTimersByTime(45 * 1000);
+
+        expect(session.state.status).toBe('active');
+    });
+
+    test('should ignore activity once the warning is showing', () => {
+        session.start(user);
+
+        jest.advanceTimersByTime(52 * 1000);
+        document.dispatchEvent(new Event('mousedown'));
+        jest.advanceTimersByTime(1000);
+
+        expect(session.state.status).toBe('warning');
+    });
+
+    test('should stay signed in by refreshing the token', async () => {
+        session.start(user);
+        jest.advanceTimersByTime(55 * 1000);
+
+        await session.extend();
+
+        expect(api.refreshAccessToken).toHaveBeenCalled();
+        expect(session.state.status).toBe('active');
+        jest.advanceTimersByTime(45 * 1000);
+        expect(session.state.status).toBe('active');
+    });
+
+    test('should sign out when the countdown runs out', async () => {
+        session.start(user);
+
+        jest.advanceTimersByTime(60 * 1000);
+        await Promise.resolve();
+
+        expect(api.logout).toHaveBeenCalledWith({ queue: false, skipAuthRefresh: true });
+        expect(ended.mock.calls[0][0].detail).toEqual({ reason: 'idle', redirectTo: '/login' });
+        expect(session.state.status).toBe('inactive');
+    });
+
+    test('should clear browser storage for kiosk sessions', async () => {
+        localStorage.setItem('notifications', '[]');
+        sessionStorage.setItem('draft', '{}');
+        session.start({ ...user, roles: ['kiosk'] });
+
+        jest.advanceTimersByTime(3 * 60 * 1000);
+        await Promise.resolve();
+
+        expect(localStorage.getItem('notifications')).toBeNull();
+        expect(sessionStorage.getItem('draft')).toBeNull();
+        expect(ended.mock.calls[0][0].detail.redirectTo).toBe('/');
+    });
+
+    test('should warn before a token that cannot be refreshed expires', () => {
+        api.refreshToken = null;
+        api.token = jwt({ sub: 7, exp: Date.now() / 1000 + 30 });
+        session.start(user);
+
+        jest.advanceTimersByTime(20 * 1000);
+
+        expect(session.state).toEqual({ status: 'warning', remaining: 10, reason: 'expired', canExtend: false });
+    });
+
+    test('should quietly refresh an active user\'s token before it expires', () => {
+        api.token = jwt({ sub: 7, exp: Date.now() / 1000 + 15 });
+        session.start(user);
+
+        jest.advanceTimersByTime(5 * 1000);
+
+        expect(api.refreshAccessToken).toHaveBeenCalled();
+        expect(session.state.status).toBe('active');
+    });
+
+    test('should stop tracking when stopped', () => {
+        session.start(user);
+        session.stop();
+
+        jest.advanceTimersByTime(2 * 60 * 1000);
+
+        expect(api.logout).not.toHaveBeenCalled();
+        expect(ended).not.toHaveBeenCalled();
+    });
+
+    test('should count activity from other tabs', () => {
+        session.start(user);
+        jest.advanceTimersByTime(55 * 1000);
+        expect(session.state.status).toBe('warning');
+
+        session.touch(Date.now());
+        jest.advanceTimersByTime(1000);
+
+        expect(session.state.status).toBe('active');
+    });
+
+    test('should report activity at most once per interval', () => {
+        const listener = jest.fn();
+        session.onActivity(listener);
+        session.start(user);
+
+        document.dispatchEvent(new Event('keydown'));
+        jest.advanceTimersByTime(1000);
+        document.dispatchEvent(new Event('keydown'));
+
+        expect(listener).toHaveBeenCalledTimes(1);
+    });
+});
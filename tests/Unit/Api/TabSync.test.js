@@ -0,0 +1,238 @@
+/**
+ * Unit tests for TabSync
+ *
+ * @package TPT
+ * @subpackage Tests
+ */
+
+import '../../../public/js/utils.js';
+import '../../../public/js/errors.js';
+import '../../../public/js/uploads.js';
+import '../../../public/js/downloads.js';
+import '../../../public/js/pagination.js';
+import '../../../public/js/cache.js';
+import '../../../public/js/outbox.js';
+import APIClient from '../../../public/js/api.js';
+import TabSync from '../../../public/js/tabs.js';
+
+/**
+ * In-process BroadcastChannel: delivers to every other channel with the same name
+ */
+class FakeBroadcastChannel {
+    constructor(name) {
+        this.name = name;
+        this.onmessage = null;
+        FakeBroadcastChannel.channels.push(this);
+    }
+
+    postMessage(data) {
+        FakeBroadcastChannel.channels
+            .filter(channel => channel !== this && channel.name === this.name && channel.onmessage)
+            .forEach(channel => channel.onmessage({ data: JSON.parse(JSON.stringify(data)) }));
+    }
+
+    close() {
+        FakeBroadcastChannel.channels = FakeBroadcastChannel.channels.filter(channel => channel !== this);
+    }
+}
+FakeBroadcastChannel.channels = [];
+
+describe('TabSync', () => {
+    let tabs;
+
+    function openTab(options = {}) {
+        const tab = new TabSync({ BroadcastChannelImpl: FakeBroadcastChannel, ...options });
+        tabs.push(tab);
+        tab.start();
+        return tab;
+    }
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        localStorage.clear();
+        tabs = [];
+    });
+
+    afterEach(() => {
+        tabs.forEach(tab => tab.stop());
+        FakeBroadcastChannel.channels = [];
+        jest.useRealTimers();
+    });
+
+    test('should deliver messages to the other tabs only', () => {
+        const first = openTab();
+        const second = openTab();
+        const onFirst = jest.fn();
+        const onSecond = jest.fn();
+        first.subscribe('auth', onFirst);
+        second.subscribe('auth', onSecond);
+
+        first.publish('auth', { signedIn: false });
+
+        expect(onSecond).toHaveBeenCalledWith({ signedIn: false }, expect.objectContaining({ from: first.id }));
+        expect(onFirst).not.toHaveBeenCalled();
+    });
+
+    test('should elect a single leader', () => {
+        const first = openTab();
+        const second = openTab();
+        const third = openTab();
+
+        jest.advanceTimersByTime(10000);
+
+        expect([first, second, third].filter(tab => tab.isLeader)).toEqual([first]);
+    });
+
+    test('should hand leadership over when the leader closes', () => {
+        const first = openTab();
+        const second = openTab();
+        const onLeaderChange = jest.fn();
+        second.onLeaderChange(onLeaderChange);
+
+        first.stop();
+
+        expect(second.isLeader).toBe(true);
+        expect(onLeaderChange).toHaveBeenCalledWith(true);
+    });
+
+    test('should take over once a crashed leader\'s lease runs out', () => {
+        const first = openTab();
+        const second = openTab();
+
+        // The leader stops renewing without saying goodbye
+        clearInterval(first.timer);
+        jest.advanceTimersByTime(4000);
+        expect(second.isLeader).toBe(false);
+
+        jest.advanceTimersByTime(4000);
+        expect(second.isLeader).toBe(true);
+    });
+
+    test('should step down when another tab holds the lease', () => {
+        const first = openTab();
+        StorageUtils.set('tpt_tabs_leader', { id: 'other-tab', expires: Date.now() + 5000 });
+
+        jest.advanceTimersByTime(2000);
+
+        expect(first.isLeader).toBe(false);
+    });
+
+    test('should start again when the page comes back from the back/forward cache', () => {
+        const tab = openTab();
+
+        window.dispatchEvent(new Event('pagehide'));
+        expect(tab.started).toBe(false);
+
+        window.dispatchEvent(new Event('pageshow'));
+        expect(tab.started).toBe(true);
+        expect(tab.isLeader).toBe(true);
+    });
+
+    describe('token refresh across tabs', () => {
+        let clients;
+
+        /**
+         * A tab: its own API client, told about tokens other tabs saved like the app does.
+         * The news arrives a moment later, as it does between real tabs.
+         */
+        function openClientTab() {
+            const tab = openTab();
+            const client = new APIClient();
+            client.onTokenChange(token => tab.publish('auth', { signedIn: Boolean(token) }));
+            tab.subscribe('auth', () => setTimeout(() => client.syncToken(), 100));
+            clients.push(client);
+            return client;
+        }
+
+        function mockResponse(status, body = {}) {
+            return {
+                ok: status >= 200 && status < 300,
+                status,
+                headers: { get: (name) => (name.toLowerCase() === 'content-type' ? 'application/json' : null) },
+                json: async () => body,
+                text: async () => JSON.stringify(body)
+            };
+        }
+
+        /**
+         * Rotating refresh tokens: each one is accepted once
+         */
+        function mockRefreshEndpoint() {
+            const used = new Set();
+
+            fetch.mockImplementation(async (url, config) => {
+                const { refresh_token: refreshToken } = JSON.parse(config.body);
+                if (used.has(refreshToken)) {
+                    return mockResponse(401, { message: 'Refresh token already used' });
+                }
+
+                used.add(refreshToken);
+                return mockResponse(200, { token: `token-${used.size + 1}`, refresh_token: `refresh-${used.size + 1}` });
+            });
+        }
+
+        beforeEach(() => {
+            clients = [];
+            fetch.mockReset();
+            StorageUtils.set('auth_token', 'token-1');
+            StorageUtils.set('refresh_token', 'refresh-1');
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            console.error.mockRestore();
+        });
+
+        test('should use the tokens another tab already rotated', async () => {
+            const first = openClientTab();
+            const second = openClientTab();
+            mockRefreshEndpoint();
+
+            await first.refreshAccessToken();
+            const token = await second.refreshAccessToken();
+
+            expect(fetch).toHaveBeenCalledTimes(1);
+            expect(token).toBe('token-2');
+            expect(second.refreshToken).toBe('refresh-2');
+        });
+
+        test('should keep both tabs signed in when they refresh at the same time', async () => {
+            const first = openClientTab();
+            const second = openClientTab();
+            mockRefreshEndpoint();
+
+            const tokens = await Promise.all([first.refreshAccessToken(), second.refreshAccessToken()]);
+
+            expect(fetch).toHaveBeenCalledTimes(2);
+            expect(tokens).toEqual(['token-2', 'token-2']);
+            expect(StorageUtils.get('refresh_token')).toBe('refresh-2');
+            expect([first.token, second.token]).toEqual(['token-2', 'token-2']);
+        });
+    });
+
+    describe('storage event fallback', () => {
+        test('should send messages through localStorage', () => {
+            const tab = openTab({ BroadcastChannelImpl: undefined });
+            const setItem = jest.spyOn(Storage.prototype, 'setItem');
+
+            tab.publish('outbox');
+
+            expect(setItem).toHaveBeenCalledWith('tpt_tabs_message', expect.stringContaining('"type":"outbox"'));
+            expect(localStorage.getItem('tpt_tabs_message')).toBeNull();
+            setItem.mockRestore();
+        });
+
+        test('should receive messages from storage events', () => {
+            const tab = openTab({ BroadcastChannelImpl: undefined });
+            const handler = jest.fn();
+            tab.subscribe('notification-read', handler);
+
+            window.dispatchEvent(new StorageEvent('storage', {
+                key: 'tpt_tabs_message',
+                newValue: JSON.stringify({ type: 'notification-read', data: { id: 3 }, from: 'other-tab' })
+            }));
+
+            expect(handler).toHaveBeenCalledWith({ id: 3 }, expect.any(Object));
+        });
+    });
+});
@@ -0,0 +1,175 @@
+/**
+ * Unit tests for UploadManager
+ *
+ * @package TPT
+ * @subpackage Tests
+ */
+
+import '../../../public/js/utils.js';
+import '../../../public/js/errors.js';
+import UploadManager from '../../../public/js/uploads.js';
+
+/**
+ * File stand-in whose slices remember their byte range
+ */
+function mockFile(size, name = 'site-plans.pdf') {
+    return {
+        name,
+        size,
+        type: 'application/pdf',
+        lastModified: 1700000000000,
+        slice: (start, end) => ({ start, end, size: end - start })
+    };
+}
+
+describe('UploadManager', () => {
+    let api;
+    let uploads;
+
+    beforeEach(() => {
+        api = { request: jest.fn() };
+        uploads = new UploadManager(api);
+        jest.spyOn(uploads, 'checksum').mockImplementation(async (blob) => (
+            blob.start !== undefined ? `sum-${blob.start}` : 'sum-file'
+        ));
+    });
+
+    test('should send small files as a single multipart request', async () => {
+        const onProgress = jest.fn();
+        api.request.mockImplementation(async (method, endpoint, data, options) => {
+            options.onUploadProgress({ loaded: 50, total: 100 });
+            return { success: true, checksum: 'sum-file' };
+        });
+
+        await uploads.upload(mockFile(100), { category: 'plans' }, { onProgress });
+
+        const [method, endpoint, body] = api.request.mock.calls[0];
+        expect(method).toBe('POST');
+        expect(endpoint).toBe('/documents/upload');
+        expect(body).toBeInstanceOf(FormData);
+        expect(body.get('category')).toBe('plans');
+        expect(body.get('checksum')).toBe('sum-file');
+        expect(onProgress).toHaveBeenCalledWith({ loaded: 50, total: 100, percent: 50 });
+        expect(onProgress).toHaveBeenLastCalledWith({ loaded: 100, total: 100, percent: 100 });
+    });
+
+    test('should reject an upload whose server checksum does not match', async () => {
+        api.request.mockResolvedValue({ success: true, checksum: 'something-else' });
+
+        const error = await uploads.upload(mockFile(100)).catch(e => e);
+
+        expect(error).toBeInstanceOf(window.APIError);
+        expect(error.code).toBe('CHECKSUM_MISMATCH');
+    });
+
+    test('should upload large files in chunks', async () => {
+        api.request.mockImplementation(async (method, endpoint) => {
+            if (endpoint === '/documents/uploads') return { upload_id: 'up-1' };
+            return { success: true };
+        });
+
+        await uploads.upload(mockFile(25), {}, { chunkSize: 10 });
+
+        const chunkCalls = api.request.mock.calls.filter(([method]) => method === 'PUT');
+        expect(chunkCalls.map(([, endpoint]) => endpoint)).toEqual([
+            '/documents/uploads/up-1/chunks/0',
+            '/documents/uploads/up-1/chunks/1',
+            '/documents/uploads/up-1/chunks/2'
+        ]);
+        expect(chunkCalls[2][3].headers['Content-Range']).toBe('bytes 20-24/25');
+        expect(chunkCalls[1][3].headers['X-Chunk-Checksum']).toBe('sum-10');
+
+        const [, completeEndpoint] = api.request.mock.calls[api.request.mock.calls.length - 1];
+        expect(completeEndpoint).toBe('/documents/uploads/up-1/complete');
+        expect(uploads.loadSession(mockFile(25))).toBeNull();
+    });
+
+    test('should resume a stored session and skip chunks the server has', async () => {
+        uploads.saveSession(mockFile(25), { uploadId: 'up-9', chunkSize: 10, checksums: { 0: 'sum-0' } });
+
+        api.request.mockImplementation(async (method, endpoint) => {
+            if (endpoint === '/documents/uploads/up-9' && method === 'GET') return { received_chunks: [0, 1] };
+            return { success: true };
+        });
+
+        await uploads.upload(mockFile(25), {}, { chunkSize: 10 });
+
+        const endpoints = api.request.mock.calls.map(([method, endpoint]) => `${method} ${endpoint}`);
+        expect(endpoints).toEqual([
+            'GET /documents/uploads/up-9',
+            'PUT /documents/uploads/up-9/chunks/2',
+            'POST /documents/uploads/up-9/complete'
+        ]);
+    });
+
+    test('should wait for the connection to return and continue', async () => {
+        const onLine = jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+        let failed = false;
+
+        api.request.mockImplementation(async (method, endpoint) => {
+            if (endpoint === '/documents/uploads') return { upload_id: 'up-2' };
+            if (endpoint === '/documents/uploads/up-2/chunks/1' && !failed) {
+                failed = true;
+                setTimeout(() => {
+                    onLine.mockReturnValue(true);
+                    window.dispatchEvent(new Event('online'));
+                }, 0);
+                throw new window.NetworkError();
+            }
+            if (method === 'GET') return { received_chunks: [0] };
+            return { success: true };
+        });
+
+        await uploads.upload(mockFile(20), {}, { chunkSize: 10 });
+
+        const chunkCalls = api.request.mock.calls.filter(([method]) => method === 'PUT');
+        expect(chunkCalls.map(([, endpoint]) => endpoint)).toEqual([
+            '/documents/uploads/up-2/chunks/0',
+            '/documents/uploads/up-2/chunks/1',
+            '/documents/uploads/up-2/chunks/1'
+        ]);
+
+        onLine.mockRestore();
+    });
+
+    test('should ask the server for its chunks and continue after a dropped connection while online', async () => {
+        let failed = false;
+
+        api.request.mockImplementation(async (method, endpoint) => {
+            if (endpoint === '/documents/uploads') return { upload_id: 'up-3' };
+            if (endpoint === '/documents/uploads/up-3/chunks/2' && !failed) {
+                failed = true;
+                throw new window.NetworkError();
+            }
+            if (method === 'GET') return { received_chunks: [0, 1] };
+            return { success: true };
+        });
+
+        await uploads.upload(mockFile(30), {}, { chunkSize: 10 });
+
+        const endpoints = api.request.mock.calls.map(([method, endpoint]) => `${method} ${endpoint}`);
+        expect(endpoints).toEqual([
+            'POST /documents/uploads',
+            'PUT /documents/uploads/up-3/chunks/0',
+            'PUT /documents/uploads/up-3/chunks/1',
+            'PUT /documents/uploads/up-3/chunks/2',
+            'GET /documents/uploads/up-3',
+            'PUT /documents/uploads/up-3/chunks/2',
+            'POST /documents/uploads/up-3/complete'
+        ]);
+    });
+
+    test('should give up when the connection keeps dropping while online', async () => {
+        api.request.mockImplementation(async (method, endpoint) => {
+            if (endpoint === '/documents/uploads') return { upload_id: 'up-4' };
+            if (method === 'PUT') throw new window.NetworkError();
+            return { received_chunks: [] };
+        });
+
+        const error = await uploads.upload(mockFile(20), {}, { chunkSize: 10 }).catch(e => e);
+
+        expect(error).toBeInstanceOf(window.NetworkError);
+        expect(api.request.mock.calls.filter(([method]) => method === 'GET')).toHaveLength(uploads.maxResumes);
+        expect(uploads.loadSession(mockFile(20))).not.toBeNull();
+    });
+});
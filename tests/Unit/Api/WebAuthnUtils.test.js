@@ -0,0 +1,62 @@
+/**
+ * Unit tests for WebAuthnUtils
+ *
+ * @package TPT
+ * @subpackage Tests
+ */
+
+import WebAuthnUtils from '../../../public/js/mfa.js';
+
+describe('WebAuthnUtils', () => {
+    test('should decode hex challenges from MultiFactorAuth', () => {
+        const buffer = WebAuthnUtils.toBuffer('00ff10');
+        expect(Array.from(new Uint8Array(buffer))).toEqual([0, 255, 16]);
+    });
+
+    test('should round-trip base64url', () => {
+        const bytes = new Uint8Array([251, 255, 0, 62, 63]).buffer;
+        const encoded = WebAuthnUtils.fromBuffer(bytes);
+
+        expect(encoded).not.toMatch(/[+/=]/);
+        expect(Array.from(new Uint8Array(WebAuthnUtils.toBuffer(encoded)))).toEqual([251, 255, 0, 62, 63]);
+    });
+
+    test('should prepare creation options for the browser', () => {
+        const options = WebAuthnUtils.prepareCreationOptions({
+            challenge: 'abcd',
+            rp: { name: 'TPT Government Platform' },
+            user: { id: '0102', name: 'citizen@gov.local' }
+        });
+
+        expect(options.challenge).toBeInstanceOf(ArrayBuffer);
+        expect(Array.from(new Uint8Array(options.user.id))).toEqual([1, 2]);
+        expect(options.rp).toEqual({ name: 'TPT Government Platform' });
+    });
+
+    test('should serialize an assertion for the server', () => {
+        const bytes = (values) => new Uint8Array(values).buffer;
+        const credential = {
+            id: 'cred-1',
+            rawId: bytes([1]),
+            type: 'public-key',
+            response: {
+                clientDataJSON: bytes([2]),
+                authenticatorData: bytes([3]),
+                signature: bytes([4]),
+                userHandle: null
+            }
+        };
+
+        expect(WebAuthnUtils.serializeCredential(credential)).toEqual({
+            id: 'cred-1',
+            rawId: 'AQ',
+            type: 'public-key',
+            response: {
+                clientDataJSON: 'Ag',
+                authenticatorData: 'Aw',
+                signature: 'BA',
+                userHandle: null
+            }
+        });
+    });
+});
@@ -0,0 +1,182 @@
+/**
+ * Unit tests for NavigationManager
+ *
+ * @package TPT
+ * @subpackage Tests
+ */
+
+import '../../../public/js/utils.js';
+import NavigationManager from '../../../public/js/navigation.js';
+
+describe('NavigationManager', () => {
+    let navigation;
+    let confirm;
+    let announcer;
+
+    function scrollTo(y) {
+        window.scrollY = y;
+    }
+
+    function popTo(state, path = '/') {
+        window.history.replaceState(state, '', path);
+        return navigation.handlePopState({ state });
+    }
+
+    beforeEach(() => {
+        sessionStorage.clear();
+        window.history.replaceState(null, '', '/');
+        window.scrollTo = jest.fn();
+        scrollTo(0);
+
+        announcer = document.createElement('div');
+        document.body.appendChild(announcer);
+
+        confirm = jest.fn().mockResolvedValue(false);
+        navigation = new NavigationManager({ confirm, announcer });
+        navigation.start();
+    });
+
+    afterEach(() => {
+        navigation.stop();
+        document.body.innerHTML = '';
+        jest.useRealTimers();
+    });
+
+    test('should tag history entries with a key and position', async () => {
+        const first = window.history.state;
+
+        await navigation.navigate('/services');
+        await navigation.navigate('/services/3');
+
+        expect(first).toEqual({ key: expect.any(String), index: 0 });
+        expect(window.history.state).toEqual({ key: expect.any(String), index: 2 });
+        expect(window.location.pathname).toBe('/services/3');
+    });
+
+    test('should keep the position when replacing an entry', async () => {
+        await navigation.navigate('/services');
+        await navigation.navigate('/login', { replace: true });
+
+        expect(window.history.state.index).toBe(1);
+    });
+
+    describe('leave guards', () => {
+        test('should ask before leaving and stay when the user declines', async () => {
+            const guard = jest.fn(() => 'You have unsaved changes.');
+            navigation.beforeLeave(guard);
+
+            expect(await navigation.navigate('/dashboard')).toBe(false);
+            expect(guard).toHaveBeenCalledWith('/dashboard', '/');
+            expect(confirm).toHaveBeenCalledWith('You have unsaved changes.');
+            expect(window.location.pathname).toBe('/');
+
+            confirm.mockResolvedValue(true);
+            expect(await navigation.navigate('/dashboard')).toBe(true);
+            expect(window.location.pathname).toBe('/dashboard');
+        });
+
+        test('should block without asking when a guard returns false', async () => {
+            navigation.beforeLeave(() => false);
+
+            expect(await navigation.navigate('/dashboard')).toBe(false);
+            expect(confirm).not.toHaveBeenCalled();
+        });
+
+        test('should let forced navigation past the guards', async () => {
+            const remove = navigation.beforeLeave(() => false);
+
+            expect(await navigation.navigate('/login', { force: true })).toBe(true);
+
+            remove();
+            expect(await navigation.navigate('/')).toBe(true);
+        });
+
+        test('should warn before the tab closes', () => {
+            navigation.beforeLeave((to) => (to === null ? 'You have unsaved changes.' : undefined));
+            const event = new Event('beforeunload', { cancelable: true });
+
+            window.dispatchEvent(event);
+
+            expect(event.defaultPrevented).toBe(true);
+        });
+
+        test('should undo a guarded back move and redo it once confirmed', async () => {
+            const go = jest.spyOn(window.history, 'go').mockImplementation(() => {});
+            const start = window.history.state;
+            await navigation.navigate('/services/3/apply');
+            navigation.beforeLeave(() => 'You have unsaved changes.');
+            confirm.mockResolvedValue(true);
+
+            expect(await popTo(start, '/')).toBe(false);
+            expect(go.mock.calls).toEqual([[1], [-1]]);
+
+            // The browser replays both moves: the undo is ignored, the redo goes through
+            expect(await popTo(window.history.state, '/services/3/apply')).toBe(false);
+            expect(await popTo(start, '/')).toBe(true);
+            go.mockRestore();
+        });
+    });
+
+    describe('scroll restoration', () => {
+        test('should start new pages at the top', async () => {
+            await navigation.navigate('/services');
+            navigation.complete(document.body);
+
+            expect(window.scrollTo).toHaveBeenCalledWith(0, 0);
+        });
+
+        test('should restore the position of the entry returned to', async () => {
+            const start = window.history.state;
+            scrollTo(640);
+            await navigation.navigate('/services/3');
+            scrollTo(0);
+
+            expect(await popTo(start, '/')).toBe(true);
+            navigation.complete(document.body);
+
+            expect(window.scrollTo).toHaveBeenCalledWith(0, 640);
+        });
+
+        test('should restore the position after a reload', () => {
+            const { key } = window.history.state;
+            scrollTo(220);
+            window.dispatchEvent(new Event('beforeunload'));
+
+            const reloaded = new NavigationManager({ confirm, announcer });
+            reloaded.start();
+            reloaded.complete(document.body);
+
+            expect(reloaded.current.key).toBe(key);
+            expect(window.scrollTo).toHaveBeenCalledWith(0, 220);
+        });
+    });
+
+    describe('focus and announcements', () => {
+        test('should focus the new page heading and announce it', async () => {
+            jest.useFakeTimers();
+            const container = document.createElement('div');
+            container.innerHTML = '<h1>Government Services</h1><a href="/">Home</a>';
+            document.body.appendChild(container);
+
+            await navigation.navigate('/services');
+            navigation.complete(container);
+            jest.advanceTimersByTime(100);
+
+            const heading = container.querySelector('h1');
+            expect(document.activeElement).toBe(heading);
+            expect(heading.getAttribute('tabindex')).toBe('-1');
+            expect(announcer.textContent).toBe('Navigated to Government Services');
+        });
+
+        test('should leave focus alone on the first page load', () => {
+            const container = document.createElement('div');
+            container.innerHTML = '<h1>Welcome</h1>';
+            document.body.appendChild(container);
+
+            navigation.complete(container);
+
+            expect(document.activeElement).toBe(document.body);
+            expect(announcer.textContent).toBe('');
+        });
+    });
+});
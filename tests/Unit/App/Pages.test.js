@@ -0,0 +1,104 @@
+/**
+ * Unit tests for lazily loaded page modules
+ *
+ * @package TPT
+ * @subpackage Tests
+ */
+
+import '../../../public/js/utils.js';
+import '../../../public/js/components.js';
+import Router from '../../../public/js/router.js';
+import PageRoutes from '../../../public/js/routes.js';
+
+describe('Page modules', () => {
+    const loader = window.LazyComponentLoader;
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('LazyComponentLoader.loadPage', () => {
+        test('should load a page script once and reuse the registered page', async () => {
+            const page = { render: () => '<h1>Rates</h1>' };
+            const loadScript = jest.spyOn(loader, 'loadScript').mockImplementation(async () => {
+                window.PageRegistry.register('rates', page);
+            });
+
+            const [first, second] = await Promise.all([loader.loadPage('rates'), loader.loadPage('rates')]);
+            const third = await loader.loadPage('rates');
+
+            expect(loadScript).toHaveBeenCalledTimes(1);
+            expect(loadScript).toHaveBeenCalledWith('/js/pages/rates.js');
+            expect([first, second, third]).toEqual([page, page, page]);
+        });
+
+        test('should fail when the script does not register the page', async () => {
+            jest.spyOn(loader, 'loadScript').mockResolvedValue();
+
+            await expect(loader.loadPage('missing')).rejects.toThrow("Page 'missing' not found");
+        });
+
+        test('should try again after a failed load', async () => {
+            const loadScript = jest.spyOn(loader, 'loadScript')
+                .mockRejectedValueOnce(new Error('Failed to load script: /js/pages/dogs.js'))
+                .mockImplementationOnce(async () => {
+                    window.PageRegistry.register('dogs', { render: () => '' });
+                });
+
+            await expect(loader.loadPage('dogs')).rejects.toThrow('Failed to load script');
+            await expect(loader.loadPage('dogs')).resolves.toEqual(expect.objectContaining({ render: expect.any(Function) }));
+            expect(loadScript).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    test('should reject pages without a render hook', () => {
+        expect(() => window.PageRegistry.register('broken', { mount() {} })).toThrow();
+    });
+
+    test('should point every page route at a page module', () => {
+        const router = new Router({ routes: PageRoutes });
+
+        expect(router.resolve('/services/42/apply').route.page).toBe('service-apply');
+        expect(router.resolve('/admin/users').route.page).toBe('admin');
+        router.routes.forEach(route => expect(route.page).toEqual(expect.any(String)));
+    });
+
+    describe('service page', () => {
+        let container;
+        let app;
+
+        beforeEach(async () => {
+            await import('../../../public/js/pages/service.js');
+            container = document.createElement('div');
+            app = {
+                router: new Router({ routes: PageRoutes }),
+                navigate: jest.fn(),
+                getServiceIcon: () => '🏢'
+            };
+            window.API = {
+                getService: jest.fn().mockResolvedValue({
+                    service: { id: 42, name: 'Building Consent', category: 'Business Services', description: 'Build things' }
+                }),
+                isAbortError: () => false
+            };
+        });
+
+        afterEach(() => {
+            delete window.API;
+        });
+
+        test('should load the service named in the route params', async () => {
+            const page = window.PageRegistry.get('service');
+            const context = { params: { id: '42' }, app };
+
+            container.innerHTML = page.render(context);
+            await page.mount(container, context);
+
+            expect(window.API.getService).toHaveBeenCalledWith('42', { scope: 'route' });
+            expect(container.querySelector('h1').textContent).toBe('Building Consent');
+
+            container.querySelector('.apply-btn').click();
+            expect(app.navigate).toHaveBeenCalledWith('/services/42/apply');
+        });
+    });
+});
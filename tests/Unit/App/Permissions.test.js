@@ -0,0 +1,118 @@
+/**
+ * Unit tests for PermissionManager
+ *
+ * @package TPT
+ * @subpackage Tests
+ */
+
+import '../../../public/js/utils.js';
+import PermissionManager from '../../../public/js/permissions.js';
+
+describe('PermissionManager', () => {
+    let permissions;
+
+    beforeEach(() => {
+        permissions = new PermissionManager();
+    });
+
+    afterEach(() => {
+        permissions.stop();
+        document.body.innerHTML = '';
+    });
+
+    test('should grant nothing without a signed in user', () => {
+        expect(permissions.has('cases.view')).toBe(false);
+        expect(permissions.hasRole('admin')).toBe(false);
+    });
+
+    test('should combine profile permissions with role permissions', () => {
+        permissions.setUser({ roles: ['inspector'], permissions: ['cases.view'] });
+
+        expect(permissions.has('cases.view')).toBe(true);
+        expect(permissions.has('inspections.edit')).toBe(true);
+        expect(permissions.has('inspections.approve')).toBe(false);
+        expect(permissions.hasAll(['cases.view', 'inspections.report'])).toBe(true);
+        expect(permissions.hasAny(['audit.view', 'inspections.view'])).toBe(true);
+    });
+
+    test('should honour module and global wildcards', () => {
+        permissions.setUser({ roles: ['supervisor'] });
+        expect(permissions.has('cases.approve')).toBe(true);
+        expect(permissions.has('audit.view')).toBe(false);
+
+        permissions.setUser({ roles: ['admin'] });
+        expect(permissions.has('audit.view')).toBe(true);
+    });
+
+    test('should drop permissions when the user signs out', () => {
+        const listener = jest.fn();
+        permissions.subscribe(listener);
+        permissions.setUser({ roles: ['auditor'] });
+
+        permissions.setUser(null);
+
+        expect(permissions.has('audit.view')).toBe(false);
+        expect(listener).toHaveBeenCalledTimes(2);
+    });
+
+    describe('data-requires-permission', () => {
+        test('should hide elements the user may not use', () => {
+            document.body.innerHTML = `
+                <a id="cases" data-requires-permission="cases.view">Cases</a>
+                <a id="audit" data-requires-permission="audit.view">Audit log</a>
+                <a id="both" data-requires-permission="cases.view audit.view">Case audit</a>
+                <a id="either" data-requires-permission="cases.view audit.view" data-permission-mode="any">Records</a>
+            `;
+            permissions.start();
+
+            permissions.setUser({ roles: ['case_officer'] });
+
+            expect(document.getElementById('cases').hidden).toBe(false);
+            expect(document.getElementById('audit').hidden).toBe(true);
+            expect(document.getElementById('both').hidden).toBe(true);
+            expect(document.getElementById('either').hidden).toBe(false);
+        });
+
+        test('should disable elements that ask for it, keeping other disabled state', () => {
+            document.body.innerHTML = `
+                <button id="approve" data-requires-permission="cases.approve" data-permission-denied="disable">Approve</button>
+                <button id="busy" data-requires-permission="cases.view" data-permission-denied="disable" disabled>Saving</button>
+            `;
+            permissions.start();
+
+            permissions.setUser({ roles: ['case_officer'] });
+            const approve = document.getElementById('approve');
+            expect(approve.disabled).toBe(true);
+            expect(approve.getAttribute('aria-disabled')).toBe('true');
+            expect(approve.hidden).toBe(false);
+
+            permissions.setUser({ roles: ['supervisor'] });
+            expect(approve.disabled).toBe(false);
+            expect(approve.hasAttribute('aria-disabled')).toBe(false);
+            expect(document.getElementById('busy').disabled).toBe(true);
+        });
+
+        test('should gate elements rendered later', async () => {
+            permissions.setUser({ roles: ['inspector'] });
+            permissions.start();
+
+            const container = document.createElement('div');
+            container.innerHTML = '<button data-requires-permission="inspections.approve">Approve</button>';
+            document.body.appendChild(container);
+            await Promise.resolve();
+
+            expect(container.querySelector('button').hidden).toBe(true);
+        });
+
+        test('should hide elements again when a re-render drops the hidden attribute', async () => {
+            document.body.innerHTML = '<a id="audit" data-requires-permission="audit.view">Audit log</a>';
+            permissions.setUser({ roles: ['inspector'] });
+            permissions.start();
+
+            document.getElementById('audit').removeAttribute('hidden');
+            await Promise.resolve();
+
+            expect(document.getElementById('audit').hidden).toBe(true);
+        });
+    });
+});
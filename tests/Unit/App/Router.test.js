@@ -0,0 +1,110 @@
+/**
+ * Unit tests for Router
+ *
+ * @package TPT
+ * @subpackage Tests
+ */
+
+import Router from '../../../public/js/router.js';
+
+describe('Router', () => {
+    const handler = () => '';
+    let router;
+
+    beforeEach(() => {
+        router = new Router({
+            routes: [
+                { path: '/', name: 'home', meta: { public: true }, handler },
+                {
+                    path: '/services',
+                    name: 'services',
+                    handler,
+                    children: [
+                        { path: ':id', name: 'service', handler },
+                        { path: ':id/apply', name: 'service-apply', handler }
+                    ]
+                },
+                {
+                    path: '/admin',
+                    name: 'admin',
+                    meta: { roles: ['admin'] },
+                    handler,
+                    children: [
+                        { path: 'reports', name: 'admin-reports', meta: { features: ['reporting'] }, handler },
+                        { path: '*', name: 'admin-section', handler }
+                    ]
+                },
+                { path: '*', name: 'not-found', meta: { public: true }, handler }
+            ]
+        });
+    });
+
+    test('should match exact paths', () => {
+        expect(router.resolve('/').name).toBe('home');
+        expect(router.resolve('/services').name).toBe('services');
+        expect(router.resolve('/services/').name).toBe('services');
+    });
+
+    test('should parse path parameters', () => {
+        const match = router.resolve('/services/building%20consent/apply');
+
+        expect(match.name).toBe('service-apply');
+        expect(match.params).toEqual({ id: 'building consent' });
+    });
+
+    test('should parse the query string', () => {
+        const match = router.resolve('/services/12?step=2&tag=a&tag=b');
+
+        expect(match.params).toEqual({ id: '12' });
+        expect(match.query).toEqual({ step: '2', tag: ['a', 'b'] });
+    });
+
+    test('should capture the rest of the path for wildcards', () => {
+        const match = router.resolve('/admin/users/42/audit');
+
+        expect(match.name).toBe('admin-section');
+        expect(match.params).toEqual({ wildcard: 'users/42/audit' });
+        expect(router.resolve('/nowhere').name).toBe('not-found');
+    });
+
+    test('should fall through to the catch-all route for malformed escapes', () => {
+        const match = router.resolve('/services/%E0%A4%A');
+
+        expect(match.name).toBe('not-found');
+        expect(match.params).toEqual({ wildcard: 'services/%E0%A4%A' });
+    });
+
+    test('should let nested routes inherit meta and know their parents', () => {
+        const match = router.resolve('/admin/reports');
+
+        expect(match.meta).toEqual({ roles: ['admin'], features: ['reporting'] });
+        expect(match.matched.map(route => route.name)).toEqual(['admin', 'admin-reports']);
+        expect(router.resolve('/services/3').matched[0].path).toBe('/services');
+    });
+
+    test('should run guards in order and stop at the first redirect', () => {
+        const isAdmin = false;
+        const later = jest.fn();
+        router.addGuard((match) => {
+            if (match.meta.roles && !isAdmin) return { redirect: '/', message: 'Access denied' };
+        });
+        router.addGuard(later);
+
+        expect(router.check(router.resolve('/services'))).toBeNull();
+        expect(router.check(router.resolve('/admin'))).toEqual({ redirect: '/', message: 'Access denied' });
+        expect(later).toHaveBeenCalledTimes(1);
+    });
+
+    test('should accept a path as a guard redirect', () => {
+        router.addGuard((match) => (match.meta.public ? undefined : '/login'));
+
+        expect(router.check(router.resolve('/services/3'))).toEqual({ redirect: '/login', message: null });
+        expect(router.check(router.resolve('/'))).toBeNull();
+    });
+
+    test('should build paths from named routes', () => {
+        expect(router.href('service-apply', { id: 7 })).toBe('/services/7/apply');
+        expect(router.href('service', { id: 'a/b' }, { step: 2 })).toBe('/services/a%2Fb?step=2');
+        expect(() => router.href('missing')).toThrow("Route 'missing' not found");
+    });
+});
@@ -0,0 +1,177 @@
+/**
+ * Unit tests for StateStore
+ *
+ * @package TPT
+ * @subpackage Tests
+ */
+
+import '../../../public/js/utils.js';
+import StateStore from '../../../public/js/store.js';
+import '../../../public/js/patch.js';
+import '../../../public/js/components.js';
+
+describe('StateStore', () => {
+    const actions = {
+        'cases/loaded': (state, cases) => ({ cases }),
+        'cases/closed': (state, id) => ({ cases: state.cases.map(c => (c.id === id ? { ...c, open: false } : c)) }),
+        'filter/set': (state, filter) => ({ filter })
+    };
+
+    function createStore(options = {}) {
+        return new StateStore({ state: { cases: [], filter: 'all' }, actions, logActions: false, ...options });
+    }
+
+    afterEach(() => {
+        localStorage.clear();
+        jest.restoreAllMocks();
+    });
+
+    test('should change state through actions and tell subscribers', () => {
+        const store = createStore();
+        const listener = jest.fn();
+        store.subscribe(listener);
+
+        const state = store.dispatch('cases/loaded', [{ id: 1, open: true }]);
+
+        expect(state.cases).toEqual([{ id: 1, open: true }]);
+        expect(store.getState()).toBe(state);
+        expect(listener).toHaveBeenCalledWith(state, expect.objectContaining({ cases: [] }), {
+            type: 'cases/loaded',
+            payload: [{ id: 1, open: true }]
+        });
+        expect(() => store.dispatch('cases/deleted')).toThrow("Store action 'cases/deleted' not found");
+    });
+
+    test('should only call select listeners when the selected value changes', () => {
+        const store = createStore();
+        const listener = jest.fn();
+        store.select(state => state.filter, listener);
+
+        store.dispatch('cases/loaded', [{ id: 1, open: true }]);
+        store.dispatch('filter/set', 'open');
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener).toHaveBeenCalledWith('open', 'all');
+    });
+
+    test('should memoize selectors on their inputs', () => {
+        const store = createStore();
+        const combine = jest.fn(cases => cases.filter(c => c.open));
+        const selectOpen = StateStore.createSelector(state => state.cases, combine);
+        store.dispatch('cases/loaded', [{ id: 1, open: true }, { id: 2, open: true }]);
+
+        const first = selectOpen(store.getState());
+        store.dispatch('filter/set', 'open');
+        expect(selectOpen(store.getState())).toBe(first);
+        expect(combine).toHaveBeenCalledTimes(1);
+
+        store.dispatch('cases/closed', 2);
+        expect(selectOpen(store.getState())).toEqual([{ id: 1, open: true }]);
+        expect(combine).toHaveBeenCalledTimes(2);
+    });
+
+    describe('persistence', () => {
+        test('should save persisted slices to localStorage and restore them', async () => {
+            const store = createStore({ persist: { cases: 'local' } });
+            store.dispatch('cases/loaded', [{ id: 3, open: true }]);
+            store.dispatch('filter/set', 'open');
+            await Promise.resolve();
+
+            expect(StorageUtils.get('tpt_state_cases')).toEqual([{ id: 3, open: true }]);
+            expect(localStorage.getItem('tpt_state_filter')).toBeNull();
+
+            const restored = createStore({ persist: { cases: 'local' } });
+            await restored.hydrate();
+            expect(restored.getState().cases).toEqual([{ id: 3, open: true }]);
+            expect(restored.getState().filter).toBe('all');
+        });
+
+        test('should move a slice from its legacy key once', async () => {
+            StorageUtils.set('cases', [{ id: 1, open: false }]);
+            const store = createStore({ persist: { cases: 'local' }, legacyKeys: { cases: 'cases' } });
+
+            await store.hydrate();
+            await Promise.resolve();
+
+            expect(store.getState().cases).toEqual([{ id: 1, open: false }]);
+            expect(StorageUtils.get('tpt_state_cases')).toEqual([{ id: 1, open: false }]);
+            expect(localStorage.getItem('cases')).toBeNull();
+        });
+
+        test('should keep state changed while stored state loads', async () => {
+            let resolveLoad;
+            const loading = new Promise(resolve => { resolveLoad = resolve; });
+            const indexeddb = {
+                load: jest.fn(() => loading),
+                save: jest.fn().mockResolvedValue(),
+                remove: jest.fn().mockResolvedValue()
+            };
+            const store = createStore({ persist: { cases: 'indexeddb', filter: 'indexeddb' }, persistence: { indexeddb } });
+
+            const hydrated = store.hydrate();
+            store.dispatch('filter/set', 'closed');
+            resolveLoad('stale');
+            await hydrated;
+
+            expect(indexeddb.load).toHaveBeenCalledWith('tpt_state_filter');
+            expect(indexeddb.save).toHaveBeenCalledWith('tpt_state_filter', 'closed');
+            expect(store.getState().filter).toBe('closed');
+            expect(store.getState().cases).toBe('stale');
+        });
+    });
+
+    test('should log actions when logging is on', () => {
+        const group = jest.spyOn(console, 'groupCollapsed').mockImplementation(() => {});
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'groupEnd').mockImplementation(() => {});
+
+        createStore().dispatch('filter/set', 'open');
+        expect(group).not.toHaveBeenCalled();
+
+        createStore({ logActions: true }).dispatch('filter/set', 'open');
+        expect(group).toHaveBeenCalledWith('action filter/set');
+    });
+
+    describe('app store', () => {
+        beforeEach(() => {
+            window.Store.options.logActions = false;
+            window.API = { markNotificationRead: jest.fn().mockResolvedValue() };
+        });
+
+        afterEach(() => {
+            delete window.API;
+        });
+
+        test('should count unread notifications and forget them on sign-out', () => {
+            Store.dispatch('auth/signedIn', { id: 7, name: 'Aroha' });
+            Store.dispatch('notifications/loaded', [{ id: 1, read: false }, { id: 2, read: true }]);
+            Store.dispatch('notifications/received', { id: 3, read: false });
+            Store.dispatch('notifications/read', '1');
+
+            expect(StoreSelectors.unreadCount(Store.getState())).toBe(1);
+            expect(StorageUtils.get('tpt_state_notifications')).toHaveLength(3);
+
+            Store.dispatch('auth/signedOut');
+            expect(Store.getState()).toEqual(expect.objectContaining({ user: null, isAuthenticated: false, notifications: [] }));
+        });
+
+        test('should keep a bound component in step with the store', () => {
+            const container = document.createElement('div');
+            Store.dispatch('notifications/loaded', [{ id: 1, title: 'Permit approved', type: 'info', read: false }]);
+            const panel = window.ComponentRenderer.render('notifications', container, { onRead: jest.fn() });
+
+            Store.dispatch('notifications/received', { id: 2, title: 'Document required', type: 'warning', read: false });
+            window.RenderScheduler.flush();
+            expect(Array.from(container.querySelectorAll('.notification-title')).map(title => title.textContent))
+                .toEqual(['Document required', 'Permit approved']);
+
+            Store.dispatch('notifications/read', 2);
+            window.RenderScheduler.flush();
+            expect(container.querySelectorAll('.notification-item')).toHaveLength(1);
+
+            window.ComponentRenderer.unmount(container);
+            Store.dispatch('notifications/read', 1);
+            expect(panel.state.notifications).toHaveLength(1);
+        });
+    });
+});
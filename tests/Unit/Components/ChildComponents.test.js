@@ -0,0 +1,207 @@
+/**
+ * Unit tests for child components and slots
+ *
+ * @package TPT
+ * @subpackage Tests
+ */
+
+import '../../../public/js/utils.js';
+import '../../../public/js/patch.js';
+import '../../../public/js/components.js';
+
+describe('Child components', () => {
+    class FeeRow extends window.Component {
+        constructor(props) {
+            super(props);
+            this.state = { selected: false };
+            FeeRow.mounted.push(this);
+        }
+
+        render() {
+            return html`
+                <div class="fee">
+                    <span class="fee-name">${this.props.name}</span>
+                    ${this.slot('default', html`<span class="no-note">No note</span>`)}
+                    <button class="pay">Pay</button>
+                </div>
+            `;
+        }
+
+        bindEvents() {
+            this.addEventListener(this.$('.pay'), 'click', () => this.props.onPay(this.props.name));
+        }
+
+        onUnmount() {
+            FeeRow.unmounted.push(this.props.name);
+        }
+    }
+
+    class FeeList extends window.Component {
+        constructor(props) {
+            super(props);
+            this.state = { fees: ['Dog registration', 'Building consent'], paid: [] };
+        }
+
+        render() {
+            return html`
+                <h2>Fees</h2>
+                ${this.state.fees.map(name => this.child(FeeRow, {
+                    key: name,
+                    name,
+                    onPay: fee => this.setState({ paid: [...this.state.paid, fee] })
+                }, name === 'Building consent' ? html`<em class="note">Due in ${this.state.fees.length} days</em>` : undefined))}
+            `;
+        }
+    }
+
+    let container;
+    let list;
+
+    beforeEach(() => {
+        FeeRow.mounted = [];
+        FeeRow.unmounted = [];
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        list = new FeeList();
+        list.mount(container);
+    });
+
+    afterEach(() => {
+        if (list.element) list.unmount();
+        document.body.removeChild(container);
+    });
+
+    test('should mount declared children with their props and slots', () => {
+        const rows = container.querySelectorAll('.fee');
+
+        expect(rows).toHaveLength(2);
+        expect(rows[0].querySelector('.fee-name').textContent).toBe('Dog registration');
+        expect(rows[0].querySelector('.note')).toBeNull();
+        expect(rows[0].querySelector('.no-note')).not.toBeNull();
+        expect(rows[1].querySelector('.note').textContent).toBe('Due in 2 days');
+    });
+
+    test('should call callbacks passed down as props', () => {
+        container.querySelectorAll('.pay')[1].click();
+
+        expect(list.state.paid).toEqual(['Building consent']);
+    });
+
+    test('should keep children and their nodes across parent updates', () => {
+        const [first, second] = FeeRow.mounted;
+        const row = container.querySelector('.fee');
+        first.setState({ selected: true });
+
+        list.setState({ fees: ['Building consent', 'Dog registration', 'Rates'] });
+        window.RenderScheduler.flush();
+
+        expect(FeeRow.mounted).toHaveLength(3);
+        expect(Array.from(list.children.values()).slice(0, 2)).toEqual([second, first]);
+        expect(first.state.selected).toBe(true);
+        expect(container.querySelectorAll('.fee')[1]).toBe(row);
+        expect(container.querySelector('.note').textContent).toBe('Due in 3 days');
+    });
+
+    test('should unmount children the parent no longer renders', () => {
+        const [first] = FeeRow.mounted;
+
+        list.setState({ fees: ['Building consent'] });
+        window.RenderScheduler.flush();
+
+        expect(FeeRow.unmounted).toEqual(['Dog registration']);
+        expect(first.element).toBeNull();
+        expect(container.querySelectorAll('.fee')).toHaveLength(1);
+    });
+
+    test('should unmount children with the parent', () => {
+        list.unmount();
+
+        expect(FeeRow.unmounted.sort()).toEqual(['Building consent', 'Dog registration']);
+    });
+
+    test('should mount children declared inside another child\'s slot', () => {
+        class Panel extends window.Component {
+            render() {
+                return html`<section>${this.slot()}</section>`;
+            }
+        }
+
+        class Page extends window.Component {
+            render() {
+                return html`${this.child(Panel, {}, this.child(FeeRow, { name: 'Rates', onPay: () => {} }))}`;
+            }
+        }
+
+        const page = new Page();
+        page.mount(document.createElement('div'));
+
+        expect(page.element.querySelector('section .fee-name').textContent).toBe('Rates');
+        page.unmount();
+        expect(FeeRow.unmounted).toContain('Rates');
+    });
+
+    test('should reject duplicate keys', () => {
+        class Broken extends window.Component {
+            render() {
+                return html`${this.child(FeeRow, { key: 1 })}${this.child(FeeRow, { key: 1 })}`;
+            }
+        }
+
+        expect(() => new Broken().mount(document.createElement('div'))).toThrow('used more than once');
+    });
+});
+
+describe('ServiceCardComponent', () => {
+    test('should keep the description\'s formatting and strip anything else', () => {
+        const container = document.createElement('div');
+        window.ComponentRenderer.render('service-card', container, {
+            service: { id: 4, name: 'Fence permit', description: 'Build a <strong>fence</strong><script>steal()</script>' }
+        });
+
+        expect(container.querySelector('.service-description').innerHTML.trim()).toBe('Build a <strong>fence</strong>');
+        window.ComponentRenderer.unmount(container);
+    });
+});
+
+describe('ServiceApplicationComponent', () => {
+    let container;
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+    });
+
+    afterEach(() => {
+        window.ComponentRenderer.unmount(container);
+        document.body.removeChild(container);
+    });
+
+    test('should build the page from a header and a form, and track unsaved changes', async () => {
+        const onSubmit = jest.fn().mockResolvedValue({ id: 9 });
+        const onSuccess = jest.fn();
+        const application = window.ComponentRenderer.render('service-application', container, {
+            service: { name: 'Fence permit', description: 'Build a <strong>fence</strong><script>steal()</script>' },
+            onSubmit,
+            onSuccess
+        });
+
+        expect(container.querySelector('h1').textContent).toBe('Apply: Fence permit');
+        expect(container.querySelector('.page-header .service-description').innerHTML).toBe('Build a <strong>fence</strong>');
+
+        const details = container.querySelector('#application-details');
+        details.value = 'Two metres, timber';
+        details.dispatchEvent(new Event('input', { bubbles: true }));
+        expect(application.state.unsaved).toBe(true);
+
+        window.RenderScheduler.flush();
+        expect(container.querySelector('#application-details')).toBe(details);
+        expect(details.value).toBe('Two metres, timber');
+
+        container.querySelector('form').dispatchEvent(new Event('submit', { cancelable: true }));
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(onSubmit).toHaveBeenCalledWith({ details: 'Two metres, timber' });
+        expect(onSuccess).toHaveBeenCalledWith({ id: 9 });
+        expect(application.state.unsaved).toBe(false);
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * Unit tests for scheduled Component updates and effects
+ *
+ * @package TPT
+ * @subpackage Tests
+ */
+
+import '../../../public/js/utils.js';
+import '../../../public/js/patch.js';
+import '../../../public/js/components.js';
+
+describe('Component lifecycle', () => {
+    class CaseCounter extends window.Component {
+        constructor(props) {
+            super(props);
+            this.state = { open: 0, loading: false };
+            this.renders = 0;
+            this.updates = [];
+        }
+
+        render() {
+            this.renders++;
+            return `<p class="count">${this.state.loading ? 'Loading' : this.state.open}</p>`;
+        }
+
+        componentDidUpdate(prevProps, prevState) {
+            this.updates.push([prevState.open, this.state.open]);
+        }
+    }
+
+    let container;
+    let component;
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        component = new CaseCounter({ caseType: 'dogs' });
+    });
+
+    afterEach(() => {
+        if (component.element) component.unmount();
+        document.body.removeChild(container);
+    });
+
+    test('should render once per frame however often state changes', () => {
+        component.mount(container);
+
+        component.setState({ loading: true });
+        component.setState({ open: 3, loading: false });
+        component.setState(state => ({ open: state.open + 1 }));
+
+        expect(component.state.open).toBe(4);
+        expect(component.renders).toBe(1);
+
+        window.RenderScheduler.flush();
+
+        expect(component.renders).toBe(2);
+        expect(container.querySelector('.count').textContent).toBe('4');
+        expect(component.updates).toEqual([[0, 4]]);
+    });
+
+    test('should render on the next animation frame', async () => {
+        component.mount(container);
+
+        component.setState({ open: 2 });
+        await new Promise(resolve => window.requestAnimationFrame(resolve));
+
+        expect(container.querySelector('.count').textContent).toBe('2');
+    });
+
+    test('should run effects after mount and again when their deps change', () => {
+        const cleanup = jest.fn();
+        const effect = jest.fn(() => cleanup);
+        component.addEffect(effect, (props, state) => [state.open]);
+        component.mount(container);
+        expect(effect).toHaveBeenCalledTimes(1);
+
+        component.setState({ loading: true });
+        window.RenderScheduler.flush();
+        expect(effect).toHaveBeenCalledTimes(1);
+
+        component.setState({ open: 5 });
+        window.RenderScheduler.flush();
+        expect(cleanup).toHaveBeenCalledTimes(1);
+        expect(effect).toHaveBeenCalledTimes(2);
+
+        component.unmount();
+        expect(cleanup).toHaveBeenCalledTimes(2);
+    });
+
+    test('should ignore state set after unmount', async () => {
+        let resolveLoad;
+        const load = new Promise(resolve => { resolveLoad = resolve; });
+        component.addEffect(() => {
+            load.then(open => component.setState({ open }));
+        });
+        component.mount(container);
+        component.setState({ loading: true });
+
+        component.unmount();
+        resolveLoad(7);
+        await load;
+        window.RenderScheduler.flush();
+
+        expect(component.state.open).toBe(0);
+        expect(component.renders).toBe(1);
+        expect(container.innerHTML).toBe('');
+    });
+});
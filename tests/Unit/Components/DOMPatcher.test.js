@@ -0,0 +1,155 @@
+/**
+ * Unit tests for DOMPatcher and Component updates
+ *
+ * @package TPT
+ * @subpackage Tests
+ */
+
+import '../../../public/js/utils.js';
+import DOMPatcher from '../../../public/js/patch.js';
+import '../../../public/js/components.js';
+
+describe('DOMPatcher', () => {
+    let container;
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+    });
+
+    afterEach(() => {
+        document.body.removeChild(container);
+    });
+
+    function list(ids) {
+        return `<ul>${ids.map(id => `<li data-key="${id}">Item ${id}</li>`).join('')}</ul>`;
+    }
+
+    test('should update text and attributes in place', () => {
+        container.innerHTML = '<p class="status" title="old">Pending</p>';
+        const paragraph = container.querySelector('p');
+
+        DOMPatcher.patch(container, '<p class="status done">Approved</p>');
+
+        expect(container.querySelector('p')).toBe(paragraph);
+        expect(paragraph.className).toBe('status done');
+        expect(paragraph.hasAttribute('title')).toBe(false);
+        expect(paragraph.textContent).toBe('Approved');
+    });
+
+    test('should keep keyed nodes when the list is reordered, filtered and extended', () => {
+        container.innerHTML = list([1, 2, 3]);
+        const [first, second, third] = container.querySelectorAll('li');
+
+        DOMPatcher.patch(container, list([3, 1, 4]));
+
+        const items = Array.from(container.querySelectorAll('li'));
+        expect(items.map(item => item.textContent)).toEqual(['Item 3', 'Item 1', 'Item 4']);
+        expect(items[0]).toBe(third);
+        expect(items[1]).toBe(first);
+        expect(items).not.toContain(second);
+    });
+
+    test('should replace nodes whose type changed', () => {
+        container.innerHTML = '<span>Loading</span>';
+
+        DOMPatcher.patch(container, '<button>Retry</button>');
+
+        expect(container.innerHTML).toBe('<button>Retry</button>');
+    });
+
+    test('should keep typed values unless the markup for them changes', () => {
+        container.innerHTML = '<input name="email" value=""><textarea name="notes"></textarea>';
+        const [input, textarea] = container.querySelectorAll('input, textarea');
+        input.value = 'aroha@example.govt.nz';
+        textarea.value = 'Half written';
+
+        DOMPatcher.patch(container, '<input name="email" value="" aria-invalid="true"><textarea name="notes"></textarea>');
+        expect(input.value).toBe('aroha@example.govt.nz');
+        expect(textarea.value).toBe('Half written');
+
+        DOMPatcher.patch(container, '<input name="email" value="reset@example.govt.nz"><textarea name="notes">Saved</textarea>');
+        expect(input.value).toBe('reset@example.govt.nz');
+        expect(textarea.value).toBe('Saved');
+    });
+
+    test('should keep focus and caret on a keyed field that moves', () => {
+        container.innerHTML = '<input id="first" value="one"><input id="second" value="two">';
+        const second = container.querySelector('#second');
+        second.focus();
+        second.setSelectionRange(1, 1);
+
+        DOMPatcher.patch(container, '<input id="second" value="two"><input id="first" value="one">');
+
+        expect(document.activeElement).toBe(second);
+        expect(second.selectionStart).toBe(1);
+    });
+});
+
+describe('Component.update', () => {
+    class CounterForm extends window.Component {
+        constructor(props) {
+            super(props);
+            this.state = { saves: 0, error: null };
+            this.submits = 0;
+        }
+
+        render() {
+            return `
+                <form>
+                    <input name="title" value="">
+                    ${this.state.error ? `<p class="error">${this.state.error}</p>` : ''}
+                    <button type="submit">Saved ${this.state.saves} times</button>
+                </form>
+            `;
+        }
+
+        bindEvents() {
+            this.addEventListener(this.element.querySelector('form'), 'submit', (e) => {
+                e.preventDefault();
+                this.submits++;
+            });
+        }
+    }
+
+    let container;
+    let component;
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        component = new CounterForm();
+        component.mount(container);
+    });
+
+    afterEach(() => {
+        component.unmount();
+        document.body.removeChild(container);
+    });
+
+    test('should keep focus and typed input across setState', () => {
+        const input = container.querySelector('input');
+        input.focus();
+        input.value = 'Fence permit';
+
+        component.setState({ saves: 1, error: 'Title is too short' });
+        window.RenderScheduler.flush();
+
+        expect(container.querySelector('input')).toBe(input);
+        expect(document.activeElement).toBe(input);
+        expect(input.value).toBe('Fence permit');
+        expect(container.querySelector('.error').textContent).toBe('Title is too short');
+    });
+
+    test('should not stack listeners on repeated updates', () => {
+        component.setState({ saves: 1 });
+        window.RenderScheduler.flush();
+        component.setState({ saves: 2 });
+        window.RenderScheduler.flush();
+
+        container.querySelector('form').dispatchEvent(new Event('submit', { cancelable: true }));
+
+        expect(component.submits).toBe(1);
+        expect(component.eventListeners).toHaveLength(1);
+    });
+});
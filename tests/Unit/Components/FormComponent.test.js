@@ -0,0 +1,214 @@
+/**
+ * Unit tests for FormComponent
+ *
+ * @package TPT
+ * @subpackage Tests
+ */
+
+import '../../../public/js/utils.js';
+import '../../../public/js/errors.js';
+import '../../../public/js/mfa.js';
+import '../../../public/js/patch.js';
+import '../../../public/js/components.js';
+
+describe('FormComponent', () => {
+    let container;
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        window.API = { login: jest.fn(), verifyMfa: jest.fn(), getWebAuthnChallenge: jest.fn() };
+    });
+
+    afterEach(() => {
+        document.body.removeChild(container);
+        delete window.API;
+    });
+
+    function renderLoginForm(props = {}) {
+        return window.ComponentRenderer.render('login-form', container, props);
+    }
+
+    function submit(component) {
+        component.$('#email').value = 'citizen@gov.local';
+        component.$('#password').value = 'secret';
+        component.handleSubmit();
+        return settle();
+    }
+
+    // Let the request settle, then render the queued state
+    function settle() {
+        return new Promise(resolve => setTimeout(resolve, 0)).then(() => window.RenderScheduler.flush());
+    }
+
+    test('should map server field errors onto matching inputs', async () => {
+        const form = renderLoginForm();
+        API.login.mockRejectedValue(new window.ValidationError('Validation failed', {
+            status: 422,
+            errors: { email: ['This email is not registered'] }
+        }));
+
+        await submit(form);
+
+        expect(form.state.errors).toEqual({ email: 'This email is not registered' });
+        expect(form.$('.error-message').textContent).toBe('This email is not registered');
+        expect(form.$('#email').getAttribute('aria-invalid')).toBe('true');
+        expect(form.$('.general-error')).toBeNull();
+    });
+
+    test('should keep fields flagged as invalid across unrelated updates', async () => {
+        const form = renderLoginForm();
+        API.login.mockRejectedValue(new window.ValidationError('Validation failed', {
+            status: 422,
+            errors: { email: ['This email is not registered'] }
+        }));
+        await submit(form);
+
+        form.setState({ loading: true });
+        window.RenderScheduler.flush();
+
+        const email = form.$('#email');
+        expect(email.getAttribute('aria-invalid')).toBe('true');
+        expect(form.$(`#${email.getAttribute('aria-describedby')}`).textContent).toBe('This email is not registered');
+        expect(form.$('#password').hasAttribute('aria-invalid')).toBe(false);
+    });
+
+    test('should show unknown fields in the general message', async () => {
+        const form = renderLoginForm();
+        API.login.mockRejectedValue(new window.ValidationError('Validation failed', {
+            status: 422,
+            errors: { tenant: 'Unknown agency' }
+        }));
+
+        await submit(form);
+
+        expect(form.state.errors).toEqual({ general: 'Unknown agency' });
+    });
+
+    test('should show other failures as a general message', async () => {
+        const onError = jest.fn();
+        const form = renderLoginForm({ onError });
+        const failure = new window.ServerError('Service unavailable', { status: 503 });
+        API.login.mockRejectedValue(failure);
+
+        await submit(form);
+
+        expect(form.state.errors).toEqual({ general: 'Service unavailable' });
+        expect(onError).toHaveBeenCalledWith(failure);
+    });
+
+    test('should show server messages as text, not markup', async () => {
+        const form = renderLoginForm();
+        API.login.mockRejectedValue(new window.ServerError('<img src=x onerror="steal()">', { status: 500 }));
+
+        await submit(form);
+
+        const message = container.querySelector('.general-error');
+        expect(message.textContent).toBe('<img src=x onerror="steal()">');
+        expect(container.querySelector('img')).toBeNull();
+    });
+
+    describe('multi-factor sign-in', () => {
+        const challenge = { success: false, mfa_required: true, mfa_token: 'mfa-1', methods: ['totp', 'recovery_code'] };
+
+        test('should ask for a second factor instead of finishing sign-in', async () => {
+            const onSuccess = jest.fn();
+            const form = renderLoginForm({ onSuccess });
+            API.login.mockResolvedValue(challenge);
+
+            await submit(form);
+
+            expect(onSuccess).not.toHaveBeenCalled();
+            expect(form.$('#mfa-code')).not.toBeNull();
+            expect(form.$('#email')).toBeNull();
+            expect(form.$$('.mfa-method').map(button => button.dataset.method)).toEqual(['totp', 'recovery_code']);
+        });
+
+        test('should verify a TOTP code and remember the device', async () => {
+            const onSuccess = jest.fn();
+            const form = renderLoginForm({ onSuccess });
+            const session = { success: true, token: 'token-1', user: { name: 'Aroha' } };
+            API.login.mockResolvedValue(challenge);
+            API.verifyMfa.mockResolvedValue(session);
+
+            await submit(form);
+            form.$('#mfa-code').value = '123 456';
+            form.$('input[name="remember_device"]').checked = true;
+            form.handleSubmit();
+            await settle();
+
+            expect(API.verifyMfa).toHaveBeenCalledWith('mfa-1', { type: 'totp', code: '123456' }, { rememberDevice: true });
+            expect(onSuccess).toHaveBeenCalledWith(session);
+        });
+
+        test('should switch to recovery codes', async () => {
+            const form = renderLoginForm();
+            API.login.mockResolvedValue(challenge);
+            API.verifyMfa.mockResolvedValue({ success: true, token: 'token-1' });
+
+            await submit(form);
+            form.$('.mfa-method[data-method="recovery_code"]').click();
+            window.RenderScheduler.flush();
+            form.$('#mfa-code').value = 'abcd1234-ef567890';
+            form.handleSubmit();
+            await settle();
+
+            expect(API.verifyMfa.mock.calls[0][1]).toEqual({ type: 'recovery_code', code: 'abcd1234-ef567890' });
+        });
+
+        test('should reject malformed TOTP codes before calling the server', async () => {
+            const form = renderLoginForm();
+            API.login.mockResolvedValue(challenge);
+
+            await submit(form);
+            form.$('#mfa-code').value = '12ab';
+            form.handleSubmit();
+
+            expect(API.verifyMfa).not.toHaveBeenCalled();
+            expect(form.state.errors.code).toBe('Enter the 6-digit code from your authenticator app');
+        });
+
+        test('should hide security keys when the browser cannot use them', async () => {
+            const form = renderLoginForm();
+            API.login.mockResolvedValue({ ...challenge, methods: ['webauthn', 'totp'] });
+
+            await submit(form);
+
+            expect(form.$$('.mfa-method')).toHaveLength(0);
+            expect(form.state.mfaMethod).toBe('totp');
+        });
+    });
+
+    describe('identity provider sign-in', () => {
+        const providers = [{ id: 'realme', name: 'RealMe' }];
+
+        beforeEach(() => {
+            window.OIDC = { login: jest.fn() };
+        });
+
+        afterEach(() => {
+            delete window.OIDC;
+        });
+
+        test('should start sign-in with the chosen provider', () => {
+            const form = renderLoginForm({ providers, returnTo: '/applications' });
+            OIDC.login.mockResolvedValue('https://idp.test/authorize');
+
+            form.$('.oidc-login[data-provider="realme"]').click();
+
+            expect(OIDC.login).toHaveBeenCalledWith('realme', { returnTo: '/applications' });
+            expect(form.state.loading).toBe(true);
+        });
+
+        test('should show why the provider could not be reached', async () => {
+            const form = renderLoginForm({ providers });
+            OIDC.login.mockRejectedValue(new Error('Could not reach RealMe'));
+
+            form.$('.oidc-login').click();
+            await settle();
+
+            expect(form.state.errors).toEqual({ general: 'Could not reach RealMe' });
+            expect(form.$('.oidc-login').disabled).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,75 @@
+/**
+ * Unit tests for SessionTimeoutComponent
+ *
+ * @package TPT
+ * @subpackage Tests
+ */
+
+import '../../../public/js/utils.js';
+import '../../../public/js/errors.js';
+import '../../../public/js/session.js';
+import '../../../public/js/patch.js';
+import '../../../public/js/components.js';
+
+describe('SessionTimeoutComponent', () => {
+    let container;
+    let session;
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        session = new window.SessionManager({ token: 'token-1', refreshToken: null });
+        jest.spyOn(session, 'extend').mockResolvedValue();
+        jest.spyOn(session, 'end').mockResolvedValue();
+    });
+
+    afterEach(() => {
+        window.ComponentRenderer.unmount(container);
+        document.body.removeChild(container);
+    });
+
+    function render() {
+        return window.ComponentRenderer.render('session-timeout', container, { session });
+    }
+
+    test('should stay hidden while the session is active', () => {
+        render();
+        session.setState({ status: 'active' });
+        window.RenderScheduler.flush();
+
+        expect(container.innerHTML).toBe('');
+    });
+
+    test('should count down while warning', () => {
+        render();
+
+        session.setState({ status: 'warning', remaining: 95, reason: 'idle', canExtend: true });
+        window.RenderScheduler.flush();
+
+        expect(container.querySelector('.session-countdown').textContent).toBe('1:35');
+        expect(document.activeElement).toBe(container.querySelector('.session-extend'));
+    });
+
+    test('should stay signed in or sign out from the buttons', () => {
+        render();
+        session.setState({ status: 'warning', remaining: 30, reason: 'idle', canExtend: true });
+        window.RenderScheduler.flush();
+
+        container.querySelector('.session-extend').click();
+        container.querySelector('.session-end').click();
+
+        expect(session.extend).toHaveBeenCalled();
+        expect(session.end).toHaveBeenCalledWith('user');
+    });
+
+    test('should only offer sign out when the session cannot be extended', () => {
+        render();
+
+        session.setState({ status: 'warning', remaining: 30, reason: 'expired', canExtend: false });
+        window.RenderScheduler.flush();
+        container.querySelector('.modal-close').click();
+
+        expect(container.querySelector('.session-extend')).toBeNull();
+        expect(session.extend).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,60 @@
+/**
+ * Unit tests for html templates and HTMLUtils
+ *
+ * @package TPT
+ * @subpackage Tests
+ */
+
+import '../../../public/js/utils.js';
+
+describe('html templates', () => {
+    const { html, unsafeHTML, sanitizeHTML, HTMLUtils } = window;
+
+    test('should escape interpolated values', () => {
+        const name = '<img src=x onerror="alert(1)">';
+
+        expect(String(html`<h3 title="${name}">${name}</h3>`)).toBe(
+            '<h3 title="&lt;img src=x onerror=&quot;alert(1)&quot;&gt;">&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</h3>'
+        );
+        expect(HTMLUtils.escape("'`&")).toBe('&#39;&#96;&amp;');
+    });
+
+    test('should nest templates and join arrays without escaping them', () => {
+        const services = [{ name: 'Dog <registration>' }, { name: 'Rates' }];
+
+        const markup = html`<ul>${services.map(service => html`<li>${service.name}</li>`)}</ul>`;
+
+        expect(String(markup)).toBe('<ul><li>Dog &lt;registration&gt;</li><li>Rates</li></ul>');
+    });
+
+    test('should render nothing for null and undefined, and strings for other values', () => {
+        expect(String(html`${null}${undefined}|${0}|${false}|${''}`)).toBe('|0|false|');
+    });
+
+    test('should insert unsafeHTML as it is', () => {
+        expect(String(html`<div>${unsafeHTML('<b>trusted</b>')}</div>`)).toBe('<div><b>trusted</b></div>');
+    });
+
+    describe('sanitizeHTML', () => {
+        test('should keep basic formatting and drop scripts and handlers', () => {
+            const markup = sanitizeHTML(
+                '<p class="lead" onclick="steal()">Apply <strong>online</strong></p><script>steal()</script><!-- note -->'
+            );
+
+            expect(String(markup)).toBe('<p class="lead">Apply <strong>online</strong></p>');
+        });
+
+        test('should unwrap unknown tags and keep their text', () => {
+            expect(String(sanitizeHTML('<form><input name="x">Fees apply</form><img src=x onerror="steal()">')))
+                .toBe('Fees apply');
+        });
+
+        test('should drop script links but keep safe ones', () => {
+            const markup = String(sanitizeHTML(
+                '<a href="java\tscript:steal()">Bad</a> <a href="https://govt.example/fees">Fees</a> <a href="/help">Help</a>'
+            ));
+
+            expect(markup).toBe('<a>Bad</a> <a href="https://govt.example/fees">Fees</a> <a href="/help">Help</a>');
+        });
+    });
+});